@@ -0,0 +1,23 @@
+// public/pcm16-capture-processor.js
+// AudioWorklet processor that forwards every render quantum of microphone
+// input to the main thread as mono Float32 samples. Resampling, PCM16
+// conversion and framing happen in src/services/Pcm16Capture.js.
+class Pcm16CaptureProcessor extends AudioWorkletProcessor {
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels || channels.length === 0) return true;
+
+    // Downmix to mono
+    const mono = new Float32Array(channels[0].length);
+    for (let c = 0; c < channels.length; c++) {
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += channels[c][i] / channels.length;
+      }
+    }
+
+    this.port.postMessage(mono, [mono.buffer]);
+    return true;
+  }
+}
+
+registerProcessor('pcm16-capture', Pcm16CaptureProcessor);
@@ -1,79 +1,279 @@
 // App.js
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import Settings from './components/Settings';
 import ChatWindow from './components/ChatWindow';
 import Controls from './components/Controls';
 import Logs from './components/Logs';
+import ConversationHistory from './components/ConversationHistory';
+import ExportMenu from './components/ExportMenu';
+import CaptionsView from './components/CaptionsView';
+import Announcer from './components/Announcer';
+import useShortcut from './components/useShortcut';
+import conversationStore, { createConversation, titleFor } from './services/ConversationStore';
+import { createLogEntry, appendLogEntry, LogSource, LogLevel } from './services/LogStore';
+import { DEFAULT_SETTINGS } from './services/SettingsProfiles';
+import AudioPlayback from './services/AudioPlayback';
+import { Shortcut, shortcutKeys } from './services/KeyboardShortcuts';
+import { DEFAULT_LANGUAGE } from './services/Languages';
+import { I18nProvider, translate } from './i18n';
 import './App.css';
 
+const BACKEND_PROMPT_KEY = 'azureOpenAIBackendPrompt';
+const MAX_ANNOUNCEMENTS = 5;
+
 function App() {
   const [logs, setLogs] = useState([]);
-  const [status, setStatus] = useState('Idle');
+  const [status, setStatus] = useState({ key: 'status.idle' });   // i18n key and params, see SessionEvent.STATUS
   const [isConnected, setIsConnected] = useState(false);
-  const [settings, setSettings] = useState({
-    voice: 'verse',
-    region: 'eastus2',
-    deploymentName: 'gpt-4o-mini-realtime-preview',
-    apiVersion: '2025-04-01-preview'
-  });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [messages, setMessages] = useState([]);
-  const [currentTranscript, setCurrentTranscript] = useState('');
+  const [progress, setProgress] = useState('');   // i18n key, e.g. progress.analyzing while a turn is processed
+  const [conversations, setConversations] = useState([]);
+  const [activeConversation, setActiveConversation] = useState(null);   // the live conversation being saved
+  const [viewingConversation, setViewingConversation] = useState(null); // a saved conversation opened read-only
+  const [contextSeed, setContextSeed] = useState(null);                 // a saved conversation that seeds the next session
+  const [callRecordings, setCallRecordings] = useState({});             // WebM recordings by conversation id, kept in memory
+  const [responseAudio, setResponseAudio] = useState({});               // WebM clips of assistant messages by message id, kept in memory
+  // Plays the live conversation and replays, and outlives the sessions of Controls
+  const [playback] = useState(() => new AudioPlayback());
+  // The last system prompt from /sessions, kept so the prompt editor can show it before connecting
+  const [backendPrompt, setBackendPrompt] = useState(() => localStorage.getItem(BACKEND_PROMPT_KEY) || '');
+  const [announcements, setAnnouncements] = useState([]);               // what the screen reader live region reads out
+  const [showCaptions, setShowCaptions] = useState(false);              // large captions instead of the chat window
+  const announcementCount = useRef(0);
+
+  // App renders the I18nProvider, so it translates directly
+  const t = (key, params) => translate(settings.language, key, params);
+
+  useShortcut(Shortcut.TOGGLE_CAPTIONS, () => setShowCaptions(show => !show));
+
+  // The chosen language also sets the page language for screen readers and spell checking
+  useEffect(() => {
+    document.documentElement.lang = settings.language;
+  }, [settings.language]);
+
+  useEffect(() => () => playback.teardown(), [playback]);
 
-  const addLog = (msg) => {
-    const ts = new Date().toLocaleTimeString();
-    setLogs(prevLogs => [...prevLogs, `[${ts}] ${msg}`]);
+  // details: { level, source, type, payload }, see LogStore
+  const addLog = useCallback((message, details) => {
+    const entry = createLogEntry(message, details);
+    setLogs(prevLogs => appendLogEntry(prevLogs, entry));
+  }, []);
+
+  useEffect(() => {
+    conversationStore.list()
+      .then(setConversations)
+      .catch(err => addLog(`❌ Could not load conversation history: ${err.message}`, { level: LogLevel.ERROR }));
+  }, [addLog]);
+
+  // Save the live conversation whenever a message is completed
+  useEffect(() => {
+    if (!activeConversation || messages.length === 0) return;
+    if (messages.some(m => m.streaming)) return;
+    const conversation = {
+      ...activeConversation,
+      title: titleFor(messages),
+      updatedAt: new Date().toISOString(),
+      messages
+    };
+    conversationStore.save(conversation)
+      .then(() => setConversations(prev => [conversation, ...prev.filter(c => c.id !== conversation.id)]))
+      .catch(err => addLog(`❌ Could not save conversation: ${err.message}`, { level: LogLevel.ERROR }));
+  }, [activeConversation, messages, addLog]);
+
+  const announce = (text) => {
+    announcementCount.current += 1;
+    const announcement = { id: announcementCount.current, text };
+    setAnnouncements(prev => [...prev, announcement].slice(-MAX_ANNOUNCEMENTS));
   };
 
-  const updateStatus = (msg) => {
-    setStatus(msg);
-    addLog(`Status → ${msg}`);
+  const updateStatus = ({ key, params }) => {
+    setStatus({ key, params });
+    addLog(`Status → ${translate(DEFAULT_LANGUAGE, key, params)}`, { type: 'status' });
+    announce(t('announce.status', { status: t(key, params) }));
   };
 
-  const addMessage = (sender, text = '') => {
-    // Only add messages with actual content
-    if (text && text.trim()) {
-      console.log(`Adding ${sender} message to history`);
-      addLog(`Adding ${sender} message to history`);
-      setMessages(prevMessages => [...prevMessages, { sender, text }]);
+  // Messages stream in keyed by id and are completed in place, so they keep their
+  // position; a message completed without any text is dropped
+  const upsertMessage = ({ id, sender, text = '', final, ...details }) => {
+    const isEmpty = !text.trim();
+    if (final && !isEmpty) addLog(`Adding ${sender} message to history`);
+    // The user knows what they said, and an interrupted reply was cut off on purpose
+    if (final && !isEmpty && sender === 'assistant' && !details.interrupted) announce(t('announce.reply', { text }));
+
+    setMessages(prevMessages => {
+      const index = prevMessages.findIndex(m => m.id === id);
+      if (final && isEmpty) {
+        return index === -1 ? prevMessages : prevMessages.filter(m => m.id !== id);
+      }
+
+      const existing = prevMessages[index];
+      const message = {
+        ...existing,
+        id,
+        sender,
+        text,
+        streaming: !final,
+        timestamp: existing?.timestamp ?? new Date().toISOString(),
+        ...details
+      };
+      return index === -1
+        ? [...prevMessages, message]
+        : prevMessages.map(m => (m.id === id ? message : m));
+    });
+  };
+
+  // Starts a new saved conversation and returns the history the session should start with
+  const beginConversation = () => {
+    const conversation = createConversation(settings);
+    // Seeded messages drop their ids so they can't clash with the new session's bubbles
+    const seedMessages = contextSeed ? contextSeed.messages.map(({ id, ...m }) => ({ ...m, seeded: true })) : [];
+    if (contextSeed) {
+      conversation.seededFrom = contextSeed.id;
+      addLog(`Continuing from "${contextSeed.title || t('history.untitled')}" with ${seedMessages.length} messages of context`);
     }
+
+    setActiveConversation(conversation);
+    setMessages(seedMessages);
+    setProgress('');
+    setContextSeed(null);
+    setViewingConversation(null);
+    return seedMessages.map(({ sender, text }) => ({ sender, text }));
+  };
+
+  const receiveBackendPrompt = (prompt) => {
+    setBackendPrompt(prompt);
+    localStorage.setItem(BACKEND_PROMPT_KEY, prompt);
+  };
+
+  const recordSessionId = (sessionId) => {
+    setActiveConversation(prev => prev && { ...prev, sessionIds: [...prev.sessionIds, sessionId] });
   };
 
-  const updateAssistantMessage = (delta) => {
-  // Append incoming delta to current transcript
-  setCurrentTranscript(prev => prev + delta);
+  const saveCallRecording = (blob) => {
+    if (!activeConversation) return;
+    setCallRecordings(prev => ({ ...prev, [activeConversation.id]: blob }));
   };
 
+  const saveResponseAudio = ({ id, blob }) => {
+    setResponseAudio(prev => ({ ...prev, [id]: blob }));
+  };
+
+  // Resolves once the replay ended or was stopped
+  const replayMessage = (id) => playback.replay(responseAudio[id])
+    .catch(err => addLog(`❌ Could not replay the answer: ${err.message}`, { source: LogSource.AUDIO }));
+
+  const continueFrom = (conversation) => {
+    setContextSeed(conversation);
+    setViewingConversation(null);
+  };
+
+  const deleteConversation = (conversation) => {
+    conversationStore.delete(conversation.id)
+      .then(() => {
+        setConversations(prev => prev.filter(c => c.id !== conversation.id));
+        if (viewingConversation?.id === conversation.id) setViewingConversation(null);
+        if (contextSeed?.id === conversation.id) setContextSeed(null);
+        addLog('✅ Conversation deleted');
+      })
+      .catch(err => addLog(`❌ Could not delete conversation: ${err.message}`));
+  };
+
+  // The conversation currently shown in the chat window, saved or live
+  const displayedConversation = viewingConversation
+    || (activeConversation && { ...activeConversation, title: titleFor(messages), messages });
+
   return (
-    <div className="container">
-      <h1>Azure OpenAI Realtime API Demo</h1>
+    <I18nProvider language={settings.language}>
+      <div className="container">
+        <h1>Azure OpenAI Realtime API Demo</h1>
       
-      <Settings 
-        settings={settings} 
-        setSettings={setSettings} 
-        addLog={addLog} 
-      />
-
-      <ChatWindow 
-        messages={messages} 
-        currentTranscript={currentTranscript} 
-      />
-      
-      <Controls 
-        isConnected={isConnected}
-        setIsConnected={setIsConnected}
-        updateStatus={updateStatus}
-        addLog={addLog}
-        settings={settings}
-        addMessage={addMessage}
-        updateAssistantMessage={updateAssistantMessage}
-        setCurrentTranscript={setCurrentTranscript}
-        currentTranscript={currentTranscript}
-        status={status}
-        messages={messages}
-      />
-
-      <Logs logs={logs} />
-    </div>
+        <Settings 
+          settings={settings} 
+          setSettings={setSettings} 
+          addLog={addLog} 
+          backendPrompt={backendPrompt}
+        />
+
+        <div className="app-layout">
+          <ConversationHistory
+            conversations={conversations}
+            activeId={activeConversation?.id}
+            viewingId={viewingConversation?.id}
+            onOpen={setViewingConversation}
+            onContinue={continueFrom}
+            onDelete={deleteConversation}
+          />
+
+          <main className="conversation">
+            {viewingConversation && (
+              <div className="history-banner">
+                <span>
+                  {t('history.viewing', { title: viewingConversation.title || t('history.untitled'), date: new Date(viewingConversation.startedAt).toLocaleString() })}
+                </span>
+                <button onClick={() => continueFrom(viewingConversation)}>{t('history.useAsContext')}</button>
+                <button onClick={() => setViewingConversation(null)}>{t('history.backToLive')}</button>
+              </div>
+            )}
+            {!viewingConversation && contextSeed && (
+              <div className="history-banner">
+                <span>{t('history.continuesFrom', { title: contextSeed.title || t('history.untitled') })}</span>
+                <button onClick={() => setContextSeed(null)}>{t('history.clearContext')}</button>
+              </div>
+            )}
+
+            <ExportMenu
+              conversation={displayedConversation}
+              recording={displayedConversation && callRecordings[displayedConversation.id]}
+              addLog={addLog}
+            />
+
+            <button
+              type="button"
+              className={`captions-toggle${showCaptions ? ' active' : ''}`}
+              aria-pressed={showCaptions}
+              aria-keyshortcuts={shortcutKeys(Shortcut.TOGGLE_CAPTIONS)}
+              onClick={() => setShowCaptions(!showCaptions)}
+            >
+              {t('captions.toggle')}
+            </button>
+
+            {showCaptions ? (
+              <CaptionsView messages={messages} />
+            ) : (
+              <ChatWindow 
+                messages={viewingConversation ? viewingConversation.messages : messages} 
+                progress={viewingConversation ? '' : progress} 
+                responseAudio={responseAudio}
+                onReplay={replayMessage}
+                onStopReplay={() => playback.stopReplay()}
+              />
+            )}
+
+            <Controls 
+              isConnected={isConnected}
+              setIsConnected={setIsConnected}
+              updateStatus={updateStatus}
+              addLog={addLog}
+              settings={settings}
+              upsertMessage={upsertMessage}
+              setProgress={setProgress}
+              status={status}
+              messages={messages}
+              onConversationStart={beginConversation}
+              onSessionCreated={recordSessionId}
+              onSystemPrompt={receiveBackendPrompt}
+              onCallRecording={saveCallRecording}
+              onResponseAudio={saveResponseAudio}
+              playback={playback}
+            />
+          </main>
+        </div>
+
+        <Logs logs={logs} onClear={() => setLogs([])} />
+        <Announcer announcements={announcements} />
+      </div>
+    </I18nProvider>
   );
 }
 
@@ -1,8 +1,215 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
 import App from './App';
+import { FakeRealtimePeer } from './mocks';
+import { BUILT_IN_PRESETS } from './services/PromptTemplates';
+import ApiClient from './services/ApiService';
 
-test('renders learn react link', () => {
+// Streaming a reply through the fake peer takes a few hundred milliseconds, and
+// the first render of the full app can take seconds on a busy test machine
+const SLOW = { timeout: 10000 };
+jest.setTimeout(20000);
+
+// jsdom has no IndexedDB, so loading the conversation history fails and ends up
+// in the app's log rather than the console
+const renderWithSettings = async (settings) => {
+  localStorage.setItem('azureOpenAISettings', JSON.stringify(settings));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('❌ Could not load conversation history: IndexedDB is not available in this browser')).toBeInTheDocument();
+};
+
+const startConversation = async () => {
+  fireEvent.click(screen.getByRole('button', { name: /start conversation/i }));
+  // The data channel opens a moment after the peer connects, as with real WebRTC
+  await waitFor(() => expect(FakeRealtimePeer.latest?.channel?.readyState).toBe('open'), SLOW);
+};
+
+beforeEach(() => {
+  process.env.REACT_APP_MOCK_BACKEND = 'true';
+  localStorage.clear();
+});
+
+afterEach(() => {
+  delete process.env.REACT_APP_MOCK_BACKEND;
+  jest.restoreAllMocks();
+});
+
+test.each(['tools', 'classifier'])('answers a typed statistical question with a summary, a results table and the SQL (%s)', async (queryMode) => {
+  await renderWithSettings({ sessionMode: 'text', queryMode });
+  await startConversation();
+
+  fireEvent.change(screen.getByLabelText('Type a message'), { target: { value: 'Who won the 2021 championship?' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  // The table is attached once the streamed reply is complete
+  expect(await screen.findByRole('cell', { name: 'Max Verstappen' }, SLOW)).toBeInTheDocument();
+  expect(screen.getByText(/^Here is what I found: Year 2021, Driver Max Verstappen/)).toBeInTheDocument();
+  expect(screen.getByText('Who won the 2021 championship?', { selector: '.transcript' })).toBeInTheDocument();
+  expect(screen.getByText("SELECT * FROM F1Records WHERE Year = '2021'")).toBeInTheDocument();
+
+  const sessionUpdate = FakeRealtimePeer.latest.sent.find(e => e.type === 'session.update');
+  expect(sessionUpdate.session.modalities).toEqual(['text']);
+  expect(FakeRealtimePeer.latest.items.some(item => item.type === 'function_call')).toBe(queryMode === 'tools');
+});
+
+test('answers a spoken conversational question and ends the conversation', async () => {
+  await renderWithSettings({ sessionMode: 'voice' });
+  await startConversation();
+  expect(screen.getByRole('meter', { name: 'Microphone level' })).toBeInTheDocument();
+
+  act(() => FakeRealtimePeer.latest.simulateUserTurn('Hello there'));
+
+  expect(await screen.findByText('Hello there')).toBeInTheDocument();
+  expect(await screen.findByText('This is the offline mock assistant. You said: "Hello there"', {}, SLOW)).toBeInTheDocument();
+  // Both bubbles were completed in place, in the order the turns happened
+  expect(screen.getAllByText(/.+/, { selector: '.chat-container .transcript' }).map(el => el.textContent)).toEqual([
+    'Hello there',
+    'This is the offline mock assistant. You said: "Hello there"'
+  ]);
+
+  fireEvent.click(screen.getByRole('button', { name: /end conversation/i }));
+  expect(await screen.findByText('Disconnected')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /start conversation/i })).toBeEnabled();
+  expect(screen.getByLabelText('Type a message')).toBeDisabled();
+});
+
+test('keeps the partial reply when the user talks over the assistant', async () => {
+  await renderWithSettings({ sessionMode: 'voice' });
+  await startConversation();
+
+  const peer = FakeRealtimePeer.latest;
+  // Stream slowly enough to reliably barge in halfway through the reply
+  peer.latencyMs = 150;
+  act(() => peer.simulateUserTurn('Tell me something interesting'));
+  await screen.findByText(/^This is the/, {}, SLOW);
+  peer.latencyMs = 30;
+  act(() => peer.simulateUserTurn('Never mind'));
+
+  expect(await screen.findByText('Interrupted')).toBeInTheDocument();
+  expect(screen.queryByText('This is the offline mock assistant. You said: "Tell me something interesting"')).not.toBeInTheDocument();
+  expect(peer.sent.some(e => e.type === 'response.cancel')).toBe(true);
+  expect(await screen.findByText('This is the offline mock assistant. You said: "Never mind"', {}, SLOW)).toBeInTheDocument();
+});
+
+test('filters the structured logs and expands event payloads', async () => {
+  await renderWithSettings({ sessionMode: 'text' });
+  await startConversation();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Source' }), { target: { value: 'datachannel' } });
+  fireEvent.change(screen.getByLabelText('Search logs'), { target: { value: 'session.updated' } });
+
+  expect(await screen.findByText('⬅ session.updated')).toBeInTheDocument();
+  expect(screen.queryByText(/^ICE connection state/)).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'JSON', expanded: false }));
+  expect(screen.getByText(/"type": "session.updated"/, { selector: '.log-payload' })).toBeInTheDocument();
+});
+
+test('saves settings profiles and applies saved changes to the running conversation', async () => {
+  await renderWithSettings({ sessionMode: 'text' });
+  fireEvent.change(screen.getByLabelText('Profile Name:'), { target: { value: 'Demo booth' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Profile' }));
+  expect(screen.getByRole('option', { name: 'Demo booth', selected: true })).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('azureOpenAISettingsProfiles')).profiles['Demo booth']).toMatchObject({ sessionMode: 'text' });
+
+  await startConversation();
+  fireEvent.change(screen.getByLabelText(/^Temperature/), { target: { value: '1.1' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Settings' }));
+  await waitFor(() => expect(FakeRealtimePeer.latest.sent.some(e => e.type === 'session.update' && e.session.temperature === 1.1)).toBe(true));
+
+  fireEvent.change(screen.getByLabelText(/^Temperature/), { target: { value: '5' } });
+  expect(screen.getByText('Must be at most 1.2')).toBeInTheDocument();
+});
+
+test('sends the chosen prompt preset as the instructions', async () => {
+  await renderWithSettings({ sessionMode: 'text' });
+  fireEvent.change(screen.getByLabelText('Preset:'), { target: { value: 'Concise commentator' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Settings' }));
+  await startConversation();
+
+  const sessionUpdate = FakeRealtimePeer.latest.sent.find(e => e.type === 'session.update');
+  expect(sessionUpdate.session.instructions).toMatch(/^You are a Formula One statistics assistant[\s\S]*Speak like a Formula One commentator/);
+  // The backend prompt is shown in the editor once a session returned it
+  expect(screen.getByText(/^You are a Formula One statistics assistant/, { selector: '.backend-prompt pre' })).toBeInTheDocument();
+});
+
+test('shows which preset the prompt override matches', async () => {
+  const beginner = BUILT_IN_PRESETS.find(p => p.name === 'Beginner-friendly');
+  await renderWithSettings({ sessionMode: 'text', instructions: beginner.template });
+  expect(screen.getByLabelText('Preset:')).toHaveDisplayValue('Beginner-friendly');
+
+  fireEvent.change(screen.getByLabelText('Prompt Override:'), { target: { value: 'Answer in haiku.' } });
+  expect(screen.getByLabelText('Preset:')).toHaveDisplayValue('Custom prompt');
+
+  fireEvent.change(screen.getByLabelText('Prompt Override:'), { target: { value: '' } });
+  expect(screen.getByLabelText('Preset:')).toHaveDisplayValue('Backend prompt (no override)');
+});
+
+test('switches the interface and the conversation to the chosen language', async () => {
+  await renderWithSettings({ sessionMode: 'text' });
+  fireEvent.change(screen.getByLabelText('Language:'), { target: { value: 'de' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Settings' }));
+
+  expect(screen.getByRole('button', { name: 'Einstellungen speichern' })).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('de');
+  expect(screen.getByRole('heading', { name: 'Verlauf' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Gespräch starten' }));
+  await waitFor(() => expect(FakeRealtimePeer.latest?.channel?.readyState).toBe('open'), SLOW);
+  const sessionUpdate = FakeRealtimePeer.latest.sent.find(e => e.type === 'session.update');
+  expect(sessionUpdate.session.instructions).toMatch(/Always answer in German/);
+  expect(sessionUpdate.session.input_audio_transcription).toMatchObject({ language: 'de' });
+  expect(screen.getByLabelText('Nachricht eingeben')).toBeEnabled();
+  expect(await screen.findByText('Verbunden – Nachricht eingeben')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Senden' })).toBeInTheDocument();
+});
+
+test('remembers the playback volume and mute', async () => {
+  await renderWithSettings({ sessionMode: 'text' });
+  fireEvent.click(screen.getByRole('button', { name: 'Mute', pressed: false }));
+  fireEvent.change(screen.getByLabelText('Volume'), { target: { value: '0.5' } });
+
+  expect(screen.getByRole('button', { name: 'Mute', pressed: true })).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('azureOpenAIPlayback'))).toEqual({ volume: 0.5, muted: true, rate: 1 });
+});
+
+test('runs a conversation from the keyboard, announces replies and shows them as captions', async () => {
+  await renderWithSettings({ sessionMode: 'text' });
+  const shortcut = (code) => fireEvent.keyDown(window, { code, altKey: true, shiftKey: true });
+
+  shortcut('KeyC');
+  await waitFor(() => expect(FakeRealtimePeer.latest?.channel?.readyState).toBe('open'), SLOW);
+  fireEvent.change(screen.getByLabelText('Type a message'), { target: { value: 'Hello there' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  const announcements = screen.getByRole('log', { name: 'Announcements' });
+  await waitFor(() => expect(announcements).toHaveTextContent('Assistant: This is the offline mock assistant. You said: "Hello there"'), SLOW);
+  expect(announcements).toHaveTextContent('Status: Connected');
+
+  shortcut('KeyL');
+  const captions = screen.getByRole('region', { name: 'Live captions' });
+  expect(captions).toHaveTextContent('You: Hello there');
+  expect(screen.queryByRole('log', { name: 'Conversation' })).not.toBeInTheDocument();
+
+  shortcut('KeyM');
+  expect(screen.getByRole('button', { name: 'Mute', pressed: true })).toBeInTheDocument();
+
+  shortcut('KeyC');
+  expect(await screen.findByText('Disconnected')).toBeInTheDocument();
+});
+
+test('pressing the conversation shortcut again while connecting cancels instead of starting a second session', async () => {
+  const createSession = jest.spyOn(ApiClient.prototype, 'createSession');
+  const createPeer = jest.spyOn(FakeRealtimePeer.prototype, 'createDataChannel');
+  await renderWithSettings({ sessionMode: 'text' });
+  const shortcut = () => fireEvent.keyDown(window, { code: 'KeyC', altKey: true, shiftKey: true });
+
+  shortcut();
+  shortcut();
+  expect(await screen.findByText('Disconnected')).toBeInTheDocument();
+  await act(() => new Promise(resolve => setTimeout(resolve, 200)));
+
+  expect(createSession).toHaveBeenCalledTimes(1);
+  expect(createPeer.mock.calls.length).toBeLessThanOrEqual(1);
+  expect(createPeer.mock.instances.every(peer => peer.connectionState === 'closed')).toBe(true);
+  expect(screen.getByRole('button', { name: 'Start Conversation' })).toBeEnabled();
 });
@@ -0,0 +1,16 @@
+// src/components/Announcer.js
+import React from 'react';
+import { useTranslation } from '../i18n';
+
+// Visually hidden live region that reads status changes and completed
+// assistant replies to screen readers; announcements: [{ id, text }]
+function Announcer({ announcements }) {
+  const t = useTranslation();
+  return (
+    <div className="visually-hidden" role="log" aria-live="polite" aria-label={t('announce.title')}>
+      {announcements.map(({ id, text }) => <p key={id}>{text}</p>)}
+    </div>
+  );
+}
+
+export default Announcer;
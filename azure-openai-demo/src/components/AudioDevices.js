@@ -0,0 +1,88 @@
+// src/components/AudioDevices.js
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from '../i18n';
+
+const canChooseOutput = () =>
+  typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+// Device labels stay empty until the page has microphone permission, those get a number
+const listDevices = (devices, kind) =>
+  devices
+    .filter(device => device.kind === kind && device.deviceId !== 'default')
+    .map((device, index) => ({ id: device.deviceId, label: device.label, number: index + 1 }));
+
+/**
+ * Microphone and speaker pickers. Choices apply straight away, also in the
+ * middle of a conversation, so they are not part of the Save Settings form.
+ */
+function AudioDevices({ inputDeviceId, outputDeviceId, onChange }) {
+  const [inputs, setInputs] = useState([]);
+  const [outputs, setOutputs] = useState([]);
+  const t = useTranslation();
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.enumerateDevices) return undefined;
+
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const devices = await mediaDevices.enumerateDevices();
+        if (cancelled) return;
+        setInputs(listDevices(devices, 'audioinput'));
+        setOutputs(listDevices(devices, 'audiooutput'));
+      } catch (err) {
+        // Leave the lists as they are, the default devices still work
+      }
+    };
+
+    refresh();
+    // Headsets get plugged in, and labels appear once permission is granted
+    mediaDevices.addEventListener?.('devicechange', refresh);
+    window.addEventListener('focus', refresh);
+    return () => {
+      cancelled = true;
+      mediaDevices.removeEventListener?.('devicechange', refresh);
+      window.removeEventListener('focus', refresh);
+    };
+  }, []);
+
+  return (
+    <>
+      <div className="form-group">
+        <label htmlFor="inputDevice">{t('devices.microphone')}</label>
+        <select
+          id="inputDevice"
+          value={inputDeviceId}
+          onChange={(e) => onChange({ inputDeviceId: e.target.value })}
+        >
+          <option value="">{t('devices.systemDefault')}</option>
+          {inputs.map(device => (
+            <option key={device.id} value={device.id}>
+              {device.label || t('devices.unnamedMicrophone', { number: device.number })}
+            </option>
+          ))}
+        </select>
+      </div>
+      {canChooseOutput() && (
+        <div className="form-group">
+          <label htmlFor="outputDevice">{t('devices.speaker')}</label>
+          <select
+            id="outputDevice"
+            value={outputDeviceId}
+            onChange={(e) => onChange({ outputDeviceId: e.target.value })}
+          >
+            <option value="">{t('devices.systemDefault')}</option>
+            {outputs.map(device => (
+              <option key={device.id} value={device.id}>
+                {device.label || t('devices.unnamedSpeaker', { number: device.number })}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default AudioDevices;
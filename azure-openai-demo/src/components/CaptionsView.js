@@ -0,0 +1,31 @@
+// src/components/CaptionsView.js
+import React, { useEffect, useRef } from 'react';
+import { useTranslation } from '../i18n';
+
+const CAPTION_LINES = 6;
+
+// High-contrast, large-print transcript of the live conversation for people who
+// can't follow the audio; shows the latest lines as they stream in
+function CaptionsView({ messages }) {
+  const t = useTranslation();
+  const containerRef = useRef(null);
+  const lines = messages.filter(msg => msg.text?.trim()).slice(-CAPTION_LINES);
+
+  useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = containerRef.current.scrollHeight;
+  }, [messages]);
+
+  return (
+    <section className="captions-view" ref={containerRef} aria-label={t('captions.title')} tabIndex={0}>
+      {lines.length === 0 && <p className="caption-empty">{t('captions.empty')}</p>}
+      {lines.map((msg, index) => (
+        <p key={msg.id ?? `caption-${index}`} className={`caption ${msg.sender}${msg.streaming ? ' streaming' : ''}`}>
+          <span className="caption-speaker">{msg.sender === 'user' ? t('chat.user') : t('chat.assistant')}:</span>
+          {' '}{msg.text}
+        </p>
+      ))}
+    </section>
+  );
+}
+
+export default CaptionsView;
@@ -1,27 +1,80 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import ResultTable from './ResultTable';
+import ResultChart from './ResultChart';
+import QueryDetails from './QueryDetails';
+import { pickChart } from '../services/QueryResults';
+import { useTranslation } from '../i18n';
 
-function ChatWindow({ messages, currentTranscript }) {
+function QueryResult({ records }) {
+  const chart = pickChart(records);
+  return (
+    <div className="query-result">
+      {chart && <ResultChart chart={chart} />}
+      <ResultTable records={records} />
+    </div>
+  );
+}
+
+function ChatWindow({ messages, progress, responseAudio = {}, onReplay, onStopReplay }) {
   const chatContainerRef = useRef(null);
+  const [replayingId, setReplayingId] = useState(null);
+  const t = useTranslation();
+
+  // One replay at a time; starting another one stops the current one
+  const toggleReplay = (id) => {
+    if (replayingId === id) {
+      onStopReplay();
+      return;
+    }
+    setReplayingId(id);
+    onReplay(id).finally(() => setReplayingId(current => (current === id ? null : current)));
+  };
 
   useEffect(() => {
     if (chatContainerRef.current) {
       chatContainerRef.current.scrollTop = chatContainerRef.current.scrollHeight;
     }
-  }, [messages, currentTranscript]);
+  }, [messages, progress]);
 
+  // Not a live region, streaming text would be read out word by word; the
+  // Announcer reads completed replies. Focusable so it can be scrolled by keyboard.
   return (
-    <div className="chat-container" ref={chatContainerRef}>
+    <div
+      className="chat-container"
+      ref={chatContainerRef}
+      role="log"
+      aria-live="off"
+      aria-label={t('chat.title')}
+      tabIndex={0}
+    >
       {/* Display all previous messages */}
       {messages.map((msg, index) => (
-        <div key={`msg-${index}`} className={`message ${msg.sender}`}>
-          <div className="transcript">{msg.text}</div>
-        </div>
+        <article
+          key={msg.id ?? `msg-${index}`}
+          className={`message ${msg.sender}${msg.streaming ? ' streaming' : ''}${msg.interrupted ? ' interrupted' : ''}${msg.seeded ? ' seeded' : ''}`}
+          aria-label={msg.sender === 'user' ? t('chat.user') : t('chat.assistant')}
+          aria-busy={Boolean(msg.streaming)}
+        >
+          <div className="transcript">{msg.text || '…'}</div>
+          {msg.interrupted && <div className="message-note">{t('chat.interrupted')}</div>}
+          {responseAudio[msg.id] && !msg.streaming && (
+            <button
+              type="button"
+              className="replay-button"
+              onClick={() => toggleReplay(msg.id)}
+            >
+              {replayingId === msg.id ? t('chat.stopReplay') : t('chat.replay')}
+            </button>
+          )}
+          {msg.records?.length > 0 && <QueryResult records={msg.records} />}
+          {msg.query && <QueryDetails query={msg.query} />}
+        </article>
       ))}
       
-      {/* Display current transcript as a real-time typing indicator */}
-      {currentTranscript && currentTranscript.trim() !== '' && (
-        <div key="current-transcript" className="message assistant">
-          <div className="transcript">{currentTranscript}</div>
+      {/* Progress while a question is analyzed or data is fetched */}
+      {progress && (
+        <div key="progress" className="message assistant progress">
+          <div className="transcript">{t(progress)}</div>
         </div>
       )}
     </div>
@@ -0,0 +1,43 @@
+import React from 'react';
+import { useTranslation } from '../i18n';
+
+function ConversationHistory({ conversations, activeId, viewingId, onOpen, onContinue, onDelete }) {
+  const t = useTranslation();
+  return (
+    <aside className="conversation-history">
+      <h2>{t('history.title')}</h2>
+      {conversations.length === 0 && <p className="empty">{t('history.empty')}</p>}
+      <ul>
+        {conversations.map(conversation => (
+          <li
+            key={conversation.id}
+            className={conversation.id === viewingId ? 'selected' : ''}
+          >
+            <button
+              type="button"
+              className="conversation-title"
+              onClick={() => onOpen(conversation)}
+              title={t('history.open')}
+            >
+              {conversation.title || t('history.untitled')}
+            </button>
+            <div className="conversation-meta">
+              {t('history.meta', { date: new Date(conversation.startedAt).toLocaleString(), count: conversation.messages.length })}
+              {conversation.id === activeId && ` · ${t('history.live')}`}
+            </div>
+            <div className="conversation-actions">
+              <button type="button" onClick={() => onContinue(conversation)} disabled={conversation.id === activeId}>
+                {t('history.useAsContext')}
+              </button>
+              <button type="button" onClick={() => onDelete(conversation)} disabled={conversation.id === activeId}>
+                {t('history.delete')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default ConversationHistory;
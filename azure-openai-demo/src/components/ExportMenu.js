@@ -0,0 +1,36 @@
+import React from 'react';
+import { useTranslation } from '../i18n';
+import { toMarkdown, toJson, exportFileName, downloadFile } from '../services/ConversationExport';
+
+function ExportMenu({ conversation, recording, addLog }) {
+  const t = useTranslation();
+  const disabled = !conversation || conversation.messages.length === 0;
+
+  const exportMarkdown = () => {
+    downloadFile(exportFileName(conversation, 'md'), toMarkdown(conversation), 'text/markdown');
+    addLog('✅ Conversation exported as Markdown');
+  };
+
+  const exportJson = () => {
+    downloadFile(exportFileName(conversation, 'json'), toJson(conversation), 'application/json');
+    addLog('✅ Conversation exported as JSON');
+  };
+
+  const exportAudio = () => {
+    downloadFile(exportFileName(conversation, 'webm'), recording, 'audio/webm');
+    addLog('✅ Call recording downloaded');
+  };
+
+  return (
+    <div className="export-menu">
+      <span>{t('export.label')}</span>
+      <button type="button" onClick={exportMarkdown} disabled={disabled}>{t('export.markdown')}</button>
+      <button type="button" onClick={exportJson} disabled={disabled}>{t('export.json')}</button>
+      {recording && (
+        <button type="button" onClick={exportAudio} disabled={!conversation}>{t('export.audio')}</button>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,43 @@
+// src/components/LevelMeters.js
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from '../i18n';
+
+const POLL_INTERVAL_MS = 100;
+
+function Meter({ label, meterLabel, level }) {
+  return (
+    <div className="level-meter">
+      <span className="level-meter-label">{label}</span>
+      <div
+        className="level-meter-track"
+        role="meter"
+        aria-label={meterLabel}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(level * 100)}
+      >
+        <div className="level-meter-fill" style={{ width: `${level * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// Live microphone and speaker levels, read from the session while it runs
+function LevelMeters({ getLevels }) {
+  const t = useTranslation();
+  const [levels, setLevels] = useState({ input: 0, output: 0 });
+
+  useEffect(() => {
+    const timer = setInterval(() => setLevels(getLevels() || { input: 0, output: 0 }), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [getLevels]);
+
+  return (
+    <div className="level-meters">
+      <Meter label={t('meters.input')} meterLabel={t('meters.inputLevel')} level={levels.input} />
+      <Meter label={t('meters.output')} meterLabel={t('meters.outputLevel')} level={levels.output} />
+    </div>
+  );
+}
+
+export default LevelMeters;
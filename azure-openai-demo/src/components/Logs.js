@@ -1,21 +1,97 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState, memo } from 'react';
+import { LOG_LEVELS, LOG_SOURCES, MAX_LOG_ENTRIES, filterLogEntries, toNdjson } from '../services/LogStore';
+import { downloadFile } from '../services/ConversationExport';
 
-function Logs({ logs }) {
+const formatTime = (time) => new Date(time).toLocaleTimeString();
+
+// Payloads are only serialized once expanded, the buffer holds thousands of entries
+const LogRow = memo(function LogRow({ entry }) {
+  const [expanded, setExpanded] = useState(false);
+  const hasPayload = entry.payload !== undefined;
+
+  return (
+    <div className={`log-entry log-${entry.level}`}>
+      <span className="log-time">[{formatTime(entry.time)}]</span>
+      <span className="log-source">{entry.source}</span>
+      <span className="log-message">{entry.message}</span>
+      {hasPayload && (
+        <button
+          type="button"
+          className="log-expand"
+          aria-expanded={expanded}
+          onClick={() => setExpanded(!expanded)}
+        >
+          {expanded ? 'Hide JSON' : 'JSON'}
+        </button>
+      )}
+      {hasPayload && expanded && (
+        <pre className="log-payload">{JSON.stringify(entry.payload, null, 2)}</pre>
+      )}
+    </div>
+  );
+});
+
+function Logs({ logs, onClear }) {
   const logsRef = useRef(null);
+  const [minLevel, setMinLevel] = useState(LOG_LEVELS[0]);
+  const [source, setSource] = useState('all');
+  const [search, setSearch] = useState('');
+  const [paused, setPaused] = useState(false);
+
+  const visible = filterLogEntries(logs, {
+    levels: LOG_LEVELS.slice(LOG_LEVELS.indexOf(minLevel)),
+    sources: source === 'all' ? LOG_SOURCES : [source],
+    search
+  });
 
   useEffect(() => {
-    if (logsRef.current) {
+    if (logsRef.current && !paused) {
       logsRef.current.scrollTop = logsRef.current.scrollHeight;
     }
-  }, [logs]);
+  }, [logs, paused]);
+
+  const download = () => {
+    downloadFile(`logs-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`, toNdjson(logs), 'application/x-ndjson');
+  };
 
   return (
-    <div className="logs" ref={logsRef}>
-      {logs.map((log, index) => (
-        <div key={index}>{log}</div>
-      ))}
+    <div className="log-viewer">
+      <div className="log-toolbar">
+        <label>
+          Level{' '}
+          <select value={minLevel} onChange={(e) => setMinLevel(e.target.value)}>
+            {LOG_LEVELS.map(level => <option key={level} value={level}>{level}+</option>)}
+          </select>
+        </label>
+        <label>
+          Source{' '}
+          <select value={source} onChange={(e) => setSource(e.target.value)}>
+            <option value="all">all</option>
+            {LOG_SOURCES.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <input
+          type="search"
+          placeholder="Search logs"
+          aria-label="Search logs"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <label>
+          <input type="checkbox" checked={paused} onChange={(e) => setPaused(e.target.checked)} />
+          {' '}Pause autoscroll
+        </label>
+        <span className="log-count">
+          {visible.length} of {logs.length}{logs.length >= MAX_LOG_ENTRIES ? ` (newest ${MAX_LOG_ENTRIES} kept)` : ''}
+        </span>
+        <button type="button" onClick={download} disabled={logs.length === 0}>Download NDJSON</button>
+        <button type="button" onClick={onClear} disabled={logs.length === 0}>Clear</button>
+      </div>
+      <div className="logs" ref={logsRef}>
+        {visible.map(entry => <LogRow key={entry.id} entry={entry} />)}
+      </div>
     </div>
   );
 }
 
-export default Logs;
\ No newline at end of file
+export default Logs;
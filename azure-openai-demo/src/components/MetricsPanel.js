@@ -0,0 +1,73 @@
+// src/components/MetricsPanel.js
+import React from 'react';
+import { useTranslation } from '../i18n';
+import { TURN_STAGES, summarizeTurns, summarizeConnection, metricsToJson } from '../services/TurnMetrics';
+import { downloadFile } from '../services/ConversationExport';
+
+// Stage labels are the metrics.stage.<stage> translation keys
+const CONNECTION_LABELS = {
+  rttMs: ['metrics.rtt', 'ms'],
+  jitterMs: ['metrics.jitter', 'ms'],
+  packetLossPct: ['metrics.packetLoss', '%'],
+  inboundKbps: ['metrics.bitrateIn', 'kbps'],
+  outboundKbps: ['metrics.bitrateOut', 'kbps']
+};
+
+const format = (value, unit = 'ms') => (value === null || value === undefined ? '–' : `${value} ${unit}`);
+
+// Collapsible per-turn latency and connection quality figures for the current session
+function MetricsPanel({ turns, connection, addLog }) {
+  const t = useTranslation();
+  const turnSummary = summarizeTurns(turns);
+  const connectionSummary = summarizeConnection(connection);
+  const lastTurn = turns[turns.length - 1];
+  const latest = connection[connection.length - 1];
+
+  const exportJson = () => {
+    downloadFile(`metrics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`, metricsToJson({ turns, connection }), 'application/json');
+    addLog('✅ Metrics exported as JSON');
+  };
+
+  return (
+    <details className="metrics-panel">
+      <summary>{turns.length === 1 ? t('metrics.summaryOne') : t('metrics.summary', { count: turns.length })}</summary>
+      <table className="metrics-table">
+        <caption>{t('metrics.turnsCaption')}</caption>
+        <thead>
+          <tr><th>{t('metrics.stage')}</th><th>{t('metrics.last')}</th><th>{t('metrics.avg')}</th><th>{t('metrics.p95')}</th></tr>
+        </thead>
+        <tbody>
+          {TURN_STAGES.map(stage => (
+            <tr key={stage}>
+              <td>{t(`metrics.stage.${stage}`)}</td>
+              <td>{format(lastTurn?.stages[stage])}</td>
+              <td>{format(turnSummary[stage].avg)}</td>
+              <td>{format(turnSummary[stage].p95)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <table className="metrics-table">
+        <caption>{t('metrics.connectionCaption')}</caption>
+        <thead>
+          <tr><th>{t('metrics.measure')}</th><th>{t('metrics.now')}</th><th>{t('metrics.avg')}</th><th>{t('metrics.p95')}</th></tr>
+        </thead>
+        <tbody>
+          {Object.entries(CONNECTION_LABELS).map(([field, [label, unit]]) => (
+            <tr key={field}>
+              <td>{t(label)}</td>
+              <td>{format(latest?.[field], unit)}</td>
+              <td>{format(connectionSummary[field].avg, unit)}</td>
+              <td>{format(connectionSummary[field].p95, unit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={exportJson} disabled={turns.length === 0 && connection.length === 0}>
+        {t('metrics.export')}
+      </button>
+    </details>
+  );
+}
+
+export default MetricsPanel;
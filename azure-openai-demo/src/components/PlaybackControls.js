@@ -0,0 +1,52 @@
+// src/components/PlaybackControls.js
+import React, { useEffect, useState } from 'react';
+import { PLAYBACK_RATES, loadPlaybackPrefs, savePlaybackPrefs } from '../services/AudioPlayback';
+import { Shortcut, shortcutKeys } from '../services/KeyboardShortcuts';
+import { useTranslation } from '../i18n';
+import useShortcut from './useShortcut';
+
+// Master volume and mute for the assistant's audio, and the speed of replays.
+// Changes apply immediately and are remembered in the browser.
+function PlaybackControls({ playback }) {
+  const t = useTranslation();
+  const [prefs, setPrefs] = useState(() => loadPlaybackPrefs());
+
+  useEffect(() => {
+    playback.configure(prefs);
+    savePlaybackPrefs(prefs);
+  }, [playback, prefs]);
+
+  const change = (changes) => setPrefs(prev => ({ ...prev, ...changes }));
+  const toggleMute = () => setPrefs(prev => ({ ...prev, muted: !prev.muted }));
+  useShortcut(Shortcut.TOGGLE_MUTE, toggleMute);
+
+  return (
+    <div className="playback-controls">
+      <button
+        type="button"
+        className={prefs.muted ? 'active' : ''}
+        aria-pressed={prefs.muted}
+        aria-keyshortcuts={shortcutKeys(Shortcut.TOGGLE_MUTE)}
+        onClick={toggleMute}
+      >
+        {t('controls.mute')}
+      </button>
+      <label htmlFor="playbackVolume">{t('controls.volume')}</label>
+      <input
+        type="range"
+        id="playbackVolume"
+        min="0"
+        max="1"
+        step="0.05"
+        value={prefs.volume}
+        onChange={(e) => change({ volume: Number(e.target.value) })}
+      />
+      <label htmlFor="playbackRate">{t('controls.replaySpeed')}</label>
+      <select id="playbackRate" value={prefs.rate} onChange={(e) => change({ rate: Number(e.target.value) })}>
+        {PLAYBACK_RATES.map(rate => <option key={rate} value={rate}>{rate}×</option>)}
+      </select>
+    </div>
+  );
+}
+
+export default PlaybackControls;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import {
+  BUILT_IN_PRESETS,
+  COMPUTED_VARIABLES,
+  DEFAULT_PROMPT_VARIABLES,
+  findVariables,
+  resolveInstructions,
+  loadPresets,
+  savePresets
+} from '../services/PromptTemplates';
+import { useTranslation } from '../i18n';
+
+const BACKEND_PRESET = '';
+// Preset names are trimmed, so this cannot clash with one
+const CUSTOM_PRESET = ' custom';
+
+// Edits the instructions template and its variables; the settings form applies them
+function PromptEditor({ template, variables = {}, backendPrompt, onChange, addLog }) {
+  const [savedPresets, setSavedPresets] = useState(() => loadPresets());
+  const [presetName, setPresetName] = useState('');
+  const t = useTranslation();
+
+  const presets = [
+    ...BUILT_IN_PRESETS.map(p => ({ ...p, builtIn: true })),
+    ...Object.entries(savedPresets).map(([name, text]) => ({ name, template: text, builtIn: false }))
+  ];
+  // The preset whose text the current override matches, if any
+  const selected = template.trim() ? presets.find(p => p.template === template) : null;
+  const preset = template.trim() ? selected?.name ?? CUSTOM_PRESET : BACKEND_PRESET;
+  const editable = findVariables(template).filter(name => !COMPUTED_VARIABLES.includes(name));
+  const values = { ...DEFAULT_PROMPT_VARIABLES, ...variables };
+  const empty = editable.filter(name => !values[name]);
+  const preview = resolveInstructions(template, variables, backendPrompt || '{backendPrompt}');
+
+  const choosePreset = (name) => {
+    const chosen = presets.find(p => p.name === name);
+    onChange({ instructions: chosen ? chosen.template : '' });
+  };
+
+  const setVariable = (name, value) => onChange({ promptVariables: { ...variables, [name]: value } });
+
+  const storePresets = (next) => {
+    setSavedPresets(next);
+    savePresets(next);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name || !template.trim()) {
+      addLog('❌ Preset not saved: enter a name and a prompt');
+      return;
+    }
+    if (BUILT_IN_PRESETS.some(p => p.name === name)) {
+      addLog(`❌ Preset not saved: "${name}" is a built-in preset`);
+      return;
+    }
+    storePresets({ ...savedPresets, [name]: template });
+    setPresetName('');
+    addLog(`✅ Prompt preset "${name}" saved`);
+  };
+
+  const deletePreset = () => {
+    const { [preset]: deleted, ...rest } = savedPresets;
+    storePresets(rest);
+    addLog(`✅ Prompt preset "${preset}" deleted`);
+  };
+
+  return (
+    <fieldset className="prompt-editor">
+      <legend>{t('prompt.title')}</legend>
+      <details className="backend-prompt">
+        <summary>{t('prompt.backendPrompt')}</summary>
+        {backendPrompt
+          ? <pre>{backendPrompt}</pre>
+          : <p className="hint">{t('prompt.backendPromptMissing')}</p>}
+      </details>
+      <div className="form-group">
+        <label htmlFor="promptPreset">{t('prompt.preset')}</label>
+        <select id="promptPreset" value={preset} onChange={(e) => choosePreset(e.target.value)}>
+          <option value={BACKEND_PRESET}>{t('prompt.noOverride')}</option>
+          {preset === CUSTOM_PRESET && <option value={CUSTOM_PRESET} disabled>{t('prompt.customOverride')}</option>}
+          {presets.map(p => (
+            <option key={p.name} value={p.name}>{p.builtIn ? p.name : t('prompt.savedPreset', { name: p.name })}</option>
+          ))}
+        </select>
+        {selected && !selected.builtIn && (
+          <button type="button" onClick={deletePreset}>{t('prompt.deletePreset')}</button>
+        )}
+      </div>
+      <div className="form-group">
+        <label htmlFor="instructions">{t('prompt.override')}</label>
+        <textarea
+          id="instructions"
+          rows="6"
+          placeholder={t('prompt.overridePlaceholder')}
+          value={template}
+          onChange={(e) => onChange({ instructions: e.target.value })}
+        />
+        <button
+          type="button"
+          onClick={() => onChange({ instructions: backendPrompt })}
+          disabled={!backendPrompt}
+        >
+          {t('prompt.editCopy')}
+        </button>
+      </div>
+      {editable.map(name => (
+        <div className="form-group" key={name}>
+          <label htmlFor={`prompt-var-${name}`}>{`{${name}}`}:</label>
+          <input
+            type="text"
+            id={`prompt-var-${name}`}
+            value={values[name] ?? ''}
+            onChange={(e) => setVariable(name, e.target.value)}
+          />
+        </div>
+      ))}
+      {empty.length > 0 && (
+        <p className="field-error">
+          {t('prompt.missingValues', { names: empty.map(name => `{${name}}`).join(', ') })}
+        </p>
+      )}
+      {template.trim() && (
+        <details className="prompt-preview">
+          <summary>{t('prompt.preview')}</summary>
+          <pre>{preview}</pre>
+        </details>
+      )}
+      <div className="form-group">
+        <label htmlFor="promptPresetName">{t('prompt.saveAs')}</label>
+        <input
+          type="text"
+          id="promptPresetName"
+          placeholder={t('prompt.saveAsPlaceholder')}
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+        />
+        <button type="button" onClick={savePreset}>{t('prompt.savePreset')}</button>
+      </div>
+    </fieldset>
+  );
+}
+
+export default PromptEditor;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { useTranslation } from '../i18n';
+
+const INTENT_LABELS = {
+  statistical: 'query.intent.statistical',
+  tool: 'query.intent.tool'
+};
+
+// Expandable explanation of how a statistical answer was produced
+function QueryDetails({ query }) {
+  const t = useTranslation();
+  const { question, intent, rewrittenQuery, sql, attempts, rowCount } = query;
+
+  return (
+    <details className="query-details">
+      <summary>{t('query.title')}</summary>
+      <dl>
+        <dt>{t('query.intent')}</dt>
+        <dd>{t(INTENT_LABELS[intent] || 'query.intent.conversational')}</dd>
+
+        <dt>{t('query.question')}</dt>
+        <dd>{question}</dd>
+
+        <dt>{t('query.rewritten')}</dt>
+        <dd>{rewrittenQuery || t('query.notReturned')}</dd>
+
+        <dt>{attempts > 1 ? t('query.sqlAttempt', { attempt: attempts }) : t('query.sql')}</dt>
+        <dd>{sql ? <pre><code>{sql}</code></pre> : t('query.notReturned')}</dd>
+
+        <dt>{t('query.rows')}</dt>
+        <dd>{rowCount}</dd>
+      </dl>
+    </details>
+  );
+}
+
+export default QueryDetails;
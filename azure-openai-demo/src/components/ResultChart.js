@@ -0,0 +1,75 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const MARGIN = { top: 20, right: 20, bottom: 60, left: 50 };
+
+// Lightweight SVG chart for query results, see pickChart in services/QueryResults
+function ResultChart({ chart }) {
+  const { type, labelColumn, valueColumn, aggregated, points } = chart;
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const max = Math.max(...points.map(p => p.value), 0) || 1;
+  const slot = plotWidth / points.length;
+
+  const x = (i) => MARGIN.left + slot * i + slot / 2;
+  const y = (value) => MARGIN.top + plotHeight - (value / max) * plotHeight;
+
+  const title = `${valueColumn}${aggregated ? ' (total)' : ''} by ${labelColumn}`;
+
+  return (
+    <figure className="result-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title}>
+        <line
+          x1={MARGIN.left} y1={MARGIN.top + plotHeight}
+          x2={MARGIN.left + plotWidth} y2={MARGIN.top + plotHeight}
+          className="axis"
+        />
+        <text x={MARGIN.left - 6} y={MARGIN.top + 4} textAnchor="end" className="tick">{max}</text>
+        <text x={MARGIN.left - 6} y={MARGIN.top + plotHeight} textAnchor="end" className="tick">0</text>
+
+        {type === 'bar' && points.map((p, i) => (
+          <rect
+            key={p.label}
+            x={x(i) - slot * 0.35}
+            y={y(p.value)}
+            width={slot * 0.7}
+            height={MARGIN.top + plotHeight - y(p.value)}
+            className="bar"
+          >
+            <title>{`${p.label}: ${p.value}`}</title>
+          </rect>
+        ))}
+
+        {type === 'line' && (
+          <polyline
+            points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}
+            className="line"
+          />
+        )}
+        {type === 'line' && points.map((p, i) => (
+          <circle key={p.label} cx={x(i)} cy={y(p.value)} r="4" className="point">
+            <title>{`${p.label}: ${p.value}`}</title>
+          </circle>
+        ))}
+
+        {points.map((p, i) => (
+          <text
+            key={p.label}
+            x={x(i)}
+            y={MARGIN.top + plotHeight + 14}
+            textAnchor="end"
+            transform={`rotate(-35 ${x(i)} ${MARGIN.top + plotHeight + 14})`}
+            className="tick"
+          >
+            {p.label}
+          </text>
+        ))}
+      </svg>
+      <figcaption>{title}</figcaption>
+    </figure>
+  );
+}
+
+export default ResultChart;
@@ -0,0 +1,57 @@
+import React, { useMemo, useState } from 'react';
+import { sortRecords } from '../services/QueryResults';
+
+function ResultTable({ records }) {
+  const [sort, setSort] = useState({ column: null, direction: 'asc' });
+
+  const columns = records.length > 0 ? Object.keys(records[0]) : [];
+  const rows = useMemo(
+    () => (sort.column ? sortRecords(records, sort.column, sort.direction) : records),
+    [records, sort]
+  );
+
+  const toggleSort = (column) => {
+    setSort(prev => ({
+      column,
+      direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  if (columns.length === 0) return null;
+
+  return (
+    <div className="result-table-wrapper">
+      <table className="result-table">
+        <thead>
+          <tr>
+            {columns.map(column => {
+              const direction = sort.column === column ? sort.direction : null;
+              return (
+                <th
+                  key={column}
+                  aria-sort={direction ? (direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button type="button" onClick={() => toggleSort(column)}>
+                    {column}
+                    {direction && <span aria-hidden="true">{direction === 'asc' ? ' ▲' : ' ▼'}</span>}
+                  </button>
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((record, index) => (
+            <tr key={index}>
+              {columns.map(column => (
+                <td key={column}>{record[column] === null || record[column] === undefined ? 'N/A' : String(record[column])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ResultTable;
@@ -1,88 +1,367 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import AudioDevices from './AudioDevices';
+import PromptEditor from './PromptEditor';
+import { PRICE_FIELDS, pricesFor } from '../services/UsageTracker';
+import { DEFAULT_API_URL } from '../services/ApiService';
+import { downloadFile } from '../services/ConversationExport';
+import { LANGUAGES } from '../services/Languages';
+import { useTranslation } from '../i18n';
+import {
+  SETTINGS_KEY,
+  VOICES,
+  REGIONS,
+  TRANSCRIPTION_MODELS,
+  validateSettings,
+  describeProblem,
+  normalizeSettings,
+  loadSettings,
+  loadProfiles,
+  saveProfiles,
+  profileSettings,
+  copyName,
+  profileToJson,
+  parseProfileJson
+} from '../services/SettingsProfiles';
 
-function Settings({ settings, setSettings, addLog }) {
-  const [voice, setVoice] = useState(settings.voice);
-  const [region, setRegion] = useState(settings.region);
-  const [deploymentName, setDeploymentName] = useState(settings.deploymentName);
-  const [apiVersion, setApiVersion] = useState(settings.apiVersion);
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
 
-  const saveSettings = () => {
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+function FieldError({ field, errors }) {
+  const t = useTranslation();
+  if (!errors[field]) return null;
+  const { key, params } = errors[field];
+  return <p id={`${field}Error`} className="field-error">{t(key, params)}</p>;
+}
+
+// aria attributes that tie an input to its error message
+const errorProps = (field, errors) => ({
+  'aria-invalid': Boolean(errors[field]),
+  'aria-describedby': errors[field] ? `${field}Error` : undefined
+});
+
+function Settings({ settings, setSettings, addLog, backendPrompt }) {
+  const t = useTranslation();
+  // The form edits a draft; it is applied on save or when a profile is chosen
+  const [draft, setDraft] = useState(settings);
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [profileName, setProfileName] = useState(profiles.active || '');
+  const importRef = useRef(null);
+
+  const errors = validateSettings(draft);
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const bind = (field) => ({
+    id: field,
+    value: draft[field] ?? '',
+    onChange: (e) => update(field, e.target.value),
+    ...errorProps(field, errors)
+  });
+
+  // Prices are kept per deployment; empty fields use the defaults for its model
+  const { deploymentName, tokenPrices = {} } = draft;
+  const defaultPrices = pricesFor(deploymentName) || {};
+  const customPrices = tokenPrices[deploymentName] || {};
+  const setPrice = (field, value) => update('tokenPrices', {
+    ...tokenPrices,
+    [deploymentName]: { ...tokenPrices[deploymentName], [field]: value }
+  });
+
+  // Devices stay as picked, they are not part of the form or of profiles
+  const apply = (next) => {
     const newSettings = {
-      ...settings,
-      voice,
-      region,
-      deploymentName,
-      apiVersion
+      ...normalizeSettings(next),
+      inputDeviceId: settings.inputDeviceId,
+      outputDeviceId: settings.outputDeviceId
     };
+    setDraft(newSettings);
     setSettings(newSettings);
-    localStorage.setItem('azureOpenAISettings', JSON.stringify(newSettings));
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(newSettings));
+    return newSettings;
+  };
+
+  const rejectInvalid = (action) => {
+    const [field, error] = Object.entries(errors)[0] || [];
+    if (!field) return false;
+    addLog(`❌ ${action}: ${field} – ${describeProblem(error)}`);
+    return true;
+  };
+
+  const saveSettings = () => {
+    if (rejectInvalid('Settings not saved')) return;
+    apply(draft);
     addLog('✅ Settings saved');
   };
 
-  useEffect(() => {
-    const savedSettings = JSON.parse(localStorage.getItem('azureOpenAISettings') || '{}');
-    if (savedSettings.voice) setVoice(savedSettings.voice);
-    if (savedSettings.region) setRegion(savedSettings.region);
-    if (savedSettings.deploymentName) setDeploymentName(savedSettings.deploymentName);
-    if (savedSettings.apiVersion) setApiVersion(savedSettings.apiVersion);
-    
-    if (Object.keys(savedSettings).length > 0) {
-      setSettings(prevSettings => ({
-        ...prevSettings,
-        ...savedSettings
-      }));
+  const storeProfiles = (next) => {
+    setProfiles(next);
+    saveProfiles(next);
+  };
+
+  const selectProfile = (name) => {
+    setProfileName(name);
+    storeProfiles({ ...profiles, active: name || null });
+    if (!name) return;
+    apply({ ...draft, ...profiles.profiles[name] });
+    addLog(`✅ Profile "${name}" applied`);
+  };
+
+  const saveProfile = () => {
+    const name = profileName.trim();
+    if (!name) {
+      addLog('❌ Profile not saved: enter a name');
+      return;
+    }
+    if (rejectInvalid('Profile not saved')) return;
+    const saved = apply(draft);
+    storeProfiles({ active: name, profiles: { ...profiles.profiles, [name]: profileSettings(saved) } });
+    setProfileName(name);
+    addLog(`✅ Profile "${name}" saved`);
+  };
+
+  const duplicateProfile = () => {
+    const name = copyName(profiles.active, profiles.profiles);
+    storeProfiles({ active: name, profiles: { ...profiles.profiles, [name]: profiles.profiles[profiles.active] } });
+    setProfileName(name);
+    addLog(`✅ Profile "${profiles.active}" duplicated as "${name}"`);
+  };
+
+  const deleteProfile = () => {
+    const { [profiles.active]: deleted, ...rest } = profiles.profiles;
+    storeProfiles({ active: null, profiles: rest });
+    setProfileName('');
+    addLog(`✅ Profile "${profiles.active}" deleted`);
+  };
+
+  const exportProfile = () => {
+    const fileName = `${profiles.active.replace(/[^\w-]+/g, '-')}.settings.json`;
+    downloadFile(fileName, profileToJson(profiles.active, profiles.profiles[profiles.active]), 'application/json');
+  };
+
+  // An imported profile never replaces one with the same name
+  const importProfile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseProfileJson(await readFile(file));
+      const name = profiles.profiles[imported.name] ? copyName(imported.name, profiles.profiles) : imported.name;
+      storeProfiles({ active: name, profiles: { ...profiles.profiles, [name]: imported.settings } });
+      setProfileName(name);
+      apply({ ...draft, ...imported.settings });
+      addLog(`✅ Profile "${name}" imported`);
+    } catch (err) {
+      addLog(`❌ Could not import ${file.name}: ${err.message}`);
     }
+  };
+
+  // Device choices take effect immediately, also during a conversation
+  const changeDevices = (devices) => {
+    setSettings(prevSettings => ({ ...prevSettings, ...devices }));
+    const savedSettings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...savedSettings, ...devices }));
+  };
+
+  useEffect(() => {
+    if (!localStorage.getItem(SETTINGS_KEY)) return;
+    const savedSettings = loadSettings();
+    setDraft(savedSettings);
+    setSettings(savedSettings);
   }, []);
 
+  const { sessionMode, turnDetection } = draft;
+  const profileNames = Object.keys(profiles.profiles).sort((a, b) => a.localeCompare(b));
+
   return (
     <div className="settings">
-      <h2>Settings</h2>
+      <h2>{t('settings.title')}</h2>
+      <fieldset className="settings-profiles">
+        <legend>{t('settings.profiles')}</legend>
+        <div className="form-group">
+          <label htmlFor="profile">{t('settings.profile')}</label>
+          <select
+            id="profile"
+            value={profiles.active || ''}
+            onChange={(e) => selectProfile(e.target.value)}
+          >
+            <option value="">{t('settings.noProfile')}</option>
+            {profileNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="profileName">{t('settings.profileName')}</label>
+          <input
+            type="text"
+            id="profileName"
+            placeholder={t('settings.profileNamePlaceholder')}
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+          />
+        </div>
+        <div className="profile-actions">
+          <button type="button" onClick={saveProfile}>{t('settings.saveProfile')}</button>
+          <button type="button" onClick={duplicateProfile} disabled={!profiles.active}>{t('settings.duplicateProfile')}</button>
+          <button type="button" onClick={deleteProfile} disabled={!profiles.active}>{t('settings.deleteProfile')}</button>
+          <button type="button" onClick={exportProfile} disabled={!profiles.active}>{t('settings.exportProfile')}</button>
+          <button type="button" onClick={() => importRef.current?.click()}>{t('settings.importProfile')}</button>
+          <input
+            type="file"
+            ref={importRef}
+            accept="application/json,.json"
+            aria-label={t('settings.importProfileFile')}
+            hidden
+            onChange={importProfile}
+          />
+        </div>
+      </fieldset>
       <div className="form-group">
-        <label htmlFor="deploymentName">Deployment Name:</label>
-        <input 
-          type="text" 
-          id="deploymentName" 
-          placeholder="e.g., gpt-4o-mini-realtime-preview" 
-          value={deploymentName}
-          onChange={(e) => setDeploymentName(e.target.value)}
-        />
+        <label htmlFor="language">{t('settings.language')}</label>
+        <select {...bind('language')}>
+          {Object.entries(LANGUAGES).map(([code, { name }]) => <option key={code} value={code}>{name}</option>)}
+        </select>
       </div>
       <div className="form-group">
-        <label htmlFor="apiVersion">API Version:</label>
-        <input 
-          type="text" 
-          id="apiVersion" 
-          value={apiVersion}
-          onChange={(e) => setApiVersion(e.target.value)}
-        />
+        <label htmlFor="apiBaseUrl">{t('settings.backendUrl')}</label>
+        <input type="url" placeholder={DEFAULT_API_URL} {...bind('apiBaseUrl')} />
+        <FieldError field="apiBaseUrl" errors={errors} />
+      </div>
+      <div className="form-group">
+        <label htmlFor="deploymentName">{t('settings.deploymentName')}</label>
+        <input type="text" placeholder={t('settings.deploymentNamePlaceholder')} {...bind('deploymentName')} />
+        <FieldError field="deploymentName" errors={errors} />
+      </div>
+      <div className="form-group">
+        <label htmlFor="apiVersion">{t('settings.apiVersion')}</label>
+        <input type="text" placeholder={t('settings.apiVersionPlaceholder')} {...bind('apiVersion')} />
+        <FieldError field="apiVersion" errors={errors} />
+      </div>
+      <div className="form-group">
+        <label htmlFor="voice">{t('settings.voice')}</label>
+        <select {...bind('voice')}>
+          {VOICES.map(voice => <option key={voice} value={voice}>{capitalize(voice)}</option>)}
+        </select>
+      </div>
+      <div className="form-group">
+        <label htmlFor="region">{t('settings.region')}</label>
+        <select {...bind('region')}>
+          {REGIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      <div className="form-group">
+        <label htmlFor="sessionMode">{t('settings.sessionMode')}</label>
+        <select {...bind('sessionMode')}>
+          <option value="voice">{t('settings.sessionMode.voice')}</option>
+          <option value="text">{t('settings.sessionMode.text')}</option>
+        </select>
       </div>
       <div className="form-group">
-        <label htmlFor="voice">Voice:</label>
-        <select 
-          id="voice" 
-          value={voice} 
-          onChange={(e) => setVoice(e.target.value)}
-        >
-          <option value="verse">Verse</option>
-          <option value="alloy">Alloy</option>
-          <option value="nova">Nova</option>
-          <option value="shimmer">Shimmer</option>
+        <label htmlFor="queryMode">{t('settings.queryMode')}</label>
+        <select {...bind('queryMode')}>
+          <option value="tools">{t('settings.queryMode.tools')}</option>
+          <option value="classifier">{t('settings.queryMode.classifier')}</option>
         </select>
       </div>
+      <PromptEditor
+        template={draft.instructions || ''}
+        variables={draft.promptVariables}
+        backendPrompt={backendPrompt}
+        onChange={(changes) => setDraft(prev => ({ ...prev, ...changes }))}
+        addLog={addLog}
+      />
       <div className="form-group">
-        <label htmlFor="region">Region:</label>
-        <select 
-          id="region" 
-          value={region} 
-          onChange={(e) => setRegion(e.target.value)}
-        >
-          <option value="eastus2">East US 2</option>
-          <option value="swedencentral">Sweden Central</option>
+        <label htmlFor="transcriptionModel">{t('settings.transcriptionModel')}</label>
+        <select {...bind('transcriptionModel')}>
+          {TRANSCRIPTION_MODELS.map(model => <option key={model} value={model}>{model}</option>)}
         </select>
       </div>
-      <button id="saveSettings" onClick={saveSettings}>Save Settings</button>
+      <div className="form-group">
+        <label htmlFor="temperature">{t('settings.temperature')}</label>
+        <input type="number" min="0.6" max="1.2" step="0.1" {...bind('temperature')} />
+        <FieldError field="temperature" errors={errors} />
+      </div>
+      <div className="form-group">
+        <label htmlFor="maxResponseOutputTokens">{t('settings.maxResponseTokens')}</label>
+        <input type="number" min="1" max="4096" step="1" placeholder={t('settings.noLimit')} {...bind('maxResponseOutputTokens')} />
+        <FieldError field="maxResponseOutputTokens" errors={errors} />
+      </div>
+      {sessionMode === 'voice' && (
+        <AudioDevices
+          inputDeviceId={settings.inputDeviceId || ''}
+          outputDeviceId={settings.outputDeviceId || ''}
+          onChange={changeDevices}
+        />
+      )}
+      {sessionMode === 'voice' && (
+        <div className="form-group checkbox-group">
+          <input
+            type="checkbox"
+            id="recordCall"
+            checked={Boolean(draft.recordCall)}
+            onChange={(e) => update('recordCall', e.target.checked)}
+          />
+          <label htmlFor="recordCall">{t('settings.recordCall')}</label>
+        </div>
+      )}
+      {sessionMode === 'voice' && (
+        <div className="form-group">
+          <label htmlFor="turnDetection">{t('settings.turnDetection')}</label>
+          <select {...bind('turnDetection')}>
+            <option value="server_vad">{t('settings.turnDetection.vad')}</option>
+            <option value="push_to_talk">{t('settings.turnDetection.pushToTalk')}</option>
+          </select>
+        </div>
+      )}
+      {sessionMode === 'voice' && turnDetection === 'server_vad' && (
+        <>
+          <div className="form-group">
+            <label htmlFor="vadThreshold">{t('settings.vadThreshold')}</label>
+            <input type="number" min="0" max="1" step="0.05" {...bind('vadThreshold')} />
+            <FieldError field="vadThreshold" errors={errors} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="vadPrefixPaddingMs">{t('settings.prefixPadding')}</label>
+            <input type="number" min="0" step="50" {...bind('vadPrefixPaddingMs')} />
+            <FieldError field="vadPrefixPaddingMs" errors={errors} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="vadSilenceDurationMs">{t('settings.silenceDuration')}</label>
+            <input type="number" min="100" step="100" {...bind('vadSilenceDurationMs')} />
+            <FieldError field="vadSilenceDurationMs" errors={errors} />
+          </div>
+        </>
+      )}
+      <div className="form-group">
+        <label htmlFor="budgetUsd">{t('settings.budget')}</label>
+        <input type="number" min="0" step="0.1" placeholder={t('settings.noLimit')} {...bind('budgetUsd')} />
+        <FieldError field="budgetUsd" errors={errors} />
+      </div>
+      <fieldset className="token-prices">
+        <legend>{t('settings.tokenPrices', { deployment: deploymentName || t('settings.thisDeployment') })}</legend>
+        {Object.keys(defaultPrices).length === 0 && (
+          <p className="hint">{t('settings.noDefaultPrices')}</p>
+        )}
+        {PRICE_FIELDS.map(field => (
+          <div className="form-group" key={field}>
+            <label htmlFor={`price-${field}`}>{t(`settings.price.${field}`)}</label>
+            <input
+              type="number"
+              id={`price-${field}`}
+              min="0"
+              step="0.01"
+              placeholder={defaultPrices[field] ?? ''}
+              value={customPrices[field] ?? ''}
+              onChange={(e) => setPrice(field, e.target.value)}
+            />
+          </div>
+        ))}
+      </fieldset>
+      <button id="saveSettings" onClick={saveSettings}>{t('settings.save')}</button>
     </div>
   );
 }
 
-export default Settings;
\ No newline at end of file
+export default Settings;
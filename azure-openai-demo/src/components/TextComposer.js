@@ -0,0 +1,32 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n';
+
+function TextComposer({ onSend, disabled }) {
+  const t = useTranslation();
+  const [text, setText] = useState('');
+
+  const send = (e) => {
+    e.preventDefault();
+    if (!text.trim() || disabled) return;
+    onSend(text);
+    setText('');
+  };
+
+  return (
+    <form className="text-composer" onSubmit={send}>
+      <input
+        type="text"
+        aria-label={t('composer.label')}
+        placeholder={t(disabled ? 'composer.placeholderDisconnected' : 'composer.placeholder')}
+        value={text}
+        disabled={disabled}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <button type="submit" disabled={disabled || !text.trim()}>
+        {t('composer.send')}
+      </button>
+    </form>
+  );
+}
+
+export default TextComposer;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import ChatWindow from './ChatWindow';
+import CaptionsView from './CaptionsView';
+import Controls from './Controls';
+import PlaybackControls from './PlaybackControls';
+import Settings from './Settings';
+import Logs from './Logs';
+import Announcer from './Announcer';
+import AudioPlayback from '../services/AudioPlayback';
+import { DEFAULT_SETTINGS } from '../services/SettingsProfiles';
+import { createLogEntry } from '../services/LogStore';
+
+expect.extend(toHaveNoViolations);
+
+// axe takes a while on the larger components
+jest.setTimeout(20000);
+
+const messages = [
+  { id: 'item-1', sender: 'user', text: 'Who won in Miami in 2023?' },
+  { id: 'item-2', sender: 'assistant', text: 'Max Verstappen won the 2023 Miami Grand Prix.', records: [{ Year: '2023', Driver: 'Max Verstappen' }] },
+  { id: 'item-3', sender: 'assistant', text: 'Lewis Hamilton won', interrupted: true },
+  { id: 'item-4', sender: 'user', text: 'And in', streaming: true }
+];
+
+const noop = () => {};
+
+const expectNoViolations = async (ui) => {
+  const { container } = render(ui);
+  expect(await axe(container)).toHaveNoViolations();
+};
+
+beforeEach(() => localStorage.clear());
+
+test('the chat window', () => expectNoViolations(
+  <ChatWindow
+    messages={messages}
+    progress="progress.analyzing"
+    responseAudio={{ 'item-2': new Blob(['clip']) }}
+    onReplay={() => Promise.resolve()}
+    onStopReplay={noop}
+  />
+));
+
+test('the captions view', () => expectNoViolations(<CaptionsView messages={messages} />));
+
+test('the conversation controls', () => expectNoViolations(
+  <Controls
+    isConnected={false}
+    setIsConnected={noop}
+    updateStatus={noop}
+    addLog={noop}
+    settings={DEFAULT_SETTINGS}
+    upsertMessage={noop}
+    setProgress={noop}
+    status={{ key: 'status.idle' }}
+    messages={[]}
+    onConversationStart={() => []}
+    onSessionCreated={noop}
+    onSystemPrompt={noop}
+    onCallRecording={noop}
+    onResponseAudio={noop}
+    playback={new AudioPlayback()}
+  />
+));
+
+test('the playback controls', () => expectNoViolations(<PlaybackControls playback={new AudioPlayback()} />));
+
+test('the settings form', () => expectNoViolations(
+  <Settings settings={DEFAULT_SETTINGS} setSettings={noop} addLog={noop} backendPrompt="You are a Formula One statistics assistant." />
+));
+
+test('the logs panel', () => expectNoViolations(
+  <Logs logs={[createLogEntry('Status → Connected', { type: 'status' }), createLogEntry('⬅ session.updated', { payload: { type: 'session.updated' } })]} onClear={noop} />
+));
+
+test('the screen reader announcements', () => expectNoViolations(
+  <Announcer announcements={[{ id: 1, text: 'Status: Connected' }]} />
+));
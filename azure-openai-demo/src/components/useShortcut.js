@@ -0,0 +1,21 @@
+// src/components/useShortcut.js
+import { useEffect, useRef } from 'react';
+import { matchShortcut } from '../services/KeyboardShortcuts';
+
+// Runs the handler whenever the shortcut is pressed, wherever the focus is
+function useShortcut(shortcut, handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (matchShortcut(e) !== shortcut) return;
+      e.preventDefault();
+      handlerRef.current();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [shortcut]);
+}
+
+export default useShortcut;
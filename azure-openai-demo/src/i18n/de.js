@@ -0,0 +1,190 @@
+// src/i18n/de.js
+const de = {
+  'controls.start': 'Gespräch starten',
+  'controls.end': 'Gespräch beenden',
+  'controls.holdToTalk': 'Zum Sprechen gedrückt halten',
+  'controls.releaseToSend': 'Zum Senden loslassen',
+  'controls.usage': '{tokens} Tokens · {cost}',
+  'controls.usageOfBudget': '{tokens} Tokens · {cost} von {budget}',
+  'controls.lastTurn': 'Letzte Runde: {tokens} Tokens, {cost}',
+  'controls.mute': 'Stumm',
+  'controls.volume': 'Lautstärke',
+  'controls.replaySpeed': 'Wiedergabetempo',
+  'controls.group': 'Gesprächssteuerung',
+  'controls.micOn': 'Mikrofon an',
+  'controls.shortcuts': 'Tastenkürzel: {conversation} startet oder beendet das Gespräch, {mute} schaltet stumm, {captions} zeigt Untertitel; im Push-to-Talk-Modus zum Sprechen die Leertaste halten.',
+  'meters.input': 'Mikro',
+  'meters.inputLevel': 'Mikrofonpegel',
+  'meters.output': 'Lautsprecher',
+  'meters.outputLevel': 'Lautsprecherpegel',
+  'chat.replay': 'Erneut abspielen',
+  'chat.stopReplay': 'Stopp',
+  'chat.title': 'Gespräch',
+  'chat.user': 'Sie',
+  'chat.assistant': 'Assistent',
+  'chat.interrupted': 'Unterbrochen',
+  'query.title': 'So bin ich darauf gekommen',
+  'query.intent': 'Absicht',
+  'query.intent.statistical': 'Statistisch – aus der Datenbank beantwortet',
+  'query.intent.tool': 'Statistisch – der Assistent hat die Daten per Tool-Aufruf nachgeschlagen',
+  'query.intent.conversational': 'Gespräch',
+  'query.question': 'Deine Frage',
+  'query.rewritten': 'Umformulierte Frage',
+  'query.sql': 'SQL',
+  'query.sqlAttempt': 'SQL (Versuch {attempt})',
+  'query.rows': 'Zurückgegebene Zeilen',
+  'query.notReturned': 'Vom Backend nicht geliefert',
+  'composer.label': 'Nachricht eingeben',
+  'composer.placeholder': 'Frage eingeben…',
+  'composer.placeholderDisconnected': 'Starten Sie ein Gespräch, um eine Nachricht zu schreiben',
+  'composer.send': 'Senden',
+  'captions.toggle': 'Untertitel',
+  'captions.title': 'Live-Untertitel',
+  'captions.empty': 'Untertitel erscheinen hier, sobald jemand spricht.',
+  'history.title': 'Verlauf',
+  'history.empty': 'Noch keine gespeicherten Gespräche.',
+  'history.open': 'Schreibgeschützt öffnen',
+  'history.untitled': 'Gespräch ohne Titel',
+  'history.meta': '{date} · {count} Nachrichten',
+  'history.live': 'live',
+  'history.useAsContext': 'Als Kontext verwenden',
+  'history.delete': 'Löschen',
+  'history.viewing': 'Sie sehen „{title}“ vom {date} (schreibgeschützt)',
+  'history.backToLive': 'Zurück zum Live-Chat',
+  'history.continuesFrom': 'Das nächste Gespräch knüpft an „{title}“ an',
+  'history.clearContext': 'Entfernen',
+  'export.label': 'Exportieren:',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON',
+  'export.audio': 'Audio (WebM)',
+  'metrics.summary': 'Messwerte ({count} Runden)',
+  'metrics.summaryOne': 'Messwerte (1 Runde)',
+  'metrics.turnsCaption': 'Zeit seit dem Ende der Sprache oder seit dem Senden einer getippten Frage',
+  'metrics.connectionCaption': 'Verbindung',
+  'metrics.stage': 'Phase',
+  'metrics.measure': 'Messgröße',
+  'metrics.last': 'Zuletzt',
+  'metrics.now': 'Aktuell',
+  'metrics.avg': 'Mittel',
+  'metrics.p95': 'p95',
+  'metrics.stage.transcribed': 'Transkription abgeschlossen',
+  'metrics.stage.classified': 'Absicht erkannt',
+  'metrics.stage.queried': 'Abfrage beantwortet',
+  'metrics.stage.responseCreated': 'Antwort erstellt',
+  'metrics.stage.firstDelta': 'Erstes Audio / erster Text',
+  'metrics.stage.responseDone': 'Antwort fertig',
+  'metrics.rtt': 'Umlaufzeit',
+  'metrics.jitter': 'Jitter',
+  'metrics.packetLoss': 'Paketverlust',
+  'metrics.bitrateIn': 'Bitrate eingehend',
+  'metrics.bitrateOut': 'Bitrate ausgehend',
+  'metrics.export': 'Messwerte exportieren (JSON)',
+  'announce.title': 'Ansagen',
+  'announce.status': 'Status: {status}',
+  'announce.reply': 'Assistent: {text}',
+  'status.idle': 'Bereit',
+  'status.initializing': 'Wird gestartet…',
+  'status.failed': 'Fehlgeschlagen',
+  'status.disconnected': 'Getrennt',
+  'status.connectionLost': 'Verbindung verloren',
+  'status.reconnecting': 'Neuer Verbindungsversuch ({attempt})',
+  'status.connected': 'Verbunden',
+  'status.connectedText': 'Verbunden – Nachricht eingeben',
+  'status.connectedPushToTalk': 'Verbunden – zum Sprechen gedrückt halten',
+  'status.recording': 'Aufnahme läuft',
+  'status.processing': 'Wird verarbeitet…',
+  'status.stoppedRecording': 'Aufnahme beendet',
+  'status.generating': 'Antwort wird erstellt…',
+  'status.responding': 'Antwortet…',
+  'status.fetchingData': 'Daten werden abgerufen…',
+  'status.queryFailed': 'Die Daten konnten nicht abgerufen werden',
+  'status.error': 'Fehler: {message}',
+  'status.budgetWarning': 'Budget fast aufgebraucht ({cost} von {budget})',
+  'status.budgetExceeded': 'Budget überschritten – Gespräch beendet',
+  'progress.analyzing': 'Frage wird analysiert…',
+  'progress.searching': 'Formel-1-Statistiken werden gesucht…',
+
+  'settings.title': 'Einstellungen',
+  'settings.profiles': 'Profile',
+  'settings.profile': 'Profil:',
+  'settings.noProfile': '(keins)',
+  'settings.profileName': 'Profilname:',
+  'settings.profileNamePlaceholder': 'z. B. Messestand',
+  'settings.saveProfile': 'Profil speichern',
+  'settings.duplicateProfile': 'Duplizieren',
+  'settings.deleteProfile': 'Löschen',
+  'settings.exportProfile': 'JSON exportieren',
+  'settings.importProfile': 'JSON importieren',
+  'settings.importProfileFile': 'Zu importierende Profildatei',
+  'settings.language': 'Sprache:',
+  'settings.backendUrl': 'Backend-URL:',
+  'settings.deploymentName': 'Bereitstellungsname:',
+  'settings.deploymentNamePlaceholder': 'z. B. gpt-4o-mini-realtime-preview',
+  'settings.apiVersion': 'API-Version:',
+  'settings.apiVersionPlaceholder': 'z. B. 2025-04-01-preview',
+  'settings.voice': 'Stimme:',
+  'settings.region': 'Region:',
+  'settings.sessionMode': 'Sitzungsmodus:',
+  'settings.sessionMode.voice': 'Sprache und Text',
+  'settings.sessionMode.text': 'Nur Text (ohne Mikrofon)',
+  'settings.queryMode': 'Datenabfrage:',
+  'settings.queryMode.tools': 'Das Modell ruft bei Bedarf Tools auf',
+  'settings.queryMode.classifier': 'Jede Frage zuerst klassifizieren',
+  'settings.transcriptionModel': 'Transkriptionsmodell:',
+  'settings.temperature': 'Temperatur (0,6–1,2):',
+  'settings.maxResponseTokens': 'Max. Tokens pro Antwort:',
+  'settings.noLimit': 'Unbegrenzt',
+  'settings.recordCall': 'Gesprächsaudio für den Export aufnehmen',
+  'settings.turnDetection': 'Sprecherwechsel:',
+  'settings.turnDetection.vad': 'Sprachaktivitätserkennung',
+  'settings.turnDetection.pushToTalk': 'Push-to-Talk (Taste oder Leertaste halten)',
+  'settings.vadThreshold': 'VAD-Schwelle (0–1):',
+  'settings.prefixPadding': 'Vorlauf (ms):',
+  'settings.silenceDuration': 'Pausendauer (ms):',
+  'settings.budget': 'Budget pro Gespräch (USD):',
+  'settings.tokenPrices': 'Tokenpreise (USD pro 1 Mio. Tokens) für {deployment}',
+  'settings.thisDeployment': 'diese Bereitstellung',
+  'settings.noDefaultPrices': 'Für diese Bereitstellung gibt es keine Standardpreise; tragen Sie sie ein, um Kosten zu sehen.',
+  'settings.price.inputText': 'Texteingabe:',
+  'settings.price.inputAudio': 'Audioeingabe:',
+  'settings.price.cachedInput': 'Zwischengespeicherte Eingabe:',
+  'settings.price.outputText': 'Textausgabe:',
+  'settings.price.outputAudio': 'Audioausgabe:',
+  'settings.save': 'Einstellungen speichern',
+  'validation.required': 'Pflichtfeld',
+  'validation.number': 'Muss eine Zahl sein',
+  'validation.integer': 'Muss eine ganze Zahl sein',
+  'validation.min': 'Muss mindestens {min} sein',
+  'validation.max': 'Darf höchstens {max} sein',
+  'validation.object': 'Muss ein Objekt sein',
+  'validation.type': 'Muss vom Typ {type} sein',
+  'validation.enum': 'Muss einer dieser Werte sein: {values}',
+  'validation.url': 'Geben Sie eine absolute http(s)-URL ein, z. B. https://localhost:7254',
+  'validation.deploymentName': 'Geben Sie den Namen der Echtzeit-Bereitstellung ein',
+  'validation.apiVersion': 'Verwenden Sie das Format JJJJ-MM-TT oder JJJJ-MM-TT-preview',
+
+  'devices.microphone': 'Mikrofon:',
+  'devices.speaker': 'Lautsprecher:',
+  'devices.systemDefault': 'Systemstandard',
+  'devices.unnamedMicrophone': 'Mikrofon {number}',
+  'devices.unnamedSpeaker': 'Lautsprecher {number}',
+
+  'prompt.title': 'Systemprompt',
+  'prompt.backendPrompt': 'Prompt des Backends',
+  'prompt.backendPromptMissing': 'Starten Sie ein Gespräch, um den Prompt vom Backend zu laden.',
+  'prompt.preset': 'Vorlage:',
+  'prompt.noOverride': 'Prompt des Backends (unverändert)',
+  'prompt.customOverride': 'Angepasster Prompt',
+  'prompt.savedPreset': '{name} (gespeichert)',
+  'prompt.deletePreset': 'Vorlage löschen',
+  'prompt.override': 'Eigener Prompt:',
+  'prompt.overridePlaceholder': 'Leer lassen, um den Prompt des Backends zu verwenden. {backendPrompt}, {today} und eigene {variables} werden ausgefüllt.',
+  'prompt.editCopy': 'Kopie des Backend-Prompts bearbeiten',
+  'prompt.missingValues': 'Kein Wert für {names}; wird unverändert gesendet.',
+  'prompt.preview': 'Vorschau',
+  'prompt.saveAs': 'Als Vorlage speichern:',
+  'prompt.saveAsPlaceholder': 'z. B. Kurz für Kinder',
+  'prompt.savePreset': 'Vorlage speichern'
+};
+
+export default de;
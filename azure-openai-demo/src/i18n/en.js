@@ -0,0 +1,191 @@
+// src/i18n/en.js
+// English UI strings, also the fallback for missing translations.
+const en = {
+  'controls.start': 'Start Conversation',
+  'controls.end': 'End Conversation',
+  'controls.holdToTalk': 'Hold to talk',
+  'controls.releaseToSend': 'Release to send',
+  'controls.usage': '{tokens} tokens · {cost}',
+  'controls.usageOfBudget': '{tokens} tokens · {cost} of {budget}',
+  'controls.lastTurn': 'Last turn: {tokens} tokens, {cost}',
+  'controls.mute': 'Mute',
+  'controls.volume': 'Volume',
+  'controls.replaySpeed': 'Replay speed',
+  'controls.group': 'Conversation controls',
+  'controls.micOn': 'Microphone on',
+  'controls.shortcuts': 'Shortcuts: {conversation} starts or ends the conversation, {mute} mutes, {captions} shows captions, hold Space to talk in push-to-talk mode.',
+  'meters.input': 'Mic',
+  'meters.inputLevel': 'Microphone level',
+  'meters.output': 'Speaker',
+  'meters.outputLevel': 'Speaker level',
+  'chat.replay': 'Replay',
+  'chat.stopReplay': 'Stop',
+  'chat.title': 'Conversation',
+  'chat.user': 'You',
+  'chat.assistant': 'Assistant',
+  'chat.interrupted': 'Interrupted',
+  'query.title': 'How I got this',
+  'query.intent': 'Intent',
+  'query.intent.statistical': 'Statistical – answered from the database',
+  'query.intent.tool': 'Statistical – the assistant looked the data up with a tool call',
+  'query.intent.conversational': 'Conversational',
+  'query.question': 'Your question',
+  'query.rewritten': 'Rewritten question',
+  'query.sql': 'SQL',
+  'query.sqlAttempt': 'SQL (attempt {attempt})',
+  'query.rows': 'Rows returned',
+  'query.notReturned': 'Not returned by the backend',
+  'composer.label': 'Type a message',
+  'composer.placeholder': 'Type a question…',
+  'composer.placeholderDisconnected': 'Start a conversation to type a message',
+  'composer.send': 'Send',
+  'captions.toggle': 'Captions',
+  'captions.title': 'Live captions',
+  'captions.empty': 'Captions appear here as soon as someone speaks.',
+  'history.title': 'History',
+  'history.empty': 'No saved conversations yet.',
+  'history.open': 'Open read-only',
+  'history.untitled': 'Untitled conversation',
+  'history.meta': '{date} · {count} messages',
+  'history.live': 'live',
+  'history.useAsContext': 'Use as context',
+  'history.delete': 'Delete',
+  'history.viewing': 'Viewing “{title}” from {date} (read-only)',
+  'history.backToLive': 'Back to live chat',
+  'history.continuesFrom': 'The next conversation will continue from “{title}”',
+  'history.clearContext': 'Clear',
+  'export.label': 'Export:',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON',
+  'export.audio': 'Audio (WebM)',
+  'metrics.summary': 'Metrics ({count} turns)',
+  'metrics.summaryOne': 'Metrics (1 turn)',
+  'metrics.turnsCaption': 'Time since the end of speech, or since sending a typed question',
+  'metrics.connectionCaption': 'Connection',
+  'metrics.stage': 'Stage',
+  'metrics.measure': 'Measure',
+  'metrics.last': 'Last',
+  'metrics.now': 'Now',
+  'metrics.avg': 'Avg',
+  'metrics.p95': 'p95',
+  'metrics.stage.transcribed': 'Transcription completed',
+  'metrics.stage.classified': 'Intent classified',
+  'metrics.stage.queried': 'Query returned',
+  'metrics.stage.responseCreated': 'Response created',
+  'metrics.stage.firstDelta': 'First audio / text',
+  'metrics.stage.responseDone': 'Response done',
+  'metrics.rtt': 'Round trip',
+  'metrics.jitter': 'Jitter',
+  'metrics.packetLoss': 'Packet loss',
+  'metrics.bitrateIn': 'Bitrate in',
+  'metrics.bitrateOut': 'Bitrate out',
+  'metrics.export': 'Export metrics (JSON)',
+  'announce.title': 'Announcements',
+  'announce.status': 'Status: {status}',
+  'announce.reply': 'Assistant: {text}',
+  'status.idle': 'Idle',
+  'status.initializing': 'Initializing…',
+  'status.failed': 'Failed',
+  'status.disconnected': 'Disconnected',
+  'status.connectionLost': 'Connection lost',
+  'status.reconnecting': 'Reconnecting (attempt {attempt})',
+  'status.connected': 'Connected',
+  'status.connectedText': 'Connected – type a message',
+  'status.connectedPushToTalk': 'Connected – hold to talk',
+  'status.recording': 'Recording',
+  'status.processing': 'Processing…',
+  'status.stoppedRecording': 'Stopped recording',
+  'status.generating': 'Generating response…',
+  'status.responding': 'Responding…',
+  'status.fetchingData': 'Fetching data…',
+  'status.queryFailed': 'Could not retrieve the data',
+  'status.error': 'Error: {message}',
+  'status.budgetWarning': 'Budget almost used ({cost} of {budget})',
+  'status.budgetExceeded': 'Budget exceeded – conversation ended',
+  'progress.analyzing': 'Analyzing question…',
+  'progress.searching': 'Searching for Formula One statistics…',
+
+  'settings.title': 'Settings',
+  'settings.profiles': 'Profiles',
+  'settings.profile': 'Profile:',
+  'settings.noProfile': '(none)',
+  'settings.profileName': 'Profile Name:',
+  'settings.profileNamePlaceholder': 'e.g., Demo booth',
+  'settings.saveProfile': 'Save Profile',
+  'settings.duplicateProfile': 'Duplicate',
+  'settings.deleteProfile': 'Delete',
+  'settings.exportProfile': 'Export JSON',
+  'settings.importProfile': 'Import JSON',
+  'settings.importProfileFile': 'Import profile file',
+  'settings.language': 'Language:',
+  'settings.backendUrl': 'Backend URL:',
+  'settings.deploymentName': 'Deployment Name:',
+  'settings.deploymentNamePlaceholder': 'e.g., gpt-4o-mini-realtime-preview',
+  'settings.apiVersion': 'API Version:',
+  'settings.apiVersionPlaceholder': 'e.g., 2025-04-01-preview',
+  'settings.voice': 'Voice:',
+  'settings.region': 'Region:',
+  'settings.sessionMode': 'Session Mode:',
+  'settings.sessionMode.voice': 'Voice and text',
+  'settings.sessionMode.text': 'Text only (no microphone)',
+  'settings.queryMode': 'Data Lookup:',
+  'settings.queryMode.tools': 'Model calls tools when needed',
+  'settings.queryMode.classifier': 'Classify every question first',
+  'settings.transcriptionModel': 'Transcription Model:',
+  'settings.temperature': 'Temperature (0.6–1.2):',
+  'settings.maxResponseTokens': 'Max Response Tokens:',
+  'settings.noLimit': 'No limit',
+  'settings.recordCall': 'Record call audio for export',
+  'settings.turnDetection': 'Turn Detection:',
+  'settings.turnDetection.vad': 'Voice activity detection',
+  'settings.turnDetection.pushToTalk': 'Push-to-talk (hold button or spacebar)',
+  'settings.vadThreshold': 'VAD Threshold (0–1):',
+  'settings.prefixPadding': 'Prefix Padding (ms):',
+  'settings.silenceDuration': 'Silence Duration (ms):',
+  'settings.budget': 'Budget per Conversation (USD):',
+  'settings.tokenPrices': 'Token Prices (USD per 1M tokens) for {deployment}',
+  'settings.thisDeployment': 'this deployment',
+  'settings.noDefaultPrices': 'No default prices for this deployment; fill them in to see costs.',
+  'settings.price.inputText': 'Text input:',
+  'settings.price.inputAudio': 'Audio input:',
+  'settings.price.cachedInput': 'Cached input:',
+  'settings.price.outputText': 'Text output:',
+  'settings.price.outputAudio': 'Audio output:',
+  'settings.save': 'Save Settings',
+  'validation.required': 'Required',
+  'validation.number': 'Must be a number',
+  'validation.integer': 'Must be a whole number',
+  'validation.min': 'Must be at least {min}',
+  'validation.max': 'Must be at most {max}',
+  'validation.object': 'Must be an object',
+  'validation.type': 'Must be a {type}',
+  'validation.enum': 'Must be one of {values}',
+  'validation.url': 'Enter an absolute http(s) URL, e.g. https://localhost:7254',
+  'validation.deploymentName': 'Enter the realtime deployment name',
+  'validation.apiVersion': 'Use the YYYY-MM-DD or YYYY-MM-DD-preview format',
+
+  'devices.microphone': 'Microphone:',
+  'devices.speaker': 'Speaker:',
+  'devices.systemDefault': 'System default',
+  'devices.unnamedMicrophone': 'Microphone {number}',
+  'devices.unnamedSpeaker': 'Speaker {number}',
+
+  'prompt.title': 'System Prompt',
+  'prompt.backendPrompt': 'Backend prompt',
+  'prompt.backendPromptMissing': 'Start a conversation to load the prompt from the backend.',
+  'prompt.preset': 'Preset:',
+  'prompt.noOverride': 'Backend prompt (no override)',
+  'prompt.customOverride': 'Custom prompt',
+  'prompt.savedPreset': '{name} (saved)',
+  'prompt.deletePreset': 'Delete Preset',
+  'prompt.override': 'Prompt Override:',
+  'prompt.overridePlaceholder': 'Leave empty to use the backend prompt. {backendPrompt}, {today} and your own {variables} are filled in.',
+  'prompt.editCopy': 'Edit a Copy of the Backend Prompt',
+  'prompt.missingValues': 'No value for {names}; it is sent as typed.',
+  'prompt.preview': 'Preview',
+  'prompt.saveAs': 'Save as Preset:',
+  'prompt.saveAsPlaceholder': 'e.g., Concise for kids',
+  'prompt.savePreset': 'Save Preset'
+};
+
+export default en;
@@ -0,0 +1,190 @@
+// src/i18n/es.js
+const es = {
+  'controls.start': 'Iniciar conversación',
+  'controls.end': 'Terminar conversación',
+  'controls.holdToTalk': 'Mantén pulsado para hablar',
+  'controls.releaseToSend': 'Suelta para enviar',
+  'controls.usage': '{tokens} tokens · {cost}',
+  'controls.usageOfBudget': '{tokens} tokens · {cost} de {budget}',
+  'controls.lastTurn': 'Último turno: {tokens} tokens, {cost}',
+  'controls.mute': 'Silenciar',
+  'controls.volume': 'Volumen',
+  'controls.replaySpeed': 'Velocidad de repetición',
+  'controls.group': 'Controles de la conversación',
+  'controls.micOn': 'Micrófono activado',
+  'controls.shortcuts': 'Atajos: {conversation} inicia o termina la conversación, {mute} silencia, {captions} muestra los subtítulos; mantén pulsada la barra espaciadora para hablar en el modo pulsar para hablar.',
+  'meters.input': 'Micro',
+  'meters.inputLevel': 'Nivel del micrófono',
+  'meters.output': 'Altavoz',
+  'meters.outputLevel': 'Nivel del altavoz',
+  'chat.replay': 'Repetir',
+  'chat.stopReplay': 'Detener',
+  'chat.title': 'Conversación',
+  'chat.user': 'Tú',
+  'chat.assistant': 'Asistente',
+  'chat.interrupted': 'Interrumpida',
+  'query.title': 'Cómo lo obtuve',
+  'query.intent': 'Intención',
+  'query.intent.statistical': 'Estadística – respondida desde la base de datos',
+  'query.intent.tool': 'Estadística – el asistente consultó los datos con una herramienta',
+  'query.intent.conversational': 'Conversacional',
+  'query.question': 'Tu pregunta',
+  'query.rewritten': 'Pregunta reformulada',
+  'query.sql': 'SQL',
+  'query.sqlAttempt': 'SQL (intento {attempt})',
+  'query.rows': 'Filas devueltas',
+  'query.notReturned': 'El backend no lo devolvió',
+  'composer.label': 'Escribe un mensaje',
+  'composer.placeholder': 'Escribe una pregunta…',
+  'composer.placeholderDisconnected': 'Inicia una conversación para escribir un mensaje',
+  'composer.send': 'Enviar',
+  'captions.toggle': 'Subtítulos',
+  'captions.title': 'Subtítulos en directo',
+  'captions.empty': 'Los subtítulos aparecen aquí en cuanto alguien hable.',
+  'history.title': 'Historial',
+  'history.empty': 'Aún no hay conversaciones guardadas.',
+  'history.open': 'Abrir en modo de solo lectura',
+  'history.untitled': 'Conversación sin título',
+  'history.meta': '{date} · {count} mensajes',
+  'history.live': 'en curso',
+  'history.useAsContext': 'Usar como contexto',
+  'history.delete': 'Eliminar',
+  'history.viewing': 'Viendo «{title}» del {date} (solo lectura)',
+  'history.backToLive': 'Volver al chat en directo',
+  'history.continuesFrom': 'La próxima conversación continuará desde «{title}»',
+  'history.clearContext': 'Quitar',
+  'export.label': 'Exportar:',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON',
+  'export.audio': 'Audio (WebM)',
+  'metrics.summary': 'Métricas ({count} turnos)',
+  'metrics.summaryOne': 'Métricas (1 turno)',
+  'metrics.turnsCaption': 'Tiempo desde el final del habla o desde el envío de una pregunta escrita',
+  'metrics.connectionCaption': 'Conexión',
+  'metrics.stage': 'Etapa',
+  'metrics.measure': 'Medida',
+  'metrics.last': 'Último',
+  'metrics.now': 'Ahora',
+  'metrics.avg': 'Media',
+  'metrics.p95': 'p95',
+  'metrics.stage.transcribed': 'Transcripción completada',
+  'metrics.stage.classified': 'Intención clasificada',
+  'metrics.stage.queried': 'Consulta devuelta',
+  'metrics.stage.responseCreated': 'Respuesta creada',
+  'metrics.stage.firstDelta': 'Primer audio / texto',
+  'metrics.stage.responseDone': 'Respuesta terminada',
+  'metrics.rtt': 'Ida y vuelta',
+  'metrics.jitter': 'Jitter',
+  'metrics.packetLoss': 'Pérdida de paquetes',
+  'metrics.bitrateIn': 'Tasa de bits entrante',
+  'metrics.bitrateOut': 'Tasa de bits saliente',
+  'metrics.export': 'Exportar métricas (JSON)',
+  'announce.title': 'Avisos',
+  'announce.status': 'Estado: {status}',
+  'announce.reply': 'Asistente: {text}',
+  'status.idle': 'Inactivo',
+  'status.initializing': 'Iniciando…',
+  'status.failed': 'Error al conectar',
+  'status.disconnected': 'Desconectado',
+  'status.connectionLost': 'Conexión perdida',
+  'status.reconnecting': 'Reconectando (intento {attempt})',
+  'status.connected': 'Conectado',
+  'status.connectedText': 'Conectado: escribe un mensaje',
+  'status.connectedPushToTalk': 'Conectado: mantén pulsado para hablar',
+  'status.recording': 'Grabando',
+  'status.processing': 'Procesando…',
+  'status.stoppedRecording': 'Grabación detenida',
+  'status.generating': 'Generando respuesta…',
+  'status.responding': 'Respondiendo…',
+  'status.fetchingData': 'Obteniendo datos…',
+  'status.queryFailed': 'No se pudieron obtener los datos',
+  'status.error': 'Error: {message}',
+  'status.budgetWarning': 'Presupuesto casi agotado ({cost} de {budget})',
+  'status.budgetExceeded': 'Presupuesto superado: conversación terminada',
+  'progress.analyzing': 'Analizando la pregunta…',
+  'progress.searching': 'Buscando estadísticas de Fórmula 1…',
+
+  'settings.title': 'Configuración',
+  'settings.profiles': 'Perfiles',
+  'settings.profile': 'Perfil:',
+  'settings.noProfile': '(ninguno)',
+  'settings.profileName': 'Nombre del perfil:',
+  'settings.profileNamePlaceholder': 'p. ej., Stand de demostración',
+  'settings.saveProfile': 'Guardar perfil',
+  'settings.duplicateProfile': 'Duplicar',
+  'settings.deleteProfile': 'Eliminar',
+  'settings.exportProfile': 'Exportar JSON',
+  'settings.importProfile': 'Importar JSON',
+  'settings.importProfileFile': 'Archivo de perfil a importar',
+  'settings.language': 'Idioma:',
+  'settings.backendUrl': 'URL del backend:',
+  'settings.deploymentName': 'Nombre de la implementación:',
+  'settings.deploymentNamePlaceholder': 'p. ej., gpt-4o-mini-realtime-preview',
+  'settings.apiVersion': 'Versión de la API:',
+  'settings.apiVersionPlaceholder': 'p. ej., 2025-04-01-preview',
+  'settings.voice': 'Voz:',
+  'settings.region': 'Región:',
+  'settings.sessionMode': 'Modo de sesión:',
+  'settings.sessionMode.voice': 'Voz y texto',
+  'settings.sessionMode.text': 'Solo texto (sin micrófono)',
+  'settings.queryMode': 'Consulta de datos:',
+  'settings.queryMode.tools': 'El modelo llama a herramientas cuando lo necesita',
+  'settings.queryMode.classifier': 'Clasificar cada pregunta primero',
+  'settings.transcriptionModel': 'Modelo de transcripción:',
+  'settings.temperature': 'Temperatura (0,6–1,2):',
+  'settings.maxResponseTokens': 'Máximo de tokens por respuesta:',
+  'settings.noLimit': 'Sin límite',
+  'settings.recordCall': 'Grabar el audio de la llamada para exportarlo',
+  'settings.turnDetection': 'Detección de turnos:',
+  'settings.turnDetection.vad': 'Detección de actividad de voz',
+  'settings.turnDetection.pushToTalk': 'Pulsar para hablar (botón o barra espaciadora)',
+  'settings.vadThreshold': 'Umbral de VAD (0–1):',
+  'settings.prefixPadding': 'Margen inicial (ms):',
+  'settings.silenceDuration': 'Duración del silencio (ms):',
+  'settings.budget': 'Presupuesto por conversación (USD):',
+  'settings.tokenPrices': 'Precios por token (USD por 1 M de tokens) para {deployment}',
+  'settings.thisDeployment': 'esta implementación',
+  'settings.noDefaultPrices': 'No hay precios predeterminados para esta implementación; rellénalos para ver los costes.',
+  'settings.price.inputText': 'Entrada de texto:',
+  'settings.price.inputAudio': 'Entrada de audio:',
+  'settings.price.cachedInput': 'Entrada en caché:',
+  'settings.price.outputText': 'Salida de texto:',
+  'settings.price.outputAudio': 'Salida de audio:',
+  'settings.save': 'Guardar configuración',
+  'validation.required': 'Obligatorio',
+  'validation.number': 'Debe ser un número',
+  'validation.integer': 'Debe ser un número entero',
+  'validation.min': 'Debe ser como mínimo {min}',
+  'validation.max': 'Debe ser como máximo {max}',
+  'validation.object': 'Debe ser un objeto',
+  'validation.type': 'Debe ser de tipo {type}',
+  'validation.enum': 'Debe ser uno de estos valores: {values}',
+  'validation.url': 'Introduce una URL http(s) absoluta, p. ej., https://localhost:7254',
+  'validation.deploymentName': 'Introduce el nombre de la implementación en tiempo real',
+  'validation.apiVersion': 'Usa el formato AAAA-MM-DD o AAAA-MM-DD-preview',
+
+  'devices.microphone': 'Micrófono:',
+  'devices.speaker': 'Altavoz:',
+  'devices.systemDefault': 'Predeterminado del sistema',
+  'devices.unnamedMicrophone': 'Micrófono {number}',
+  'devices.unnamedSpeaker': 'Altavoz {number}',
+
+  'prompt.title': 'Prompt del sistema',
+  'prompt.backendPrompt': 'Prompt del backend',
+  'prompt.backendPromptMissing': 'Inicia una conversación para cargar el prompt del backend.',
+  'prompt.preset': 'Plantilla:',
+  'prompt.noOverride': 'Prompt del backend (sin cambios)',
+  'prompt.customOverride': 'Prompt personalizado',
+  'prompt.savedPreset': '{name} (guardada)',
+  'prompt.deletePreset': 'Eliminar plantilla',
+  'prompt.override': 'Prompt propio:',
+  'prompt.overridePlaceholder': 'Déjalo vacío para usar el prompt del backend. Se rellenan {backendPrompt}, {today} y tus propias {variables}.',
+  'prompt.editCopy': 'Editar una copia del prompt del backend',
+  'prompt.missingValues': 'Sin valor para {names}; se envía tal cual.',
+  'prompt.preview': 'Vista previa',
+  'prompt.saveAs': 'Guardar como plantilla:',
+  'prompt.saveAsPlaceholder': 'p. ej., Breve para niños',
+  'prompt.savePreset': 'Guardar plantilla'
+};
+
+export default es;
@@ -0,0 +1,30 @@
+// src/i18n/index.js
+// A small translation layer for the UI strings. Messages are keyed by id per
+// language code (see services/Languages); missing ones fall back to English.
+import React, { createContext, useCallback, useContext } from 'react';
+import { DEFAULT_LANGUAGE } from '../services/Languages';
+import en from './en';
+import es from './es';
+import de from './de';
+import nl from './nl';
+
+export const MESSAGES = Object.freeze({ en, es, de, nl });
+
+// Fills in {placeholders} from params; placeholders without a param are kept
+export const translate = (language, key, params = {}) => {
+  const message = MESSAGES[language]?.[key] ?? en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] === undefined ? placeholder : String(params[name])));
+};
+
+const LanguageContext = createContext(DEFAULT_LANGUAGE);
+
+export function I18nProvider({ language, children }) {
+  return <LanguageContext.Provider value={language}>{children}</LanguageContext.Provider>;
+}
+
+// Returns t(key, params) for the language of the nearest I18nProvider
+export const useTranslation = () => {
+  const language = useContext(LanguageContext);
+  return useCallback((key, params) => translate(language, key, params), [language]);
+};
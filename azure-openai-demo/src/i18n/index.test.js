@@ -0,0 +1,17 @@
+import { MESSAGES, translate } from './index';
+
+test('fills in placeholders and keeps the ones without a value', () => {
+  expect(translate('en', 'controls.lastTurn', { tokens: '1,200', cost: '$0.01' })).toBe('Last turn: 1,200 tokens, $0.01');
+  expect(translate('de', 'prompt.savedPreset', { name: 'Kurz' })).toBe('Kurz (gespeichert)');
+  expect(translate('en', 'prompt.overridePlaceholder')).toContain('{backendPrompt}, {today}');
+});
+
+test('falls back to English, then to the key', () => {
+  expect(translate('fr', 'controls.start')).toBe('Start Conversation');
+  expect(translate('es', 'controls.unknown')).toBe('controls.unknown');
+});
+
+test('every language translates every English string', () => {
+  const keys = Object.keys(MESSAGES.en).sort();
+  Object.values(MESSAGES).forEach(messages => expect(Object.keys(messages).sort()).toEqual(keys));
+});
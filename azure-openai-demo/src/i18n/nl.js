@@ -0,0 +1,190 @@
+// src/i18n/nl.js
+const nl = {
+  'controls.start': 'Gesprek starten',
+  'controls.end': 'Gesprek beëindigen',
+  'controls.holdToTalk': 'Ingedrukt houden om te praten',
+  'controls.releaseToSend': 'Loslaten om te verzenden',
+  'controls.usage': '{tokens} tokens · {cost}',
+  'controls.usageOfBudget': '{tokens} tokens · {cost} van {budget}',
+  'controls.lastTurn': 'Laatste beurt: {tokens} tokens, {cost}',
+  'controls.mute': 'Dempen',
+  'controls.volume': 'Volume',
+  'controls.replaySpeed': 'Afspeelsnelheid',
+  'controls.group': 'Gespreksbediening',
+  'controls.micOn': 'Microfoon aan',
+  'controls.shortcuts': 'Sneltoetsen: {conversation} start of beëindigt het gesprek, {mute} dempt, {captions} toont ondertiteling; houd in push-to-talk-modus de spatiebalk ingedrukt om te praten.',
+  'meters.input': 'Micro',
+  'meters.inputLevel': 'Microfoonniveau',
+  'meters.output': 'Luidspreker',
+  'meters.outputLevel': 'Luidsprekerniveau',
+  'chat.replay': 'Opnieuw afspelen',
+  'chat.stopReplay': 'Stoppen',
+  'chat.title': 'Gesprek',
+  'chat.user': 'Jij',
+  'chat.assistant': 'Assistent',
+  'chat.interrupted': 'Onderbroken',
+  'query.title': 'Hoe ik hieraan kwam',
+  'query.intent': 'Intentie',
+  'query.intent.statistical': 'Statistisch – beantwoord uit de database',
+  'query.intent.tool': 'Statistisch – de assistent zocht de gegevens op met een toolaanroep',
+  'query.intent.conversational': 'Gesprek',
+  'query.question': 'Je vraag',
+  'query.rewritten': 'Herschreven vraag',
+  'query.sql': 'SQL',
+  'query.sqlAttempt': 'SQL (poging {attempt})',
+  'query.rows': 'Geretourneerde rijen',
+  'query.notReturned': 'Niet geretourneerd door de backend',
+  'composer.label': 'Typ een bericht',
+  'composer.placeholder': 'Typ een vraag…',
+  'composer.placeholderDisconnected': 'Start een gesprek om een bericht te typen',
+  'composer.send': 'Verzenden',
+  'captions.toggle': 'Ondertiteling',
+  'captions.title': 'Live ondertiteling',
+  'captions.empty': 'De ondertiteling verschijnt hier zodra iemand spreekt.',
+  'history.title': 'Geschiedenis',
+  'history.empty': 'Nog geen opgeslagen gesprekken.',
+  'history.open': 'Alleen-lezen openen',
+  'history.untitled': 'Gesprek zonder titel',
+  'history.meta': '{date} · {count} berichten',
+  'history.live': 'live',
+  'history.useAsContext': 'Als context gebruiken',
+  'history.delete': 'Verwijderen',
+  'history.viewing': 'Je bekijkt ‘{title}’ van {date} (alleen-lezen)',
+  'history.backToLive': 'Terug naar de live chat',
+  'history.continuesFrom': 'Het volgende gesprek gaat verder vanaf ‘{title}’',
+  'history.clearContext': 'Wissen',
+  'export.label': 'Exporteren:',
+  'export.markdown': 'Markdown',
+  'export.json': 'JSON',
+  'export.audio': 'Audio (WebM)',
+  'metrics.summary': 'Meetwaarden ({count} beurten)',
+  'metrics.summaryOne': 'Meetwaarden (1 beurt)',
+  'metrics.turnsCaption': 'Tijd sinds het einde van het spreken, of sinds het versturen van een getypte vraag',
+  'metrics.connectionCaption': 'Verbinding',
+  'metrics.stage': 'Fase',
+  'metrics.measure': 'Meting',
+  'metrics.last': 'Laatste',
+  'metrics.now': 'Nu',
+  'metrics.avg': 'Gem.',
+  'metrics.p95': 'p95',
+  'metrics.stage.transcribed': 'Transcriptie voltooid',
+  'metrics.stage.classified': 'Intentie bepaald',
+  'metrics.stage.queried': 'Query beantwoord',
+  'metrics.stage.responseCreated': 'Antwoord aangemaakt',
+  'metrics.stage.firstDelta': 'Eerste audio / tekst',
+  'metrics.stage.responseDone': 'Antwoord klaar',
+  'metrics.rtt': 'Rondreistijd',
+  'metrics.jitter': 'Jitter',
+  'metrics.packetLoss': 'Pakketverlies',
+  'metrics.bitrateIn': 'Bitrate in',
+  'metrics.bitrateOut': 'Bitrate uit',
+  'metrics.export': 'Meetwaarden exporteren (JSON)',
+  'announce.title': 'Meldingen',
+  'announce.status': 'Status: {status}',
+  'announce.reply': 'Assistent: {text}',
+  'status.idle': 'Inactief',
+  'status.initializing': 'Bezig met starten…',
+  'status.failed': 'Mislukt',
+  'status.disconnected': 'Verbinding verbroken',
+  'status.connectionLost': 'Verbinding verloren',
+  'status.reconnecting': 'Opnieuw verbinden (poging {attempt})',
+  'status.connected': 'Verbonden',
+  'status.connectedText': 'Verbonden – typ een bericht',
+  'status.connectedPushToTalk': 'Verbonden – ingedrukt houden om te praten',
+  'status.recording': 'Opnemen',
+  'status.processing': 'Bezig met verwerken…',
+  'status.stoppedRecording': 'Opname gestopt',
+  'status.generating': 'Antwoord wordt gemaakt…',
+  'status.responding': 'Bezig met antwoorden…',
+  'status.fetchingData': 'Gegevens ophalen…',
+  'status.queryFailed': 'De gegevens konden niet worden opgehaald',
+  'status.error': 'Fout: {message}',
+  'status.budgetWarning': 'Budget bijna op ({cost} van {budget})',
+  'status.budgetExceeded': 'Budget overschreden – gesprek beëindigd',
+  'progress.analyzing': 'Vraag analyseren…',
+  'progress.searching': 'Formule 1-statistieken zoeken…',
+
+  'settings.title': 'Instellingen',
+  'settings.profiles': 'Profielen',
+  'settings.profile': 'Profiel:',
+  'settings.noProfile': '(geen)',
+  'settings.profileName': 'Profielnaam:',
+  'settings.profileNamePlaceholder': 'bijv. Demostand',
+  'settings.saveProfile': 'Profiel opslaan',
+  'settings.duplicateProfile': 'Dupliceren',
+  'settings.deleteProfile': 'Verwijderen',
+  'settings.exportProfile': 'JSON exporteren',
+  'settings.importProfile': 'JSON importeren',
+  'settings.importProfileFile': 'Te importeren profielbestand',
+  'settings.language': 'Taal:',
+  'settings.backendUrl': 'Backend-URL:',
+  'settings.deploymentName': 'Naam van de implementatie:',
+  'settings.deploymentNamePlaceholder': 'bijv. gpt-4o-mini-realtime-preview',
+  'settings.apiVersion': 'API-versie:',
+  'settings.apiVersionPlaceholder': 'bijv. 2025-04-01-preview',
+  'settings.voice': 'Stem:',
+  'settings.region': 'Regio:',
+  'settings.sessionMode': 'Sessiemodus:',
+  'settings.sessionMode.voice': 'Spraak en tekst',
+  'settings.sessionMode.text': 'Alleen tekst (geen microfoon)',
+  'settings.queryMode': 'Gegevens opzoeken:',
+  'settings.queryMode.tools': 'Het model roept tools aan wanneer nodig',
+  'settings.queryMode.classifier': 'Elke vraag eerst classificeren',
+  'settings.transcriptionModel': 'Transcriptiemodel:',
+  'settings.temperature': 'Temperatuur (0,6–1,2):',
+  'settings.maxResponseTokens': 'Max. tokens per antwoord:',
+  'settings.noLimit': 'Geen limiet',
+  'settings.recordCall': 'Gespreksaudio opnemen om te exporteren',
+  'settings.turnDetection': 'Beurtdetectie:',
+  'settings.turnDetection.vad': 'Spraakactiviteitsdetectie',
+  'settings.turnDetection.pushToTalk': 'Push-to-talk (knop of spatiebalk ingedrukt houden)',
+  'settings.vadThreshold': 'VAD-drempel (0–1):',
+  'settings.prefixPadding': 'Aanloop (ms):',
+  'settings.silenceDuration': 'Stilteduur (ms):',
+  'settings.budget': 'Budget per gesprek (USD):',
+  'settings.tokenPrices': 'Tokenprijzen (USD per 1 mln. tokens) voor {deployment}',
+  'settings.thisDeployment': 'deze implementatie',
+  'settings.noDefaultPrices': 'Er zijn geen standaardprijzen voor deze implementatie; vul ze in om de kosten te zien.',
+  'settings.price.inputText': 'Tekstinvoer:',
+  'settings.price.inputAudio': 'Audio-invoer:',
+  'settings.price.cachedInput': 'Invoer uit cache:',
+  'settings.price.outputText': 'Tekstuitvoer:',
+  'settings.price.outputAudio': 'Audio-uitvoer:',
+  'settings.save': 'Instellingen opslaan',
+  'validation.required': 'Verplicht',
+  'validation.number': 'Moet een getal zijn',
+  'validation.integer': 'Moet een geheel getal zijn',
+  'validation.min': 'Moet minimaal {min} zijn',
+  'validation.max': 'Mag maximaal {max} zijn',
+  'validation.object': 'Moet een object zijn',
+  'validation.type': 'Moet van het type {type} zijn',
+  'validation.enum': 'Moet een van deze waarden zijn: {values}',
+  'validation.url': 'Voer een absolute http(s)-URL in, bijv. https://localhost:7254',
+  'validation.deploymentName': 'Voer de naam van de realtime-implementatie in',
+  'validation.apiVersion': 'Gebruik de notatie JJJJ-MM-DD of JJJJ-MM-DD-preview',
+
+  'devices.microphone': 'Microfoon:',
+  'devices.speaker': 'Luidspreker:',
+  'devices.systemDefault': 'Systeemstandaard',
+  'devices.unnamedMicrophone': 'Microfoon {number}',
+  'devices.unnamedSpeaker': 'Luidspreker {number}',
+
+  'prompt.title': 'Systeemprompt',
+  'prompt.backendPrompt': 'Prompt van de backend',
+  'prompt.backendPromptMissing': 'Start een gesprek om de prompt van de backend te laden.',
+  'prompt.preset': 'Sjabloon:',
+  'prompt.noOverride': 'Prompt van de backend (ongewijzigd)',
+  'prompt.customOverride': 'Aangepaste prompt',
+  'prompt.savedPreset': '{name} (opgeslagen)',
+  'prompt.deletePreset': 'Sjabloon verwijderen',
+  'prompt.override': 'Eigen prompt:',
+  'prompt.overridePlaceholder': 'Laat leeg om de prompt van de backend te gebruiken. {backendPrompt}, {today} en je eigen {variables} worden ingevuld.',
+  'prompt.editCopy': 'Kopie van de backendprompt bewerken',
+  'prompt.missingValues': 'Geen waarde voor {names}; wordt ongewijzigd verzonden.',
+  'prompt.preview': 'Voorbeeld',
+  'prompt.saveAs': 'Opslaan als sjabloon:',
+  'prompt.saveAsPlaceholder': 'bijv. Kort voor kinderen',
+  'prompt.savePreset': 'Sjabloon opslaan'
+};
+
+export default nl;
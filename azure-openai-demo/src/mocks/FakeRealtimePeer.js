@@ -0,0 +1,415 @@
+// src/mocks/FakeRealtimePeer.js
+// An RTCPeerConnection stand-in whose data channel behaves like the realtime
+// API: it answers session.update, transcribes committed audio from a script,
+// calls registered tools for statistical questions and streams replies to
+// response.create as delta events.
+import { STATISTICAL_PATTERN } from './mockBackend';
+
+const SUMMARY_MARKER = 'Here are the Formula One statistics';
+const FAILURE_MARKER = 'could not be reached';
+const FAILURE_REPLY = "Sorry, I couldn't retrieve that data.";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Summarizes the markdown table the session sends along with statistical questions
+const summarizeTable = (text) => {
+  const rows = text.split('\n').filter(line => line.startsWith('|'));
+  if (rows.length < 3) return 'I could not find any data for that question.';
+
+  const headers = rows[0].split('|').slice(1, -1).map(c => c.trim());
+  const first = rows[2].split('|').slice(1, -1).map(c => c.trim());
+  const facts = headers.map((h, i) => `${h} ${first[i]}`).join(', ');
+  const more = rows.length - 3;
+  return `Here is what I found: ${facts}${more > 0 ? `, plus ${more} more rows` : ''}.`;
+};
+
+export const defaultResponder = (userText, items = []) => {
+  const last = items[items.length - 1];
+  if (last?.type === 'function_call_output') {
+    const output = JSON.parse(last.output);
+    return output.error ? FAILURE_REPLY : summarizeTable(output.results);
+  }
+
+  if (userText.includes(FAILURE_MARKER)) return FAILURE_REPLY;
+  return userText.includes(SUMMARY_MARKER)
+    ? summarizeTable(userText)
+    : `This is the offline mock assistant. You said: "${userText}"`;
+};
+
+// Statistical questions call the query tool when the session registered it
+export const defaultToolCall = (userText, tools = []) => (
+  tools.some(t => t.name === 'query_f1_statistics') && STATISTICAL_PATTERN.test(userText)
+    ? { name: 'query_f1_statistics', arguments: { question: userText } }
+    : null
+);
+
+export class FakeDataChannel {
+  constructor(peer, label) {
+    this.peer = peer;
+    this.label = label;
+    this.readyState = 'connecting';
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+  }
+
+  // Client → server
+  send(data) {
+    if (this.readyState !== 'open') throw new Error('DataChannel is not open');
+    this.peer.handleClientEvent(JSON.parse(data));
+  }
+
+  // Like a real channel, close is reported asynchronously
+  close() {
+    if (this.readyState === 'closing' || this.readyState === 'closed') return;
+    this.readyState = 'closing';
+    setTimeout(() => {
+      this.readyState = 'closed';
+      this.onclose?.();
+    }, 0);
+  }
+
+  open() {
+    this.readyState = 'open';
+    this.onopen?.();
+  }
+
+  // Server → client
+  deliver(event) {
+    if (this.readyState === 'open') this.onmessage?.({ data: JSON.stringify(event) });
+  }
+}
+
+// Usage in the shape of response.done, counting roughly four characters per token
+const estimateUsage = (inputText, outputText, audio) => {
+  const input = Math.ceil(inputText.length / 4);
+  const outputTextTokens = Math.ceil(outputText.length / 4);
+  const outputAudioTokens = audio ? outputTextTokens * 5 : 0;
+  return {
+    total_tokens: input + outputTextTokens + outputAudioTokens,
+    input_tokens: input,
+    output_tokens: outputTextTokens + outputAudioTokens,
+    input_token_details: { text_tokens: input, audio_tokens: 0, cached_tokens: 0 },
+    output_token_details: { text_tokens: outputTextTokens, audio_tokens: outputAudioTokens }
+  };
+};
+
+/**
+ * Options:
+ * - latencyMs: delay between server events
+ * - respond(userText, items): returns the assistant reply for the last user item
+ * - toolCall(userText, tools): returns { name, arguments } to call a tool instead of replying
+ * - utterances: transcripts used, in order, for committed audio buffers
+ *
+ * Tests and the browser console can drive it with simulateUserTurn(text) and
+ * emit(event), and inspect what the client sent in `sent`.
+ */
+export class FakeRealtimePeer {
+  static latest = null;
+
+  constructor(config = {}, { latencyMs = 30, respond = defaultResponder, toolCall = defaultToolCall, utterances = [] } = {}) {
+    this.config = config;
+    this.latencyMs = latencyMs;
+    this.respond = respond;
+    this.toolCall = toolCall;
+    this.utterances = [...utterances];
+
+    this.iceGatheringState = 'complete';
+    this.iceConnectionState = 'new';
+    this.connectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.listeners = {};
+    this.channel = null;
+    this.tracks = [];
+    this.senders = [];
+
+    this.sent = [];          // every client event, in order
+    this.items = [];         // conversation items, as the server would keep them
+    this.session = {};
+    this.appendedBytes = 0;
+    this.activeResponse = null;
+    this.nextId = 1;
+
+    FakeRealtimePeer.latest = this;
+  }
+
+  addEventListener(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+  }
+
+  removeEventListener(type, handler) {
+    this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+  }
+
+  dispatch(type, event = {}) {
+    (this.listeners[type] || []).forEach(handler => handler(event));
+  }
+
+  createDataChannel(label) {
+    this.channel = new FakeDataChannel(this, label);
+    return this.channel;
+  }
+
+  addTrack(track) {
+    const sender = {
+      track,
+      replaceTrack: async (next) => {
+        this.tracks = this.tracks.map(t => (t === sender.track ? next : t));
+        sender.track = next;
+      }
+    };
+    this.tracks.push(track);
+    this.senders.push(sender);
+    return sender;
+  }
+
+  getSenders() {
+    return this.senders;
+  }
+
+  // A minimal stats report: the round trip is the configured latency and the
+  // outbound byte counter follows the audio appended so far
+  async getStats() {
+    const timestamp = Date.now();
+    const sentBytes = this.sent
+      .filter(event => event.type === 'input_audio_buffer.append')
+      .reduce((sum, event) => sum + Math.floor((event.audio?.length || 0) * 3 / 4), 0);
+    return new Map([
+      ['pair', { type: 'candidate-pair', state: 'succeeded', nominated: true, timestamp, currentRoundTripTime: this.latencyMs / 1000 }],
+      ['in', { type: 'inbound-rtp', kind: 'audio', timestamp, jitter: 0.002, packetsLost: 0, packetsReceived: 0, bytesReceived: 0 }],
+      ['out', { type: 'outbound-rtp', kind: 'audio', timestamp, bytesSent: sentBytes }]
+    ]);
+  }
+
+  async createOffer() {
+    return { type: 'offer', sdp: 'v=0\r\ns=fake-offer\r\n' };
+  }
+
+  async setLocalDescription(description) {
+    this.localDescription = description;
+  }
+
+  // Accepting the answer "connects" the peer and opens the channel shortly after
+  async setRemoteDescription(description) {
+    this.remoteDescription = description;
+    setTimeout(() => {
+      if (this.connectionState === 'closed') return;
+      this.setIceConnectionState('connected');
+      if (!this.channel) return;
+      // The server greets with session.created as soon as the channel is up
+      this.channel.readyState = 'open';
+      this.emit({ type: 'session.created', session: { id: `sess_fake_${this.nextId++}` } });
+      this.channel.open();
+    }, this.latencyMs);
+  }
+
+  setIceConnectionState(state) {
+    this.iceConnectionState = state;
+    this.connectionState = state;
+    this.dispatch('iceconnectionstatechange');
+  }
+
+  close() {
+    if (this.connectionState === 'closed') return;
+    if (this.activeResponse) this.activeResponse.cancelled = true;
+    this.iceConnectionState = 'closed';
+    this.connectionState = 'closed';
+    this.channel?.close();
+  }
+
+  // Simulates a dropped connection, e.g. to exercise reconnects
+  drop() {
+    this.setIceConnectionState('failed');
+    this.channel?.close();
+  }
+
+  emit(event) {
+    this.channel?.deliver({ event_id: `event_${this.nextId++}`, ...event });
+  }
+
+  newId(prefix) {
+    return `${prefix}_${this.nextId++}`;
+  }
+
+  handleClientEvent(event) {
+    this.sent.push(event);
+
+    switch (event.type) {
+      case 'session.update':
+        this.session = { ...this.session, ...event.session };
+        this.emit({ type: 'session.updated', session: this.session });
+        break;
+
+      case 'conversation.item.create': {
+        const item = { id: this.newId('item'), ...event.item };
+        this.items.push(item);
+        this.emit({ type: 'conversation.item.created', item });
+        break;
+      }
+
+      case 'input_audio_buffer.append':
+        this.appendedBytes += Math.floor((event.audio?.length || 0) * 3 / 4);
+        break;
+
+      case 'input_audio_buffer.commit':
+        this.appendedBytes = 0;
+        this.transcribe(this.utterances.shift() ?? '');
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.appendedBytes = 0;
+        this.emit({ type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'response.create':
+        this.streamResponse();
+        break;
+
+      case 'response.cancel':
+        if (this.activeResponse) this.activeResponse.cancelled = true;
+        break;
+
+      case 'conversation.item.truncate':
+        this.emit({
+          type: 'conversation.item.truncated',
+          item_id: event.item_id,
+          content_index: event.content_index,
+          audio_end_ms: event.audio_end_ms
+        });
+        break;
+
+      default:
+        // other client events are accepted silently
+    }
+  }
+
+  // The user said something: what server VAD and whisper would report
+  simulateUserTurn(transcript) {
+    const itemId = this.newId('item');
+    this.emit({ type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: 0 });
+    this.emit({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: 1500 });
+    this.emit({ type: 'input_audio_buffer.committed', item_id: itemId });
+    this.addTranscribedItem(itemId, transcript);
+  }
+
+  transcribe(transcript) {
+    const itemId = this.newId('item');
+    this.emit({ type: 'input_audio_buffer.committed', item_id: itemId });
+    this.addTranscribedItem(itemId, transcript);
+  }
+
+  addTranscribedItem(itemId, transcript) {
+    const item = { id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript }] };
+    this.items.push(item);
+    this.emit({ type: 'conversation.item.created', item });
+    // Streaming transcription models report the transcript word by word first
+    transcript.split(/(?<= )/).filter(Boolean).forEach(delta => this.emit({
+      type: 'conversation.item.input_audio_transcription.delta',
+      item_id: itemId,
+      content_index: 0,
+      delta
+    }));
+    this.emit({
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: itemId,
+      content_index: 0,
+      transcript
+    });
+
+    // Server VAD can be told to answer every turn by itself
+    if (this.session.turn_detection?.create_response) this.streamResponse();
+  }
+
+  lastUserText() {
+    const item = [...this.items].reverse().find(i => i.role === 'user');
+    const content = item?.content?.[0];
+    return content?.text ?? content?.transcript ?? '';
+  }
+
+  async streamResponse() {
+    const audio = this.session.modalities?.includes('audio') ?? true;
+    const userText = this.lastUserText();
+
+    const lastItem = this.items[this.items.length - 1];
+    const call = lastItem?.role === 'user' ? this.toolCall(userText, this.session.tools) : null;
+    if (call) {
+      await this.streamFunctionCall(call);
+      return;
+    }
+
+    const reply = this.respond(userText, this.items);
+
+    const response = { id: this.newId('resp'), cancelled: false };
+    const itemId = this.newId('item');
+    this.activeResponse = response;
+
+    const deltaType = audio ? 'response.audio_transcript.delta' : 'response.text.delta';
+    const item = { id: itemId, type: 'message', role: 'assistant', status: 'in_progress', content: [] };
+
+    this.emit({ type: 'response.created', response: { id: response.id, status: 'in_progress' } });
+    this.emit({ type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+    if (audio) this.emit({ type: 'output_audio_buffer.started', response_id: response.id });
+
+    let text = '';
+    for (const word of reply.split(/(?<= )/)) {
+      await wait(this.latencyMs);
+      if (response.cancelled) break;
+      text += word;
+      this.emit({ type: deltaType, response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, delta: word });
+    }
+
+    const doneType = audio ? 'response.audio_transcript.done' : 'response.text.done';
+    this.emit({ type: doneType, response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, [audio ? 'transcript' : 'text']: text });
+
+    const status = response.cancelled ? 'cancelled' : 'completed';
+    const content = audio ? { type: 'audio', transcript: text } : { type: 'text', text };
+    const doneItem = { ...item, status: response.cancelled ? 'incomplete' : 'completed', content: [content] };
+    this.items.push(doneItem);
+
+    this.emit({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item: doneItem });
+    this.emit({
+      type: 'response.done',
+      response: {
+        id: response.id,
+        status,
+        output: [doneItem],
+        usage: estimateUsage(userText, text, audio)
+      }
+    });
+    // Playback ends after response.done, or is cut off when the response was cancelled
+    if (audio) this.emit({ type: response.cancelled ? 'output_audio_buffer.cleared' : 'output_audio_buffer.stopped', response_id: response.id });
+
+    if (this.activeResponse === response) this.activeResponse = null;
+  }
+
+  // A response that only asks the client to run a tool
+  async streamFunctionCall({ name, arguments: args }) {
+    const response = { id: this.newId('resp'), cancelled: false };
+    const itemId = this.newId('item');
+    const callId = this.newId('call');
+    const json = JSON.stringify(args);
+    this.activeResponse = response;
+
+    const item = { id: itemId, type: 'function_call', status: 'in_progress', call_id: callId, name, arguments: '' };
+    this.emit({ type: 'response.created', response: { id: response.id, status: 'in_progress' } });
+    this.emit({ type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+
+    await wait(this.latencyMs);
+    this.emit({ type: 'response.function_call_arguments.delta', response_id: response.id, item_id: itemId, call_id: callId, delta: json });
+    this.emit({ type: 'response.function_call_arguments.done', response_id: response.id, item_id: itemId, call_id: callId, name, arguments: json });
+
+    const doneItem = { ...item, status: 'completed', arguments: json };
+    this.items.push(doneItem);
+    this.emit({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item: doneItem });
+    this.emit({
+      type: 'response.done',
+      response: { id: response.id, status: 'completed', output: [doneItem], usage: estimateUsage(this.lastUserText(), json, false) }
+    });
+
+    if (this.activeResponse === response) this.activeResponse = null;
+  }
+}
+
+export default FakeRealtimePeer;
@@ -0,0 +1,25 @@
+// src/mocks/fixtures.js
+// A slice of the data the DatabaseImporter loads, stored as strings like the
+// NVARCHAR columns the real /query endpoint returns.
+
+export const seasons = [
+  ['2014', 'Lewis Hamilton', 'Mercedes', '2', '11', '16', '384'],
+  ['2015', 'Lewis Hamilton', 'Mercedes', '3', '10', '17', '381'],
+  ['2016', 'Nico Rosberg', 'Mercedes', '1', '9', '16', '385'],
+  ['2017', 'Lewis Hamilton', 'Mercedes', '4', '9', '13', '363'],
+  ['2018', 'Lewis Hamilton', 'Mercedes', '5', '11', '17', '408'],
+  ['2019', 'Lewis Hamilton', 'Mercedes', '6', '11', '17', '413'],
+  ['2020', 'Lewis Hamilton', 'Mercedes', '7', '11', '14', '347'],
+  ['2021', 'Max Verstappen', 'Red Bull Racing', '1', '10', '18', '395.5'],
+  ['2022', 'Max Verstappen', 'Red Bull Racing', '2', '15', '17', '454'],
+  ['2023', 'Max Verstappen', 'Red Bull Racing', '3', '19', '21', '575']
+].map(([Year, Driver, Team, Championships, RaceWins, Podiums, Points]) =>
+  ({ Year, Driver, Team, Championships, RaceWins, Podiums, Points }));
+
+export const constructorChampions = [
+  ['2014', 'Mercedes'], ['2015', 'Mercedes'], ['2016', 'Mercedes'], ['2017', 'Mercedes'],
+  ['2018', 'Mercedes'], ['2019', 'Mercedes'], ['2020', 'Mercedes'], ['2021', 'Mercedes'],
+  ['2022', 'Red Bull Racing'], ['2023', 'Red Bull Racing']
+].map(([Year, ConstructorChampion]) => ({ Year, ConstructorChampion }));
+
+export const mockSystemPrompt = 'You are a Formula One statistics assistant running against a local mock backend.';
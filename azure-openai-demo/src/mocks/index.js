@@ -0,0 +1,38 @@
+// src/mocks/index.js
+import FakeRealtimePeer from './FakeRealtimePeer';
+import { createMockFetch } from './mockBackend';
+import ApiClient from '../services/ApiService';
+
+// Set REACT_APP_MOCK_BACKEND=true to run the app against the mocks
+export const isMockMode = () => process.env.REACT_APP_MOCK_BACKEND === 'true';
+
+// A silent microphone for environments without one, e.g. jsdom
+const silentMediaDevices = {
+  getUserMedia: async () => ({ getAudioTracks: () => [], getTracks: () => [] })
+};
+
+/**
+ * RealtimeSession options that replace the backend, Azure and WebRTC with
+ * in-browser fakes. The latest fake peer is exposed as window.fakeRealtimePeer
+ * so a conversation can be driven from the console, e.g.
+ * fakeRealtimePeer.simulateUserTurn('Who won the 2021 championship?').
+ */
+export const createMockSessionOptions = ({ latencyMs = 30, respond, utterances, handlers } = {}) => {
+  const fetch = createMockFetch({ handlers });
+
+  class MockPeerConnection extends FakeRealtimePeer {
+    constructor(config) {
+      super(config, { latencyMs, respond, utterances });
+      window.fakeRealtimePeer = this;
+    }
+  }
+
+  return {
+    // The mock fetch answers by route name, whatever the backend URL
+    api: new ApiClient({ baseUrl: '/mock', fetch }),
+    RTCPeerConnection: MockPeerConnection,
+    mediaDevices: navigator.mediaDevices ?? silentMediaDevices
+  };
+};
+
+export { FakeRealtimePeer, createMockFetch };
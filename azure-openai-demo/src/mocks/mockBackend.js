@@ -0,0 +1,80 @@
+// src/mocks/mockBackend.js
+// In-process stand-ins for the four backend routes, so the app runs and is
+// tested without Azure credentials, the .NET API or SQL Server.
+import { seasons, constructorChampions, mockSystemPrompt } from './fixtures';
+
+export const STATISTICAL_PATTERN = /\b(who|how many|most|points|wins?|won|champion\w*|podiums?|season|standings|fastest|constructor|20\d\d)\b/i;
+
+let sessionCounter = 0;
+
+// Picks fixture rows for a question the same way a (very small) NL2SQL model would
+const answerQuery = (question) => {
+  if (/constructor/i.test(question)) {
+    return { records: constructorChampions, sql: 'SELECT Year, ConstructorChampion FROM F1ConstructorChampions ORDER BY Year' };
+  }
+
+  const year = question.match(/\b20\d\d\b/)?.[0];
+  if (year) {
+    return {
+      records: seasons.filter(s => s.Year === year),
+      sql: `SELECT * FROM F1Records WHERE Year = '${year}'`
+    };
+  }
+
+  return { records: seasons, sql: 'SELECT * FROM F1Records ORDER BY Year' };
+};
+
+// Each handler receives the parsed JSON body and returns { status, body }
+export const defaultHandlers = {
+  sessions: ({ Voice }) => ({
+    status: 200,
+    body: {
+      id: `mock-session-${++sessionCounter}`,
+      client_secret: { value: 'mock-ephemeral-key' },
+      voice: Voice,
+      system_prompt: mockSystemPrompt
+    }
+  }),
+
+  // Any SDP answer will do, the fake peer never parses it
+  rtc: () => ({ status: 200, body: 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=mock\r\n' }),
+
+  'classify-intent': ({ query = '' }) => ({ status: 200, body: STATISTICAL_PATTERN.test(query) }),
+
+  query: ({ query = '' }) => {
+    const { records, sql } = answerQuery(query);
+    return {
+      status: 200,
+      body: { records, rewrittenQuery: query, sql, attempts: 1 }
+    };
+  }
+};
+
+const toResponse = ({ status, body }) => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+};
+
+/**
+ * Returns a fetch implementation that answers the backend routes by their last
+ * path segment, so it works whatever base URL the caller uses. Handlers can be
+ * overridden per route, e.g. to make /query fail in a test.
+ */
+export const createMockFetch = ({ handlers = {}, delayMs = 0 } = {}) => {
+  const routes = { ...defaultHandlers, ...handlers };
+
+  return async (url, { body } = {}) => {
+    if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+    const route = String(url).split('?')[0].split('/').pop();
+    const handler = routes[route];
+    if (!handler) return toResponse({ status: 404, body: `No mock handler for ${route}` });
+
+    return toResponse(await handler(body ? JSON.parse(body) : {}));
+  };
+};
@@ -1,51 +1,236 @@
 // src/services/ApiService.js
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7254';
+// Client for the four backend routes. REACT_APP_API_URL and the Backend URL
+// setting are the backend origin, e.g. https://localhost:7254; the routes live
+// under /api/AzureOpenAI.
+import { getRecords } from './QueryResults';
+import { LogLevel } from './LogStore';
 
-export const createSession = async (voice) => {
+export const API_ROUTE_PREFIX = '/api/AzureOpenAI';
+
+// Trailing slashes and the route prefix are dropped, so a URL that already ends
+// in /api/AzureOpenAI (as REACT_APP_API_URL used to in some places) keeps working
+export const normalizeBaseUrl = (url = '') => {
+  let base = url.trim().replace(/\/+$/, '');
+  if (base.toLowerCase().endsWith(API_ROUTE_PREFIX.toLowerCase())) {
+    base = base.slice(0, -API_ROUTE_PREFIX.length);
+  }
+  return base;
+};
+
+export const DEFAULT_API_URL = normalizeBaseUrl(process.env.REACT_APP_API_URL || 'https://localhost:7254');
+
+// Only absolute http(s) URLs can be used as the backend URL
+export const isValidBaseUrl = (url) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/AzureOpenAI/sessions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ Voice: voice })
-    });
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to create session - ${response.status}: ${errorText}`);
-    }
+/**
+ * A failed request. status is the HTTP status, or null when the request never
+ * got a response (network error, timeout or abort).
+ */
+export class ApiError extends Error {
+  constructor(message, { route, status = null, body = null, timedOut = false, aborted = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.route = route;
+    this.status = status;
+    this.body = body;
+    this.timedOut = timedOut;
+    this.aborted = aborted;
+  }
 
-    return await response.json();
-  } catch (error) {
-    console.error('Error creating session:', error);
-    throw error;
+  // Worth trying again: the request never reached the server, or the server
+  // said it was busy. A 500 or a timeout means the backend already did (and
+  // retried) the work, so asking again only multiplies the wait.
+  get retryable() {
+    if (this.aborted || this.timedOut) return false;
+    return this.status === null || this.status === 429 || this.status === 503;
   }
+}
+
+/**
+ * @typedef {Object} SessionResponse
+ * @property {string} id
+ * @property {{ value: string }} client_secret  ephemeral key for the WebRTC call
+ * @property {string} [voice]
+ * @property {string} [system_prompt]
+ *
+ * @typedef {Object} QueryResponse
+ * @property {Object[]} records  the rows, always an array
+ * @property {string|null} rewrittenQuery  the question as rewritten for NL2SQL
+ * @property {string|null} sql
+ * @property {number|null} attempts  SQL generation attempts the backend needed
+ */
+
+// Per-route defaults; NL2SQL can take a few attempts, so /query gets longer.
+// totalMs caps all attempts of a call together, backoff included.
+const ROUTES = {
+  sessions: { timeoutMs: 15000, idempotent: false, failure: 'Failed to create session' },
+  rtc: { timeoutMs: 15000, idempotent: false, failure: 'RTC connect failed' },
+  'classify-intent': { timeoutMs: 15000, totalMs: 20000, idempotent: true, failure: 'Intent classification failed' },
+  query: { timeoutMs: 60000, totalMs: 75000, idempotent: true, failure: 'Query failed' }
 };
 
-export const connectRTC = async (sdp, ephemeralKey, deploymentName, region) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/api/AzureOpenAI/rtc`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ 
-        sdp, 
-        ephemeralKey,
-        deploymentName,
-        region
-      })
-    });
+// Longest a /query call can take with its retries, for callers that wait on one
+export const QUERY_TOTAL_MS = ROUTES.query.totalMs;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class ApiClient {
+  constructor({
+    baseUrl = DEFAULT_API_URL,
+    fetch = (...args) => window.fetch(...args),
+    retries = 2,           // extra attempts for idempotent routes
+    retryDelayMs = 500,    // doubled after every attempt
+    timeouts = {},         // per-route overrides, e.g. { query: 90000 }
+    totalTimeouts = {},    // per-route overrides of the cap across attempts
+    sleep = wait,
+    now = () => Date.now()
+  } = {}) {
+    this.defaultBaseUrl = normalizeBaseUrl(baseUrl);
+    this.baseUrl = this.defaultBaseUrl;
+    this.fetch = fetch;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeouts = timeouts;
+    this.totalTimeouts = totalTimeouts;
+    this.sleep = sleep;
+    this.now = now;
+    this.log = () => {};
+  }
+
+  // An empty URL goes back to the one the client was created with
+  setBaseUrl(url) {
+    this.baseUrl = url ? normalizeBaseUrl(url) : this.defaultBaseUrl;
+  }
+
+  // log(message, { level, type }) receives request outcomes and retries
+  setLogger(log) {
+    this.log = log;
+  }
+
+  url(route) {
+    return `${this.baseUrl}${API_ROUTE_PREFIX}/${route}`;
+  }
+
+  /**
+   * The deployment and API version override the backend's configuration when given.
+   * @returns {Promise<SessionResponse>}
+   */
+  async createSession({ voice, deploymentName, apiVersion } = {}, { signal } = {}) {
+    const body = { Voice: voice };
+    if (deploymentName) body.DeploymentName = deploymentName;
+    if (apiVersion) body.ApiVersion = apiVersion;
+    const response = await this.post('sessions', body, { signal });
+    const session = await response.json();
+    if (!session?.id || !session.client_secret?.value) {
+      throw new ApiError('Failed to create session - the response has no id or ephemeral key', { route: 'sessions', status: response.status });
+    }
+    return session;
+  }
+
+  /** @returns {Promise<string>} the SDP answer */
+  async connectRTC(sdp, ephemeralKey, deploymentName, region, { signal } = {}) {
+    const response = await this.post('rtc', { sdp, ephemeralKey, deploymentName, region }, { signal });
+    return response.text();
+  }
+
+  /** @returns {Promise<boolean>} true when the question needs the database */
+  async classifyIntent(question, history = [], { signal } = {}) {
+    const response = await this.post('classify-intent', { query: question, messages: history }, { signal });
+    return (await response.json()) === true;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`RTC connect failed - ${response.status}: ${errorText}`);
+  /** @returns {Promise<QueryResponse>} */
+  async query(question, history = [], { signal } = {}) {
+    const response = await this.post('query', { query: question, messages: history }, { signal });
+    const data = await response.json();
+    return {
+      records: getRecords(data),
+      rewrittenQuery: data?.rewrittenQuery ?? null,
+      sql: data?.sql ?? null,
+      attempts: data?.attempts ?? null
+    };
+  }
+
+  // POSTs JSON, retrying idempotent routes with exponential backoff until the
+  // route's total time runs out
+  async post(route, payload, { signal } = {}) {
+    const { idempotent } = ROUTES[route];
+    const attempts = idempotent ? this.retries + 1 : 1;
+    const timeoutMs = this.timeouts[route] ?? ROUTES[route].timeoutMs;
+    const totalMs = this.totalTimeouts[route] ?? ROUTES[route].totalMs ?? timeoutMs;
+    const deadline = this.now() + totalMs;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.attempt(route, payload, signal, Math.min(timeoutMs, deadline - this.now()));
+      } catch (err) {
+        if (attempt >= attempts || !err.retryable) throw err;
+        const delayMs = this.retryDelayMs * 2 ** (attempt - 1);
+        if (this.now() + delayMs >= deadline) throw err;
+        this.log(`⚠️ ${err.message} – retrying in ${delayMs} ms`, { type: route });
+        await this.sleep(delayMs);
+        if (signal?.aborted) throw new ApiError(`${ROUTES[route].failure} - aborted`, { route, aborted: true });
+      }
     }
+  }
+
+  // One request with its own timeout; the caller's signal aborts it too
+  async attempt(route, payload, signal, timeoutMs) {
+    const { failure } = ROUTES[route];
+    if (signal?.aborted) throw new ApiError(`${failure} - aborted`, { route, aborted: true });
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
 
-    return await response.text();
-  } catch (error) {
-    console.error('Error connecting RTC:', error);
-    throw error;
+    // Rejects as soon as the request is aborted, even if fetch ignores the signal
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(new ApiError(
+        timedOut ? `${failure} - timed out after ${timeoutMs} ms` : `${failure} - aborted`,
+        { route, timedOut, aborted: !timedOut }
+      )));
+    });
+    aborted.catch(() => {});
+
+    const startedAt = this.now();
+    try {
+      let response;
+      try {
+        response = await Promise.race([
+          this.fetch(this.url(route), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: controller.signal
+          }),
+          aborted
+        ]);
+      } catch (err) {
+        if (err instanceof ApiError) throw err;
+        throw new ApiError(`${failure} - ${err.message}`, { route });
+      }
+
+      this.log(`POST /${route} → ${response.status} (${this.now() - startedAt} ms)`, { type: route, level: LogLevel.DEBUG });
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new ApiError(`${failure} - ${response.status}: ${body}`, { route, status: response.status, body });
+      }
+      return response;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
   }
-};
\ No newline at end of file
+}
+
+export default ApiClient;
@@ -0,0 +1,115 @@
+import ApiClient, { ApiError, normalizeBaseUrl, isValidBaseUrl } from './ApiService';
+
+const response = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+});
+
+test('accepts the backend origin with or without the route prefix', () => {
+  expect(normalizeBaseUrl('https://localhost:7254/')).toBe('https://localhost:7254');
+  expect(normalizeBaseUrl(' https://api.example.com/api/AzureOpenAI/ ')).toBe('https://api.example.com');
+  expect(new ApiClient({ baseUrl: 'https://api.example.com/api/azureopenai' }).url('query'))
+    .toBe('https://api.example.com/api/AzureOpenAI/query');
+
+  expect(isValidBaseUrl('https://api.example.com')).toBe(true);
+  expect(isValidBaseUrl('ftp://api.example.com')).toBe(false);
+  expect(isValidBaseUrl('localhost:7254')).toBe(false);
+});
+
+test('posts the question with the history and normalizes the query response', async () => {
+  const fetch = jest.fn().mockResolvedValue(response(200, { data: [{ Year: '2021' }], sql: 'SELECT 1' }));
+  const api = new ApiClient({ baseUrl: 'https://api.example.com', fetch });
+  api.setBaseUrl('https://other.example.com/');
+
+  const result = await api.query('Who won in 2021?', [{ sender: 'user', text: 'Hi' }]);
+
+  expect(result).toEqual({ records: [{ Year: '2021' }], rewrittenQuery: null, sql: 'SELECT 1', attempts: null });
+  const [url, init] = fetch.mock.calls[0];
+  expect(url).toBe('https://other.example.com/api/AzureOpenAI/query');
+  expect(JSON.parse(init.body)).toEqual({ query: 'Who won in 2021?', messages: [{ sender: 'user', text: 'Hi' }] });
+
+  api.setBaseUrl('');
+  expect(api.url('sessions')).toBe('https://api.example.com/api/AzureOpenAI/sessions');
+});
+
+test('creates sessions for the chosen voice, deployment and API version', async () => {
+  const fetch = jest.fn().mockResolvedValue(response(200, { id: 'sess-1', client_secret: { value: 'key' } }));
+  const api = new ApiClient({ fetch });
+
+  await api.createSession({ voice: 'coral', deploymentName: 'gpt-realtime', apiVersion: '2025-08-28' });
+  await api.createSession({ voice: 'verse' });
+
+  expect(fetch.mock.calls.map(([, init]) => JSON.parse(init.body))).toEqual([
+    { Voice: 'coral', DeploymentName: 'gpt-realtime', ApiVersion: '2025-08-28' },
+    { Voice: 'verse' }
+  ]);
+});
+
+test('retries idempotent calls with exponential backoff', async () => {
+  const fetch = jest.fn()
+    .mockResolvedValueOnce(response(503, 'busy'))
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(200, true));
+  const sleep = jest.fn().mockResolvedValue();
+  const api = new ApiClient({ fetch, sleep, retryDelayMs: 100 });
+
+  await expect(api.classifyIntent('Who won?')).resolves.toBe(true);
+  expect(fetch).toHaveBeenCalledTimes(3);
+  expect(sleep.mock.calls).toEqual([[100], [200]]);
+});
+
+test('does not retry client errors or calls that are not idempotent', async () => {
+  const sleep = jest.fn().mockResolvedValue();
+  const badRequest = jest.fn().mockResolvedValue(response(400, 'Bad question'));
+  await expect(new ApiClient({ fetch: badRequest, sleep }).query('?')).rejects.toMatchObject({
+    name: 'ApiError', status: 400, message: 'Query failed - 400: Bad question'
+  });
+  expect(badRequest).toHaveBeenCalledTimes(1);
+
+  const failing = jest.fn().mockResolvedValue(response(500, 'Down'));
+  await expect(new ApiClient({ fetch: failing, sleep }).createSession({ voice: 'verse' })).rejects.toBeInstanceOf(ApiError);
+  expect(failing).toHaveBeenCalledTimes(1);
+  expect(sleep).not.toHaveBeenCalled();
+});
+
+test('does not retry a server error or a timeout from /query, which already retries SQL generation', async () => {
+  const sleep = jest.fn().mockResolvedValue();
+  const failing = jest.fn().mockResolvedValue(response(500, 'SQL generation failed'));
+  await expect(new ApiClient({ fetch: failing, sleep }).query('Who won?')).rejects.toMatchObject({ status: 500, retryable: false });
+  expect(failing).toHaveBeenCalledTimes(1);
+
+  const hanging = jest.fn(() => new Promise(() => {}));
+  await expect(new ApiClient({ fetch: hanging, sleep, timeouts: { query: 10 } }).query('Slow question'))
+    .rejects.toMatchObject({ timedOut: true });
+  expect(hanging).toHaveBeenCalledTimes(1);
+  expect(sleep).not.toHaveBeenCalled();
+});
+
+test('stops retrying once the total time for the call is used up', async () => {
+  let clock = 0;
+  const fetch = jest.fn(async () => {
+    clock += 4000;
+    return response(503, 'busy');
+  });
+  const sleep = jest.fn(async (ms) => { clock += ms; });
+  const api = new ApiClient({ fetch, sleep, now: () => clock, retryDelayMs: 1000, totalTimeouts: { query: 10000 } });
+
+  await expect(api.query('Who won?')).rejects.toMatchObject({ status: 503 });
+  // 4 s + 1 s backoff + 4 s leaves 1 s, not enough for the 2 s backoff
+  expect(fetch).toHaveBeenCalledTimes(2);
+  expect(sleep.mock.calls).toEqual([[1000]]);
+});
+
+test('aborts requests that time out or that the caller cancels', async () => {
+  const hanging = jest.fn(() => new Promise(() => {}));
+  const api = new ApiClient({ fetch: hanging, retries: 0, timeouts: { query: 10 } });
+  await expect(api.query('Slow question')).rejects.toMatchObject({ timedOut: true, message: 'Query failed - timed out after 10 ms' });
+  expect(hanging.mock.calls[0][1].signal.aborted).toBe(true);
+
+  const controller = new AbortController();
+  const pending = new ApiClient({ fetch: hanging }).query('Stale question', [], { signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ aborted: true, retryable: false });
+});
@@ -0,0 +1,187 @@
+// src/services/AudioPlayback.js
+
+export const PLAYBACK_KEY = 'azureOpenAIPlayback';
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+export const DEFAULT_PLAYBACK = Object.freeze({ volume: 1, muted: false, rate: 1 });
+
+export const loadPlaybackPrefs = (storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(PLAYBACK_KEY) || '{}');
+    return { ...DEFAULT_PLAYBACK, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch {
+    return { ...DEFAULT_PLAYBACK };
+  }
+};
+
+export const savePlaybackPrefs = (prefs, storage = window.localStorage) => {
+  storage.setItem(PLAYBACK_KEY, JSON.stringify(prefs));
+};
+
+/**
+ * Plays the assistant's audio: the live WebRTC track of a conversation and
+ * replays of earlier responses. Both follow the master volume, the mute switch
+ * and the chosen speaker; the speed only applies to replays, live audio can't
+ * run ahead of the server.
+ * Each response can be captured as a clip between startClip() and finishClip().
+ */
+class AudioPlayback {
+  constructor({
+    createAudioElement = () => new Audio(),
+    MediaRecorder = window.MediaRecorder,
+    mimeType = 'audio/webm;codecs=opus',
+    createObjectURL = (blob) => URL.createObjectURL(blob),
+    revokeObjectURL = (url) => URL.revokeObjectURL(url)
+  } = {}) {
+    this.createAudioElement = createAudioElement;
+    this.MediaRecorder = MediaRecorder;
+    this.mimeType = mimeType;
+    this.createObjectURL = createObjectURL;
+    this.revokeObjectURL = revokeObjectURL;
+
+    this.volume = DEFAULT_PLAYBACK.volume;
+    this.muted = DEFAULT_PLAYBACK.muted;
+    this.rate = DEFAULT_PLAYBACK.rate;
+    this.silenced = false;  // live audio cut off by a barge-in, until the next response
+    this.sinkId = '';
+
+    this.live = null;       // { element, stream } of the current conversation
+    this.clip = null;       // { recorder, chunks } of the response being captured
+    this.replaying = null;  // { element, url, finish } of the replay in progress
+  }
+
+  // { volume, muted, rate }, applied to whatever is playing
+  configure({ volume = this.volume, muted = this.muted, rate = this.rate }) {
+    this.volume = volume;
+    this.muted = muted;
+    this.rate = rate;
+    this.applyTo(this.live?.element);
+    this.applyTo(this.replaying?.element);
+  }
+
+  silence(silenced) {
+    this.silenced = silenced;
+    this.applyTo(this.live?.element);
+  }
+
+  applyTo(element) {
+    if (!element) return;
+    element.volume = this.volume;
+    element.muted = this.muted || (element === this.live?.element && this.silenced);
+    if (element === this.replaying?.element) element.playbackRate = this.rate;
+  }
+
+  // Returns the element for the remote track; the caller starts it once the speaker is set
+  attachStream(stream) {
+    this.detachStream();
+    const element = this.createAudioElement();
+    element.srcObject = stream;
+    this.live = { element, stream };
+    this.applyTo(element);
+    return element;
+  }
+
+  detachStream() {
+    this.discardClip();
+    this.silenced = false;
+    if (!this.live) return;
+    this.live.element.pause();
+    this.live.element.srcObject = null;
+    this.live = null;
+  }
+
+  // Resolves with true if an element switched to the device
+  async setOutputDevice(deviceId) {
+    this.sinkId = deviceId;
+    const elements = [this.live?.element, this.replaying?.element]
+      .filter(element => element && typeof element.setSinkId === 'function' && element.sinkId !== deviceId);
+    await Promise.all(elements.map(element => element.setSinkId(deviceId)));
+    return elements.length > 0;
+  }
+
+  canCapture() {
+    return Boolean(this.MediaRecorder && this.live?.stream.getAudioTracks?.().length);
+  }
+
+  // Starts recording the live track; returns false if it can't be recorded
+  startClip() {
+    this.discardClip();
+    if (!this.canCapture()) return false;
+    const recorder = new this.MediaRecorder(this.live.stream, { mimeType: this.mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (evt) => {
+      if (evt.data.size > 0) chunks.push(evt.data);
+    };
+    recorder.start();
+    this.clip = { recorder, chunks };
+    return true;
+  }
+
+  // Resolves with the clip, or null if nothing was captured
+  finishClip() {
+    if (!this.clip) return Promise.resolve(null);
+    const { recorder, chunks } = this.clip;
+    this.clip = null;
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => resolve(chunks.length > 0 ? new Blob(chunks, { type: 'audio/webm' }) : null);
+      recorder.stop();
+    });
+  }
+
+  discardClip() {
+    if (!this.clip) return;
+    const { recorder } = this.clip;
+    this.clip = null;
+    recorder.ondataavailable = null;
+    try {
+      recorder.stop();
+    } catch (err) {
+      // Ignore errors during cleanup
+    }
+  }
+
+  // Plays a captured clip, stopping any other replay. Resolves when it ends or is stopped.
+  async replay(blob) {
+    this.stopReplay();
+    const element = this.createAudioElement();
+    const url = this.createObjectURL(blob);
+    element.src = url;
+
+    const ended = new Promise((resolve) => {
+      this.replaying = { element, url, finish: resolve };
+    });
+    element.onended = () => this.stopReplay();
+    this.applyTo(element);
+
+    try {
+      if (this.sinkId && typeof element.setSinkId === 'function') await element.setSinkId(this.sinkId);
+      await element.play();
+    } catch (err) {
+      if (this.replaying?.element === element) this.stopReplay();
+      throw err;
+    }
+    return ended;
+  }
+
+  isReplaying() {
+    return this.replaying !== null;
+  }
+
+  stopReplay() {
+    if (!this.replaying) return;
+    const { element, url, finish } = this.replaying;
+    this.replaying = null;
+    element.onended = null;
+    element.pause();
+    element.removeAttribute?.('src');
+    this.revokeObjectURL(url);
+    finish();
+  }
+
+  teardown() {
+    this.detachStream();
+    this.stopReplay();
+  }
+}
+
+export default AudioPlayback;
@@ -0,0 +1,111 @@
+import AudioPlayback, { PLAYBACK_KEY, DEFAULT_PLAYBACK, loadPlaybackPrefs, savePlaybackPrefs } from './AudioPlayback';
+
+const createElement = () => {
+  const element = {
+    sinkId: '',
+    play: jest.fn(async () => {}),
+    pause: jest.fn(),
+    setSinkId: jest.fn(async id => { element.sinkId = id; })
+  };
+  return element;
+};
+
+class FakeRecorder {
+  constructor(stream, options) {
+    this.stream = stream;
+    this.options = options;
+  }
+
+  start() {}
+
+  stop() {
+    this.ondataavailable?.({ data: new Blob(['clip']) });
+    this.onstop?.();
+  }
+}
+
+const liveStream = { getAudioTracks: () => [{ kind: 'audio' }] };
+
+const createPlayback = (options) => {
+  const elements = [];
+  const playback = new AudioPlayback({
+    createAudioElement: () => {
+      const element = createElement();
+      elements.push(element);
+      return element;
+    },
+    MediaRecorder: FakeRecorder,
+    createObjectURL: () => 'blob:clip',
+    revokeObjectURL: jest.fn(),
+    ...options
+  });
+  return { playback, elements };
+};
+
+test('applies the volume and mute to the live audio, and a barge-in does not unmute it', () => {
+  const { playback } = createPlayback();
+  const live = playback.attachStream(liveStream);
+  expect(live.srcObject).toBe(liveStream);
+
+  playback.configure({ volume: 0.4, muted: true });
+  expect(live).toMatchObject({ volume: 0.4, muted: true });
+
+  playback.silence(true);
+  playback.silence(false);
+  expect(live.muted).toBe(true);
+
+  playback.configure({ muted: false });
+  expect(live).toMatchObject({ volume: 0.4, muted: false });
+});
+
+test('captures a clip of the live audio between startClip and finishClip', async () => {
+  const { playback } = createPlayback();
+  expect(playback.startClip()).toBe(false);
+
+  playback.attachStream(liveStream);
+  expect(playback.startClip()).toBe(true);
+  const blob = await playback.finishClip();
+  expect(blob).toMatchObject({ size: 4, type: 'audio/webm' });
+  expect(await playback.finishClip()).toBeNull();
+});
+
+test('replays a clip at the chosen speed on the chosen speaker until it ends', async () => {
+  const { playback, elements } = createPlayback();
+  playback.configure({ volume: 0.5, rate: 1.5 });
+  await playback.setOutputDevice('headphones');
+
+  const ended = playback.replay(new Blob(['clip']));
+  await Promise.resolve();
+  const [element] = elements;
+  expect(element).toMatchObject({ src: 'blob:clip', volume: 0.5, playbackRate: 1.5 });
+  expect(element.setSinkId).toHaveBeenCalledWith('headphones');
+  expect(playback.isReplaying()).toBe(true);
+
+  element.onended();
+  await ended;
+  expect(playback.isReplaying()).toBe(false);
+  expect(playback.revokeObjectURL).toHaveBeenCalledWith('blob:clip');
+});
+
+test('stops the live audio, the capture and any replay on teardown', async () => {
+  const { playback, elements } = createPlayback();
+  const live = playback.attachStream(liveStream);
+  playback.startClip();
+  const ended = playback.replay(new Blob(['clip']));
+
+  playback.teardown();
+  await ended;
+  expect(live.pause).toHaveBeenCalled();
+  expect(live.srcObject).toBeNull();
+  expect(elements[1].pause).toHaveBeenCalled();
+  expect(await playback.finishClip()).toBeNull();
+});
+
+test('remembers the playback preferences', () => {
+  localStorage.clear();
+  expect(loadPlaybackPrefs()).toEqual(DEFAULT_PLAYBACK);
+  savePlaybackPrefs({ volume: 0.3, muted: true, rate: 1.25 });
+  expect(loadPlaybackPrefs()).toEqual({ volume: 0.3, muted: true, rate: 1.25 });
+  localStorage.setItem(PLAYBACK_KEY, 'not json');
+  expect(loadPlaybackPrefs()).toEqual(DEFAULT_PLAYBACK);
+});
@@ -0,0 +1,65 @@
+// src/services/CallRecorder.js
+
+/**
+ * Records both sides of a call into a single WebM file by mixing the local
+ * microphone stream and the remote assistant track through Web Audio.
+ * Streams can be added at any time, e.g. when the remote track arrives or a
+ * reconnect replaces the microphone stream.
+ */
+class CallRecorder {
+  constructor({
+    AudioContext = window.AudioContext || window.webkitAudioContext,
+    MediaRecorder = window.MediaRecorder,
+    mimeType = 'audio/webm;codecs=opus'
+  } = {}) {
+    this.AudioContext = AudioContext;
+    this.MediaRecorder = MediaRecorder;
+    this.mimeType = mimeType;
+    this.audioContext = null;
+    this.destination = null;
+    this.recorder = null;
+    this.sources = [];
+    this.chunks = [];
+  }
+
+  start() {
+    this.audioContext = new this.AudioContext();
+    this.destination = this.audioContext.createMediaStreamDestination();
+    this.recorder = new this.MediaRecorder(this.destination.stream, { mimeType: this.mimeType });
+    this.recorder.ondataavailable = (evt) => {
+      if (evt.data.size > 0) this.chunks.push(evt.data);
+    };
+    this.recorder.start(1000);
+  }
+
+  addStream(stream) {
+    if (!this.audioContext || stream.getAudioTracks().length === 0) return;
+    const source = this.audioContext.createMediaStreamSource(stream);
+    source.connect(this.destination);
+    this.sources.push(source);
+  }
+
+  // Resolves with the recording, or null if nothing was captured
+  stop() {
+    if (!this.recorder) return Promise.resolve(null);
+
+    const recorder = this.recorder;
+    this.recorder = null;
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        this.sources.forEach(source => source.disconnect());
+        this.sources = [];
+        this.audioContext.close();
+        this.audioContext = null;
+
+        const blob = this.chunks.length > 0 ? new Blob(this.chunks, { type: 'audio/webm' }) : null;
+        this.chunks = [];
+        resolve(blob);
+      };
+      recorder.stop();
+    });
+  }
+}
+
+export default CallRecorder;
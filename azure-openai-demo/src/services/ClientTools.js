@@ -0,0 +1,53 @@
+// src/services/ClientTools.js
+// Tools that run entirely in the browser. Register them on a session with
+// session.tools.register(tool).
+
+// Linear units as [dimension, factor to the base unit]
+const LINEAR_UNITS = {
+  km: ['length', 1000],
+  m: ['length', 1],
+  mi: ['length', 1609.344],
+  ft: ['length', 0.3048],
+  kph: ['speed', 1 / 3.6],
+  mph: ['speed', 0.44704],
+  kg: ['mass', 1],
+  lb: ['mass', 0.45359237]
+};
+
+const TEMPERATURE_UNITS = {
+  c: { toKelvin: v => v + 273.15, fromKelvin: v => v - 273.15 },
+  f: { toKelvin: v => (v - 32) * 5 / 9 + 273.15, fromKelvin: v => (v - 273.15) * 9 / 5 + 32 }
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export const convertUnits = ({ value, from, to }) => {
+  if (TEMPERATURE_UNITS[from] && TEMPERATURE_UNITS[to]) {
+    return { value: round(TEMPERATURE_UNITS[to].fromKelvin(TEMPERATURE_UNITS[from].toKelvin(value))), unit: to };
+  }
+
+  const [fromDimension, fromFactor] = LINEAR_UNITS[from] || [];
+  const [toDimension, toFactor] = LINEAR_UNITS[to] || [];
+  if (!fromDimension || fromDimension !== toDimension) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  return { value: round(value * fromFactor / toFactor), unit: to };
+};
+
+const UNITS = [...Object.keys(LINEAR_UNITS), ...Object.keys(TEMPERATURE_UNITS)];
+
+export const convertUnitsTool = {
+  name: 'convert_units',
+  description: 'Converts a value between units of length (km, m, mi, ft), speed (kph, mph), mass (kg, lb) or temperature (c, f). Use it instead of converting in your head.',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The value to convert' },
+      from: { type: 'string', enum: UNITS, description: 'Unit of the value' },
+      to: { type: 'string', enum: UNITS, description: 'Unit to convert to' }
+    },
+    required: ['value', 'from', 'to']
+  },
+  timeoutMs: 1000,
+  handler: async (args) => convertUnits(args)
+};
@@ -0,0 +1,12 @@
+import { convertUnits } from './ClientTools';
+
+test('converts lengths, speeds, masses and temperatures', () => {
+  expect(convertUnits({ value: 305, from: 'km', to: 'mi' })).toEqual({ value: 189.518, unit: 'mi' });
+  expect(convertUnits({ value: 350, from: 'kph', to: 'mph' })).toEqual({ value: 217.48, unit: 'mph' });
+  expect(convertUnits({ value: 798, from: 'kg', to: 'lb' })).toEqual({ value: 1759.289, unit: 'lb' });
+  expect(convertUnits({ value: 35, from: 'c', to: 'f' })).toEqual({ value: 95, unit: 'f' });
+});
+
+test('refuses to convert between dimensions', () => {
+  expect(() => convertUnits({ value: 1, from: 'km', to: 'kg' })).toThrow('Cannot convert km to kg');
+});
@@ -0,0 +1,66 @@
+// src/services/ConversationExport.js
+import { recordsToMarkdown } from './QueryResults';
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+export const toMarkdown = (conversation) => {
+  const { title, startedAt, settings = {}, messages = [] } = conversation;
+  const lines = [
+    `# ${title || 'Conversation'}`,
+    '',
+    `- Started: ${formatTime(startedAt)}`,
+    `- Deployment: ${settings.deploymentName || 'n/a'} (${settings.region || 'n/a'})`,
+    `- Voice: ${settings.voice || 'n/a'}`,
+    ''
+  ];
+
+  messages.forEach(message => {
+    const speaker = message.sender === 'user' ? 'User' : 'Assistant';
+    const note = message.interrupted ? ' _(interrupted)_' : '';
+    lines.push(`**${speaker}** · ${formatTime(message.timestamp)}${note}`, '', message.text, '');
+
+    if (message.query?.sql) {
+      lines.push('```sql', message.query.sql, '```', '');
+    }
+    if (message.records?.length > 0) {
+      lines.push(recordsToMarkdown(message.records));
+    }
+  });
+
+  return lines.join('\n');
+};
+
+export const toJson = (conversation) => {
+  const { id, title, startedAt, updatedAt, sessionIds, settings, messages = [] } = conversation;
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    conversation: { id, title, startedAt, updatedAt, sessionIds, settings },
+    messages: messages.map(({ sender, text, timestamp, interrupted, query, records }) => ({
+      sender,
+      text,
+      timestamp,
+      interrupted: Boolean(interrupted),
+      intent: query?.intent ?? null,
+      rewrittenQuery: query?.rewrittenQuery ?? null,
+      sql: query?.sql ?? null,
+      records: records ?? null
+    }))
+  }, null, 2);
+};
+
+export const exportFileName = (conversation, extension) => {
+  const date = (conversation.startedAt || new Date().toISOString()).slice(0, 19).replace(/[:T]/g, '-');
+  return `conversation-${date}.${extension}`;
+};
+
+export const downloadFile = (fileName, content, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,49 @@
+import { toMarkdown, toJson, exportFileName } from './ConversationExport';
+
+const conversation = {
+  id: 'conv-1',
+  title: 'Who won in 2023?',
+  startedAt: '2026-03-01T10:00:00.000Z',
+  updatedAt: '2026-03-01T10:05:00.000Z',
+  sessionIds: ['sess-1'],
+  settings: { voice: 'verse', region: 'eastus2', deploymentName: 'gpt-4o-mini-realtime-preview' },
+  messages: [
+    { sender: 'user', text: 'Who won in 2023?', timestamp: '2026-03-01T10:00:10.000Z' },
+    {
+      sender: 'assistant',
+      text: 'Max Verstappen won 19 races.',
+      timestamp: '2026-03-01T10:00:15.000Z',
+      records: [{ Driver: 'Max Verstappen', RaceWins: '19' }],
+      query: { intent: 'statistical', rewrittenQuery: 'Most race wins in 2023', sql: 'SELECT Driver, RaceWins FROM F1Records', rowCount: 1 }
+    },
+    { sender: 'assistant', text: 'He also', timestamp: '2026-03-01T10:01:00.000Z', interrupted: true }
+  ]
+};
+
+test('exports user and assistant turns with SQL and result tables as Markdown', () => {
+  const markdown = toMarkdown(conversation);
+
+  expect(markdown).toMatch(/^# Who won in 2023\?/);
+  expect(markdown).toContain('Max Verstappen won 19 races.');
+  expect(markdown).toContain('```sql\nSELECT Driver, RaceWins FROM F1Records\n```');
+  expect(markdown).toContain('| Driver | RaceWins |\n| --- | --- |\n| Max Verstappen | 19 |');
+  expect(markdown).toContain('_(interrupted)_');
+});
+
+test('exports structured JSON with intent, SQL and records per message', () => {
+  const exported = JSON.parse(toJson(conversation));
+
+  expect(exported.conversation).toMatchObject({ id: 'conv-1', sessionIds: ['sess-1'] });
+  expect(exported.messages[0]).toMatchObject({ sender: 'user', intent: null, sql: null, records: null });
+  expect(exported.messages[1]).toMatchObject({
+    intent: 'statistical',
+    rewrittenQuery: 'Most race wins in 2023',
+    sql: 'SELECT Driver, RaceWins FROM F1Records',
+    records: [{ Driver: 'Max Verstappen', RaceWins: '19' }]
+  });
+  expect(exported.messages[2].interrupted).toBe(true);
+});
+
+test('names export files after the conversation start time', () => {
+  expect(exportFileName(conversation, 'md')).toBe('conversation-2026-03-01-10-00-00.md');
+});
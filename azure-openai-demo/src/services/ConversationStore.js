@@ -0,0 +1,92 @@
+// src/services/ConversationStore.js
+const DB_NAME = 'azure-openai-demo';
+const DB_VERSION = 1;
+const STORE = 'conversations';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Saves conversations to IndexedDB. A conversation looks like
+ * { id, title, startedAt, updatedAt, sessionIds, settings, messages }, where each
+ * message keeps its timestamp and any attached query records.
+ */
+export class ConversationStore {
+  constructor({ indexedDB = window.indexedDB, dbName = DB_NAME } = {}) {
+    this.indexedDB = indexedDB;
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      if (!this.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+      }
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    const tx = db.transaction(STORE, mode);
+    return promisify(operation(tx.objectStore(STORE)));
+  }
+
+  save(conversation) {
+    return this.run('readwrite', store => store.put(conversation));
+  }
+
+  get(id) {
+    return this.run('readonly', store => store.get(id));
+  }
+
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+
+  // Most recently updated first
+  async list() {
+    const conversations = await this.run('readonly', store => store.getAll());
+    return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+export const createConversation = (settings) => {
+  const now = new Date().toISOString();
+  return {
+    id: `conv-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title: '',
+    startedAt: now,
+    updatedAt: now,
+    sessionIds: [],
+    settings: {
+      voice: settings.voice,
+      region: settings.region,
+      deploymentName: settings.deploymentName,
+      apiVersion: settings.apiVersion,
+      sessionMode: settings.sessionMode
+    },
+    messages: []
+  };
+};
+
+// Use the first user question as the title shown in the history list;
+// without one the title stays empty and is translated where it is shown
+export const titleFor = (messages) => {
+  const first = messages.find(m => m.sender === 'user');
+  if (!first) return '';
+  return first.text.length > 60 ? `${first.text.slice(0, 57)}…` : first.text;
+};
+
+const conversationStore = new ConversationStore();
+
+export default conversationStore;
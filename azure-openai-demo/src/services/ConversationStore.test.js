@@ -0,0 +1,96 @@
+import { ConversationStore, createConversation, titleFor } from './ConversationStore';
+
+// Just enough of IndexedDB for the store: requests succeed on the next tick,
+// and records are copied in and out as the real thing does
+const request = (run) => {
+  const req = {};
+  setTimeout(() => {
+    req.result = run();
+    req.onsuccess?.();
+  });
+  return req;
+};
+
+class FakeObjectStore {
+  constructor({ keyPath }) {
+    this.keyPath = keyPath;
+    this.records = new Map();
+  }
+  createIndex() {}
+  put(record) { return request(() => { this.records.set(record[this.keyPath], JSON.parse(JSON.stringify(record))); }); }
+  get(key) { return request(() => this.records.get(key)); }
+  delete(key) { return request(() => { this.records.delete(key); }); }
+  getAll() { return request(() => [...this.records.values()].map(record => JSON.parse(JSON.stringify(record)))); }
+}
+
+class FakeIndexedDB {
+  constructor() {
+    this.stores = {};
+    this.opened = 0;
+  }
+  open() {
+    this.opened += 1;
+    const db = {
+      createObjectStore: (name, options) => (this.stores[name] = new FakeObjectStore(options)),
+      transaction: (name) => ({ objectStore: () => this.stores[name] })
+    };
+    const req = { result: db };
+    setTimeout(() => {
+      if (Object.keys(this.stores).length === 0) req.onupgradeneeded?.();
+      req.onsuccess?.();
+    });
+    return req;
+  }
+}
+
+const conversation = (id, updatedAt, messages = []) => ({ ...createConversation({ voice: 'verse' }), id, updatedAt, messages });
+
+test('saves conversations and lists the most recently updated first', async () => {
+  const indexedDB = new FakeIndexedDB();
+  const store = new ConversationStore({ indexedDB });
+
+  await store.save(conversation('a', '2025-05-01T10:00:00.000Z'));
+  await store.save(conversation('b', '2025-05-03T10:00:00.000Z'));
+  await store.save(conversation('c', '2025-05-02T10:00:00.000Z'));
+  await store.save(conversation('a', '2025-05-04T10:00:00.000Z', [{ sender: 'user', text: 'Who won?' }]));
+
+  expect((await store.list()).map(c => c.id)).toEqual(['a', 'b', 'c']);
+  expect((await store.get('a')).messages).toEqual([{ sender: 'user', text: 'Who won?' }]);
+  expect(indexedDB.opened).toBe(1);
+});
+
+test('deletes conversations', async () => {
+  const store = new ConversationStore({ indexedDB: new FakeIndexedDB() });
+  await store.save(conversation('a', '2025-05-01T10:00:00.000Z'));
+  await store.save(conversation('b', '2025-05-02T10:00:00.000Z'));
+
+  await store.delete('b');
+
+  expect((await store.list()).map(c => c.id)).toEqual(['a']);
+  expect(await store.get('b')).toBeUndefined();
+});
+
+test('fails clearly when the browser has no IndexedDB', async () => {
+  await expect(new ConversationStore({ indexedDB: undefined }).list()).rejects.toThrow('IndexedDB is not available in this browser');
+});
+
+test('starts conversations with the settings they were held with', () => {
+  const settings = { voice: 'coral', region: 'swedencentral', deploymentName: 'gpt-realtime', apiVersion: '2025-08-28', sessionMode: 'text', temperature: 0.7 };
+  const first = createConversation(settings);
+
+  expect(first).toMatchObject({ title: '', sessionIds: [], messages: [], updatedAt: first.startedAt });
+  expect(first.settings).toEqual({ voice: 'coral', region: 'swedencentral', deploymentName: 'gpt-realtime', apiVersion: '2025-08-28', sessionMode: 'text' });
+  expect(first.id).toMatch(/^conv-\d+-\w+$/);
+  expect(createConversation(settings).id).not.toBe(first.id);
+});
+
+test('titles a conversation after its first question', () => {
+  expect(titleFor([])).toBe('');
+  expect(titleFor([{ sender: 'assistant', text: 'Hi!' }])).toBe('');
+  expect(titleFor([{ sender: 'assistant', text: 'Hi!' }, { sender: 'user', text: 'Who won in 2021?' }])).toBe('Who won in 2021?');
+
+  const long = `Which driver ${'won '.repeat(20)}`;
+  const title = titleFor([{ sender: 'user', text: long }]);
+  expect(title).toHaveLength(58);
+  expect(title.endsWith('…')).toBe(true);
+});
@@ -0,0 +1,27 @@
+// src/services/KeyboardShortcuts.js
+// Page-wide keyboard shortcuts. They need Alt+Shift so they never clash with
+// typing, and match the physical key so they work on any keyboard layout.
+
+export const Shortcut = Object.freeze({
+  TOGGLE_CONVERSATION: 'toggleConversation',
+  TOGGLE_MUTE: 'toggleMute',
+  TOGGLE_CAPTIONS: 'toggleCaptions'
+});
+
+const SHORTCUT_CODES = Object.freeze({
+  [Shortcut.TOGGLE_CONVERSATION]: 'KeyC',
+  [Shortcut.TOGGLE_MUTE]: 'KeyM',
+  [Shortcut.TOGGLE_CAPTIONS]: 'KeyL'
+});
+
+// Held down to talk in push-to-talk mode, unless a form field has the focus
+export const PUSH_TO_TALK_CODE = 'Space';
+
+// In the aria-keyshortcuts format, e.g. "Alt+Shift+C"
+export const shortcutKeys = (shortcut) => `Alt+Shift+${SHORTCUT_CODES[shortcut].replace('Key', '')}`;
+
+// The Shortcut a keydown event triggers, or null
+export const matchShortcut = (event) => {
+  if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || event.repeat) return null;
+  return Object.keys(SHORTCUT_CODES).find(shortcut => SHORTCUT_CODES[shortcut] === event.code) ?? null;
+};
@@ -0,0 +1,20 @@
+import { Shortcut, matchShortcut, shortcutKeys } from './KeyboardShortcuts';
+
+const keydown = (code, modifiers = {}) => ({ code, altKey: true, shiftKey: true, ctrlKey: false, metaKey: false, repeat: false, ...modifiers });
+
+test('matches Alt+Shift and the physical key', () => {
+  expect(matchShortcut(keydown('KeyC'))).toBe(Shortcut.TOGGLE_CONVERSATION);
+  expect(matchShortcut(keydown('KeyM'))).toBe(Shortcut.TOGGLE_MUTE);
+  expect(matchShortcut(keydown('KeyL'))).toBe(Shortcut.TOGGLE_CAPTIONS);
+  expect(matchShortcut(keydown('KeyX'))).toBeNull();
+});
+
+test('ignores other modifiers and held keys', () => {
+  expect(matchShortcut(keydown('KeyC', { shiftKey: false }))).toBeNull();
+  expect(matchShortcut(keydown('KeyC', { ctrlKey: true }))).toBeNull();
+  expect(matchShortcut(keydown('KeyM', { repeat: true }))).toBeNull();
+});
+
+test('describes shortcuts in the aria-keyshortcuts format', () => {
+  expect(shortcutKeys(Shortcut.TOGGLE_MUTE)).toBe('Alt+Shift+M');
+});
@@ -0,0 +1,49 @@
+// src/services/Languages.js
+// Conversation languages: the transcription hint and the language the model answers in.
+// The database and the NL2SQL prompts stay English whatever the user speaks.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Keyed by ISO-639-1 code, which is also what input_audio_transcription.language takes.
+// The transcription prompts name the terms and drivers that are easily misheard.
+export const LANGUAGES = Object.freeze({
+  en: {
+    name: 'English',
+    englishName: 'English',
+    transcriptionPrompt: 'Formula One statistics: grand prix, pole position, fastest lap, constructors championship, Verstappen, Hamilton, Leclerc, Red Bull, Mercedes, Ferrari.'
+  },
+  es: {
+    name: 'Español',
+    englishName: 'Spanish',
+    transcriptionPrompt: 'Estadísticas de Fórmula 1: gran premio, pole position, vuelta rápida, campeonato de constructores, Verstappen, Hamilton, Alonso, Sainz, Red Bull, Mercedes, Ferrari.'
+  },
+  de: {
+    name: 'Deutsch',
+    englishName: 'German',
+    transcriptionPrompt: 'Formel-1-Statistiken: Großer Preis, Pole-Position, schnellste Runde, Konstrukteurswertung, Verstappen, Hamilton, Vettel, Hülkenberg, Red Bull, Mercedes, Ferrari.'
+  },
+  nl: {
+    name: 'Nederlands',
+    englishName: 'Dutch',
+    transcriptionPrompt: 'Formule 1-statistieken: grand prix, poleposition, snelste ronde, constructeurskampioenschap, Verstappen, Hamilton, Red Bull, Mercedes, Ferrari.'
+  }
+});
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+const languageOf = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+// The session.update input_audio_transcription block
+export const transcriptionConfig = (code, model = 'whisper-1') => ({
+  model,
+  language: LANGUAGES[code] ? code : DEFAULT_LANGUAGE,
+  prompt: languageOf(code).transcriptionPrompt
+});
+
+// Appended to the instructions, and to one-off response instructions that replace them.
+// The prompts are English, so English needs no instruction.
+export const responseLanguageInstruction = (code) => {
+  if (!LANGUAGES[code] || code === DEFAULT_LANGUAGE) return null;
+  const { englishName } = LANGUAGES[code];
+  return `Always answer in ${englishName}, even when the data or earlier messages are in another language. Keep the names of drivers, teams and circuits as they are.`;
+};
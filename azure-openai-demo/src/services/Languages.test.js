@@ -0,0 +1,13 @@
+import { LANGUAGE_CODES, transcriptionConfig, responseLanguageInstruction } from './Languages';
+
+test('hints the transcription with the language and F1 vocabulary', () => {
+  expect(transcriptionConfig('es')).toEqual({ model: 'whisper-1', language: 'es', prompt: expect.stringContaining('gran premio') });
+  expect(transcriptionConfig('nl', 'gpt-4o-transcribe')).toMatchObject({ model: 'gpt-4o-transcribe', language: 'nl' });
+});
+
+test('asks for answers in the chosen language, except for English', () => {
+  expect(responseLanguageInstruction('en')).toBeNull();
+  expect(responseLanguageInstruction('xx')).toBeNull();
+  expect(responseLanguageInstruction('nl')).toMatch(/^Always answer in Dutch/);
+  expect(LANGUAGE_CODES).toEqual(['en', 'es', 'de', 'nl']);
+});
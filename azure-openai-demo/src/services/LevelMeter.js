@@ -0,0 +1,40 @@
+// src/services/LevelMeter.js
+
+const FLOOR_DB = -60;
+
+// Loudness of a block of samples on a 0–1 scale, mapping -60 dBFS..0 dBFS linearly
+export const rmsLevel = (samples) => {
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  if (rms === 0) return 0;
+  const db = 20 * Math.log10(rms);
+  return Math.max(0, Math.min(1, (db - FLOOR_DB) / -FLOOR_DB));
+};
+
+/**
+ * Reads the current level of a MediaStream through an AnalyserNode. The meter
+ * only taps the stream, it is not connected to the speakers.
+ */
+class LevelMeter {
+  constructor(audioContext, stream) {
+    this.source = audioContext.createMediaStreamSource(stream);
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.buffer = new Float32Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+  }
+
+  getLevel() {
+    this.analyser.getFloatTimeDomainData(this.buffer);
+    return rmsLevel(this.buffer);
+  }
+
+  disconnect() {
+    this.source.disconnect();
+    this.analyser.disconnect();
+  }
+}
+
+export default LevelMeter;
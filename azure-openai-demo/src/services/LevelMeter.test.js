@@ -0,0 +1,9 @@
+import { rmsLevel } from './LevelMeter';
+
+test('maps the RMS of a block of samples from -60 dBFS..0 dBFS to 0..1', () => {
+  expect(rmsLevel(new Float32Array(128))).toBe(0);
+  expect(rmsLevel(new Float32Array(128).fill(1))).toBe(1);
+  expect(rmsLevel(new Float32Array(128).fill(0.001))).toBeCloseTo(0);
+  expect(rmsLevel(new Float32Array(128).fill(0.1))).toBeCloseTo(2 / 3);
+  expect(rmsLevel(new Float32Array(0))).toBe(0);
+});
@@ -0,0 +1,61 @@
+// src/services/LogStore.js
+// Structured log entries for the log viewer: { id, time, level, source, type, message, payload }.
+
+export const LogLevel = Object.freeze({
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error'
+});
+
+export const LogSource = Object.freeze({
+  WEBRTC: 'webrtc',           // peer connection, ICE, reconnects
+  DATACHANNEL: 'datachannel', // realtime events in both directions
+  API: 'api',                 // backend requests
+  AUDIO: 'audio',             // microphone, playback, recording
+  TOOLS: 'tools',             // function calls from the model
+  APP: 'app'                  // everything else, e.g. settings and history
+});
+
+export const LOG_LEVELS = Object.values(LogLevel);
+export const LOG_SOURCES = Object.values(LogSource);
+
+// Long sessions log thousands of events; only the newest are kept
+export const MAX_LOG_ENTRIES = 2000;
+
+// Messages follow the ❌ / ⚠️ convention, so the level can be derived when not given
+export const inferLevel = (message) => {
+  if (message.startsWith('❌')) return LogLevel.ERROR;
+  if (message.startsWith('⚠️')) return LogLevel.WARN;
+  return LogLevel.INFO;
+};
+
+let entryCount = 0;
+
+export const createLogEntry = (message, { level, source = LogSource.APP, type = null, payload } = {}, now = new Date()) => ({
+  id: ++entryCount,
+  time: now.toISOString(),
+  level: level || inferLevel(message),
+  source,
+  type,
+  message,
+  ...(payload === undefined ? {} : { payload })
+});
+
+// Appends to a ring buffer of at most max entries, dropping the oldest
+export const appendLogEntry = (entries, entry, max = MAX_LOG_ENTRIES) =>
+  (entries.length < max ? [...entries, entry] : [...entries.slice(entries.length - max + 1), entry]);
+
+// levels and sources are the ones to show; search matches message, type and payload
+export const filterLogEntries = (entries, { levels = LOG_LEVELS, sources = LOG_SOURCES, search = '' } = {}) => {
+  const needle = search.trim().toLowerCase();
+  return entries.filter(entry => {
+    if (!levels.includes(entry.level) || !sources.includes(entry.source)) return false;
+    if (!needle) return true;
+    const haystack = [entry.message, entry.type, entry.payload === undefined ? '' : JSON.stringify(entry.payload)];
+    return haystack.some(text => text && text.toLowerCase().includes(needle));
+  });
+};
+
+// One JSON object per line, for attaching to bug reports
+export const toNdjson = (entries) => entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
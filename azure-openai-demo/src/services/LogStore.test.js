@@ -0,0 +1,37 @@
+import { LogLevel, LogSource, createLogEntry, appendLogEntry, filterLogEntries, toNdjson } from './LogStore';
+
+test('creates entries with a level derived from the message when none is given', () => {
+  const now = new Date('2025-05-01T10:00:00Z');
+  expect(createLogEntry('❌ Query failed', { source: LogSource.API }, now)).toMatchObject({
+    time: '2025-05-01T10:00:00.000Z', level: LogLevel.ERROR, source: LogSource.API, type: null, message: '❌ Query failed'
+  });
+  expect(createLogEntry('⚠️ Connection lost').level).toBe(LogLevel.WARN);
+  expect(createLogEntry('⬅ session.created', { level: LogLevel.DEBUG }).level).toBe(LogLevel.DEBUG);
+  expect(createLogEntry('Settings saved')).not.toHaveProperty('payload');
+});
+
+test('keeps only the newest entries in the ring buffer', () => {
+  let entries = [];
+  for (let i = 1; i <= 5; i++) entries = appendLogEntry(entries, { id: i }, 3);
+  expect(entries.map(e => e.id)).toEqual([3, 4, 5]);
+});
+
+test('filters by level, source and text in the message, type or payload', () => {
+  const entries = [
+    createLogEntry('⬅ response.done', { level: LogLevel.DEBUG, source: LogSource.DATACHANNEL, type: 'response.done', payload: { usage: { total_tokens: 42 } } }),
+    createLogEntry('❌ Query failed', { source: LogSource.API }),
+    createLogEntry('ICE connection state → connected', { source: LogSource.WEBRTC })
+  ];
+  const messages = (filter) => filterLogEntries(entries, filter).map(e => e.message);
+
+  expect(messages({ levels: [LogLevel.ERROR] })).toEqual(['❌ Query failed']);
+  expect(messages({ sources: [LogSource.WEBRTC, LogSource.API] })).toHaveLength(2);
+  expect(messages({ search: 'TOTAL_TOKENS' })).toEqual(['⬅ response.done']);
+  expect(messages({ search: 'ice' })).toEqual(['ICE connection state → connected']);
+});
+
+test('serializes entries as one JSON object per line', () => {
+  const lines = toNdjson([{ id: 1, message: 'a' }, { id: 2, message: 'b', payload: { x: 1 } }]).trim().split('\n');
+  expect(lines.map(line => JSON.parse(line))).toEqual([{ id: 1, message: 'a' }, { id: 2, message: 'b', payload: { x: 1 } }]);
+  expect(toNdjson([])).toBe('');
+});
@@ -0,0 +1,140 @@
+// src/services/Pcm16Capture.js
+const WORKLET_URL = `${process.env.PUBLIC_URL || ''}/pcm16-capture-processor.js`;
+
+// Convert Float32 samples (-1.0 to 1.0) to Int16 PCM (-32768 to 32767)
+export const floatTo16BitPCM = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  }
+  return pcm;
+};
+
+// Streaming linear-interpolation resampler. Keeps the last input sample and the
+// fractional read position between chunks so consecutive chunks join without gaps.
+export class LinearResampler {
+  constructor(inputSampleRate, outputSampleRate) {
+    this.step = inputSampleRate / outputSampleRate;
+    this.position = 0;  // read position relative to the next chunk; -1 is the carried sample
+    this.lastSample = 0;
+  }
+
+  process(input) {
+    if (this.step === 1) return input;
+
+    const output = new Float32Array(Math.ceil((input.length - this.position) / this.step) + 1);
+    let written = 0;
+    let pos = this.position;
+
+    while (pos < input.length - 1) {
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      const a = i < 0 ? this.lastSample : input[i];
+      const b = input[i + 1];
+      output[written++] = a + (b - a) * frac;
+      pos += this.step;
+    }
+
+    if (input.length > 0) {
+      this.lastSample = input[input.length - 1];
+      this.position = pos - input.length;
+    }
+    return output.subarray(0, written);
+  }
+}
+
+// Collects PCM16 samples into fixed-size frames
+export class PcmFramer {
+  constructor(frameSize) {
+    this.frameSize = frameSize;
+    this.buffer = new Int16Array(frameSize);
+    this.offset = 0;
+  }
+
+  push(samples) {
+    const frames = [];
+    let read = 0;
+    while (read < samples.length) {
+      const count = Math.min(this.frameSize - this.offset, samples.length - read);
+      this.buffer.set(samples.subarray(read, read + count), this.offset);
+      this.offset += count;
+      read += count;
+
+      if (this.offset === this.frameSize) {
+        frames.push(this.buffer);
+        this.buffer = new Int16Array(this.frameSize);
+        this.offset = 0;
+      }
+    }
+    return frames;
+  }
+
+  // Returns whatever is left as a short frame, or null when empty
+  flush() {
+    if (this.offset === 0) return null;
+    const rest = this.buffer.slice(0, this.offset);
+    this.offset = 0;
+    return rest;
+  }
+}
+
+/**
+ * Captures a MediaStream through an AudioWorklet and emits gap-free mono PCM16
+ * frames of `frameSize` samples at `targetSampleRate` via `onFrame`.
+ */
+class Pcm16Capture {
+  constructor({
+    audioContext,
+    stream,
+    onFrame,
+    frameSize = 2400,           // 100 ms at 24kHz
+    targetSampleRate = 24000,
+    workletUrl = WORKLET_URL,
+    AudioWorkletNode = window.AudioWorkletNode
+  }) {
+    this.audioContext = audioContext;
+    this.stream = stream;
+    this.onFrame = onFrame;
+    this.workletUrl = workletUrl;
+    this.AudioWorkletNode = AudioWorkletNode;
+    this.resampler = new LinearResampler(audioContext.sampleRate, targetSampleRate);
+    this.framer = new PcmFramer(frameSize);
+    this.source = null;
+    this.node = null;
+  }
+
+  async start() {
+    await this.audioContext.audioWorklet.addModule(this.workletUrl);
+
+    this.source = this.audioContext.createMediaStreamSource(this.stream);
+    this.node = new this.AudioWorkletNode(this.audioContext, 'pcm16-capture');
+    this.node.port.onmessage = ({ data }) => this.handleSamples(data);
+
+    // The processor writes no output; connecting to the destination keeps it pulled
+    this.source.connect(this.node);
+    this.node.connect(this.audioContext.destination);
+  }
+
+  handleSamples(samples) {
+    const pcm = floatTo16BitPCM(this.resampler.process(samples));
+    this.framer.push(pcm).forEach(frame => this.onFrame(frame));
+  }
+
+  stop() {
+    if (this.node) {
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+      this.node = null;
+    }
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+
+    const rest = this.framer.flush();
+    if (rest) this.onFrame(rest);
+  }
+}
+
+export default Pcm16Capture;
@@ -0,0 +1,105 @@
+import Pcm16Capture, { floatTo16BitPCM, LinearResampler, PcmFramer } from './Pcm16Capture';
+
+describe('floatTo16BitPCM', () => {
+  test('maps the float range onto the full Int16 range', () => {
+    expect(Array.from(floatTo16BitPCM(new Float32Array([-1, 0, 1])))).toEqual([-32768, 0, 32767]);
+  });
+
+  test('clips samples outside -1..1', () => {
+    expect(Array.from(floatTo16BitPCM(new Float32Array([-2.5, 3])))).toEqual([-32768, 32767]);
+  });
+
+  test('truncates towards zero', () => {
+    expect(Array.from(floatTo16BitPCM(new Float32Array([0.5, -0.5])))).toEqual([16383, -16384]);
+  });
+});
+
+describe('PcmFramer', () => {
+  test('emits fixed-size frames and carries the remainder into the next push', () => {
+    const framer = new PcmFramer(4);
+
+    expect(framer.push(new Int16Array([1, 2, 3]))).toEqual([]);
+    const frames = framer.push(new Int16Array([4, 5, 6, 7, 8, 9]));
+
+    expect(frames.map(f => Array.from(f))).toEqual([[1, 2, 3, 4], [5, 6, 7, 8]]);
+    expect(Array.from(framer.flush())).toEqual([9]);
+    expect(framer.flush()).toBeNull();
+  });
+
+  test('never loses or duplicates samples across many uneven pushes', () => {
+    const framer = new PcmFramer(2400);
+    const out = [];
+    // 128-sample render quanta, as delivered by the worklet
+    for (let q = 0; q < 100; q++) {
+      const chunk = new Int16Array(128).map((_, i) => q * 128 + i);
+      framer.push(chunk).forEach(f => out.push(...f));
+    }
+    out.push(...framer.flush());
+
+    expect(out).toHaveLength(12800);
+    expect(out.every((v, i) => v === i)).toBe(true);
+  });
+});
+
+describe('LinearResampler', () => {
+  test('passes samples through when the rates match', () => {
+    const input = new Float32Array([0.1, 0.2]);
+    expect(new LinearResampler(24000, 24000).process(input)).toBe(input);
+  });
+
+  test('produces the expected number of samples across chunk boundaries', () => {
+    const resampler = new LinearResampler(48000, 24000);
+    let total = 0;
+    for (let i = 0; i < 375; i++) {
+      total += resampler.process(new Float32Array(128)).length;
+    }
+    // 48000 input samples → 24000 output samples (± the carried sample)
+    expect(Math.abs(total - 24000)).toBeLessThanOrEqual(1);
+  });
+
+  test('interpolates a ramp continuously between chunks', () => {
+    const resampler = new LinearResampler(2, 3);
+    const out = [
+      ...resampler.process(new Float32Array([0, 1, 2])),
+      ...resampler.process(new Float32Array([3, 4, 5]))
+    ];
+    out.forEach((v, i) => expect(v).toBeCloseTo(i * 2 / 3));
+  });
+});
+
+describe('Pcm16Capture', () => {
+  const createCapture = (onFrame) => {
+    const audioContext = {
+      sampleRate: 24000,
+      destination: {},
+      audioWorklet: { addModule: jest.fn().mockResolvedValue() },
+      createMediaStreamSource: () => ({ connect() {}, disconnect() {} })
+    };
+    class FakeWorkletNode {
+      constructor() {
+        this.port = {};
+        FakeWorkletNode.last = this;
+      }
+      connect() {}
+      disconnect() {}
+    }
+    const capture = new Pcm16Capture({
+      audioContext, stream: {}, onFrame, frameSize: 4, workletUrl: '/worklet.js', AudioWorkletNode: FakeWorkletNode
+    });
+    return { capture, audioContext, FakeWorkletNode };
+  };
+
+  test('frames worklet samples and flushes the remainder on stop', async () => {
+    const frames = [];
+    const { capture, audioContext, FakeWorkletNode } = createCapture(f => frames.push(Array.from(f)));
+
+    await capture.start();
+    expect(audioContext.audioWorklet.addModule).toHaveBeenCalledWith('/worklet.js');
+
+    FakeWorkletNode.last.port.onmessage({ data: new Float32Array([0, 0.5, 1, -1, -0.5]) });
+    expect(frames).toEqual([[0, 16383, 32767, -32768]]);
+
+    capture.stop();
+    expect(frames).toEqual([[0, 16383, 32767, -32768], [-16384]]);
+  });
+});
@@ -0,0 +1,81 @@
+// src/services/PromptTemplates.js
+// Prompt templates with {variable} placeholders and the presets offered in the prompt editor.
+
+export const PRESETS_KEY = 'azureOpenAIPromptPresets';
+
+// Filled in by the app: the system prompt from /sessions and today's date
+export const COMPUTED_VARIABLES = ['backendPrompt', 'today'];
+
+// Defaults for the variables the built-in presets use; they can be changed per profile
+export const DEFAULT_PROMPT_VARIABLES = Object.freeze({
+  seasonRange: '2014–2023'
+});
+
+export const BUILT_IN_PRESETS = Object.freeze([
+  {
+    name: 'Concise commentator',
+    template: '{backendPrompt}\n\nSpeak like a Formula One commentator: energetic, but never more than two sentences. Lead with the name or the number that answers the question.'
+  },
+  {
+    name: 'Beginner-friendly',
+    template: '{backendPrompt}\n\nThe audience is new to Formula One. The first time a term like pole position, constructor or fastest lap comes up, explain it in a few words. Avoid jargon and keep a friendly, patient tone.'
+  },
+  {
+    name: 'Data only',
+    template: 'You answer questions about the {seasonRange} Formula One seasons using only the data you query from the database. Give the figures without commentary, and say so plainly when the data does not cover a question. Today is {today}.'
+  }
+]);
+
+const VARIABLE_PATTERN = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+
+// The distinct variable names in a template, in order of appearance
+export const findVariables = (template = '') =>
+  [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+/**
+ * Replaces the {variables} of a template. Variables without a value are left as
+ * typed and listed in missing, so the editor can point them out.
+ * Returns { text, missing }.
+ */
+export const renderPrompt = (template = '', variables = {}) => {
+  const missing = [];
+  const text = template.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null || value === '') {
+      if (!missing.includes(name)) missing.push(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+  return { text: text.trim(), missing };
+};
+
+// The instructions to send: the template rendered with the profile's variables,
+// or the backend prompt when there is no template. Before a session has returned
+// the backend prompt, {backendPrompt} is dropped along with the blank lines around it.
+export const resolveInstructions = (template, variables, backendPrompt, now = new Date()) => {
+  if (!template?.trim()) return backendPrompt;
+  if (!backendPrompt?.trim()) {
+    template = template.replace(/\{backendPrompt\}/g, '').replace(/\n{3,}/g, '\n\n');
+  }
+  return renderPrompt(template, {
+    ...DEFAULT_PROMPT_VARIABLES,
+    ...variables,
+    backendPrompt,
+    today: now.toISOString().slice(0, 10)
+  }).text;
+};
+
+// Saved presets as { [name]: template }
+export const loadPresets = (storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(PRESETS_KEY) || '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+export const savePresets = (presets, storage = window.localStorage) => {
+  storage.setItem(PRESETS_KEY, JSON.stringify(presets));
+};
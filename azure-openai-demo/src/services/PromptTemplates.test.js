@@ -0,0 +1,44 @@
+import { BUILT_IN_PRESETS, findVariables, renderPrompt, resolveInstructions, loadPresets, savePresets, PRESETS_KEY } from './PromptTemplates';
+
+test('finds the variables of a template once each', () => {
+  expect(findVariables('{backendPrompt}\nSeasons {seasonRange}, again {seasonRange}. JSON {"a": 1}')).toEqual(['backendPrompt', 'seasonRange']);
+});
+
+test('fills in variables and reports the ones without a value', () => {
+  expect(renderPrompt(' Covering {seasonRange} for {audience}. ', { seasonRange: '2014–2023', audience: '' })).toEqual({
+    text: 'Covering 2014–2023 for {audience}.',
+    missing: ['audience']
+  });
+});
+
+test('sends the backend prompt without an override and renders presets around it', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  expect(resolveInstructions('', {}, 'Be helpful', now)).toBe('Be helpful');
+
+  const commentator = BUILT_IN_PRESETS.find(p => p.name === 'Concise commentator');
+  expect(resolveInstructions(commentator.template, {}, 'Be helpful', now)).toMatch(/^Be helpful\n\nSpeak like a Formula One commentator/);
+
+  const dataOnly = BUILT_IN_PRESETS.find(p => p.name === 'Data only');
+  expect(resolveInstructions(dataOnly.template, { seasonRange: '2019–2023' }, 'Be helpful', now))
+    .toBe('You answer questions about the 2019–2023 Formula One seasons using only the data you query from the database. Give the figures without commentary, and say so plainly when the data does not cover a question. Today is 2026-03-01.');
+});
+
+test('drops {backendPrompt} from presets while there is no backend prompt', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const commentator = BUILT_IN_PRESETS.find(p => p.name === 'Concise commentator');
+  [null, '', '  '].forEach(backendPrompt => {
+    expect(resolveInstructions(commentator.template, {}, backendPrompt, now)).toMatch(/^Speak like a Formula One commentator/);
+  });
+  expect(resolveInstructions('Be brief.\n\n{backendPrompt}\n\nToday is {today}.', {}, null, now)).toBe('Be brief.\n\nToday is 2026-03-01.');
+});
+
+test('keeps saved presets in storage and ignores unreadable ones', () => {
+  const storage = new Map();
+  const fakeStorage = { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) };
+
+  savePresets({ Kids: 'Explain it to a ten year old. {backendPrompt}' }, fakeStorage);
+  expect(loadPresets(fakeStorage)).toEqual({ Kids: 'Explain it to a ten year old. {backendPrompt}' });
+
+  storage.set(PRESETS_KEY, '[1, 2]');
+  expect(loadPresets(fakeStorage)).toEqual({});
+});
@@ -0,0 +1,115 @@
+// src/services/QueryResults.js
+// Helpers for the rows returned by the /query endpoint. The importer stores every
+// column as NVARCHAR, so numbers usually arrive as strings.
+
+const PREFERRED_VALUE_COLUMNS = ['Points', 'RaceWins', 'Wins', 'Podiums', 'Championships'];
+const MAX_CHART_POINTS = 20;
+
+// Handle different response formats that might come from the backend
+export const getRecords = (data) => {
+  const records = data?.records || data?.data || data;
+  return Array.isArray(records) ? records : [];
+};
+
+const formatCell = (value) => (value === null || value === undefined ? 'N/A' : String(value).replace(/\|/g, '\\|'));
+
+// Markdown table of the records, optionally limited to the first maxRows rows
+export const recordsToMarkdown = (records, maxRows = records.length) => {
+  if (records.length === 0) return '';
+
+  const headers = Object.keys(records[0]);
+  let result = '| ' + headers.join(' | ') + ' |\n';
+  result += '| ' + headers.map(() => '---').join(' | ') + ' |\n';
+
+  const rowCount = Math.min(records.length, maxRows);
+  for (let i = 0; i < rowCount; i++) {
+    result += '| ' + headers.map(h => formatCell(records[i][h])).join(' | ') + ' |\n';
+  }
+
+  // Add summary of remaining rows if any
+  if (records.length > rowCount) {
+    result += `\n*...and ${records.length - rowCount} more rows*\n`;
+  }
+  return result;
+};
+
+export const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+export const isNumericColumn = (records, column) =>
+  records.length > 0 && records.every(r => r[column] === null || r[column] === undefined || toNumber(r[column]) !== null)
+  && records.some(r => toNumber(r[column]) !== null);
+
+// Numbers sort numerically, everything else alphabetically; empty values go last
+export const compareValues = (a, b) => {
+  const emptyA = a === null || a === undefined || a === '';
+  const emptyB = b === null || b === undefined || b === '';
+  if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (numA !== null && numB !== null) return numA - numB;
+  return String(a).localeCompare(String(b));
+};
+
+export const sortRecords = (records, column, direction = 'asc') => {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...records].sort((a, b) => sign * compareValues(a[column], b[column]));
+};
+
+/**
+ * Picks a chart for a result set: a line over a year column or bars per driver,
+ * plotting a numeric column such as Points or RaceWins. Returns null when the
+ * rows don't have that shape.
+ */
+export const pickChart = (records) => {
+  if (!records || records.length < 2) return null;
+
+  const columns = Object.keys(records[0]);
+  const yearColumn = columns.find(c => /^(year|season)$/i.test(c));
+  const driverColumn = columns.find(c => /driver|winner/i.test(c));
+
+  const valueColumn = [...PREFERRED_VALUE_COLUMNS, ...columns]
+    .find(c => columns.includes(c) && c !== yearColumn && c !== driverColumn && isNumericColumn(records, c));
+  if (!valueColumn) return null;
+
+  const isUnique = (column) => new Set(records.map(r => r[column])).size === records.length;
+
+  let type;
+  let labelColumn;
+  if (yearColumn && (isUnique(yearColumn) || !driverColumn)) {
+    type = 'line';
+    labelColumn = yearColumn;
+  } else if (driverColumn) {
+    type = 'bar';
+    labelColumn = driverColumn;
+  } else {
+    return null;
+  }
+
+  // Sum duplicate labels, e.g. a driver's points over several seasons
+  const totals = new Map();
+  records.forEach(r => {
+    const label = String(r[labelColumn] ?? 'N/A');
+    totals.set(label, (totals.get(label) || 0) + (toNumber(r[valueColumn]) || 0));
+  });
+  const aggregated = totals.size < records.length;
+
+  // Lines keep the most recent seasons, bars the highest values
+  let points = [...totals.entries()].map(([label, value]) => ({ label, value }));
+  points = type === 'line'
+    ? points.sort((a, b) => compareValues(a.label, b.label)).slice(-MAX_CHART_POINTS)
+    : points.sort((a, b) => b.value - a.value).slice(0, MAX_CHART_POINTS);
+
+  return {
+    type,
+    labelColumn,
+    valueColumn,
+    aggregated,
+    points
+  };
+};
@@ -0,0 +1,64 @@
+import { getRecords, pickChart, sortRecords } from './QueryResults';
+
+const driverStandings = [
+  { Driver: 'Max Verstappen', Team: 'Red Bull Racing', RaceWins: '19', Points: '575' },
+  { Driver: 'Sergio Perez', Team: 'Red Bull Racing', RaceWins: '2', Points: '285' },
+  { Driver: 'Lewis Hamilton', Team: 'Mercedes', RaceWins: '0', Points: '234' }
+];
+
+test('extracts records from the supported response shapes', () => {
+  expect(getRecords([{ a: 1 }])).toEqual([{ a: 1 }]);
+  expect(getRecords({ records: [{ a: 1 }] })).toEqual([{ a: 1 }]);
+  expect(getRecords({ data: [{ a: 1 }] })).toEqual([{ a: 1 }]);
+  expect(getRecords({ error: 'nope' })).toEqual([]);
+});
+
+test('sorts numeric strings numerically and text alphabetically', () => {
+  expect(sortRecords(driverStandings, 'Points').map(r => r.Points)).toEqual(['234', '285', '575']);
+  expect(sortRecords(driverStandings, 'RaceWins', 'desc').map(r => r.RaceWins)).toEqual(['19', '2', '0']);
+  expect(sortRecords(driverStandings, 'Driver').map(r => r.Driver)[0]).toBe('Lewis Hamilton');
+});
+
+test('charts points per driver as bars, preferring the Points column', () => {
+  const chart = pickChart(driverStandings);
+
+  expect(chart).toMatchObject({ type: 'bar', labelColumn: 'Driver', valueColumn: 'Points', aggregated: false });
+  expect(chart.points[0]).toEqual({ label: 'Max Verstappen', value: 575 });
+});
+
+test('charts a single driver over the years as a line', () => {
+  const chart = pickChart([
+    { Year: '2015', Driver: 'Lewis Hamilton', Points: '381' },
+    { Year: '2014', Driver: 'Lewis Hamilton', Points: '384' }
+  ]);
+
+  expect(chart).toMatchObject({ type: 'line', labelColumn: 'Year', valueColumn: 'Points' });
+  expect(chart.points.map(p => p.label)).toEqual(['2014', '2015']);
+});
+
+test('keeps the most recent seasons when there are too many years to chart', () => {
+  const seasons = Array.from({ length: 25 }, (_, i) => ({ Year: String(2000 + i), Driver: 'Fernando Alonso', Points: String(i) }));
+  const chart = pickChart(seasons);
+
+  expect(chart.type).toBe('line');
+  expect(chart.points).toHaveLength(20);
+  expect(chart.points[0].label).toBe('2005');
+  expect(chart.points[19]).toEqual({ label: '2024', value: 24 });
+});
+
+test('totals repeated drivers when several seasons are returned', () => {
+  const chart = pickChart([
+    { Year: '2014', Driver: 'Lewis Hamilton', RaceWins: '11' },
+    { Year: '2015', Driver: 'Lewis Hamilton', RaceWins: '10' },
+    { Year: '2015', Driver: 'Nico Rosberg', RaceWins: '6' }
+  ]);
+
+  expect(chart).toMatchObject({ type: 'bar', valueColumn: 'RaceWins', aggregated: true });
+  expect(chart.points).toEqual([{ label: 'Lewis Hamilton', value: 21 }, { label: 'Nico Rosberg', value: 6 }]);
+});
+
+test('does not chart results without a year/driver and a numeric column', () => {
+  expect(pickChart([{ Year: '2014', ConstructorChampion: 'Mercedes' }, { Year: '2015', ConstructorChampion: 'Mercedes' }])).toBeNull();
+  expect(pickChart([{ Team: 'Mercedes', Points: '1' }, { Team: 'Ferrari', Points: '2' }])).toBeNull();
+  expect(pickChart([{ Driver: 'Max Verstappen', Points: '575' }])).toBeNull();
+});
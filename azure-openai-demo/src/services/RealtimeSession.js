@@ -0,0 +1,1444 @@
+// src/services/RealtimeSession.js
+import ApiClient, { QUERY_TOTAL_MS } from './ApiService';
+import Pcm16Capture from './Pcm16Capture';
+import CallRecorder from './CallRecorder';
+import AudioPlayback from './AudioPlayback';
+import ToolRegistry from './ToolRegistry';
+import LevelMeter from './LevelMeter';
+import { TurnTimer, TurnStage, parseStatsReport } from './TurnMetrics';
+import { LogLevel, LogSource } from './LogStore';
+import UsageTracker, { BUDGET_WARNING_RATIO, pricesFor, formatCost } from './UsageTracker';
+import { getRecords, recordsToMarkdown } from './QueryResults';
+import { resolveInstructions } from './PromptTemplates';
+import { transcriptionConfig, responseLanguageInstruction } from './Languages';
+
+// Events emitted by a RealtimeSession. Subscribe with session.on(SessionEvent.X, handler).
+export const SessionEvent = Object.freeze({
+  STATE_CHANGE: 'stateChange',    // (state) one of SessionState
+  STATUS: 'status',               // ({ key, params }) status line, an i18n key under status.*
+  SESSION_CREATED: 'sessionCreated', // (sessionId) a backend session was created, also after reconnects
+  SYSTEM_PROMPT: 'systemPrompt',  // (text) the system prompt the backend returned with the session
+  LOG: 'log',                     // ({ message, level?, source?, type?, payload? }) diagnostic log entry
+  RECORDING: 'recording',         // (isRecording)
+  MESSAGE: 'message',             // ({ id, sender, text, final, ...details }) a chat bubble to create or update in place, keyed by id
+  TRANSCRIPT: 'transcript',       // (text) completed user transcription
+  PROGRESS: 'progress',           // (key) placeholder shown while a question is being processed, '' when done
+  DELTA: 'delta',                 // (text) streamed assistant text
+  RESPONSE_DONE: 'responseDone',  // ({ text, turnId?, records?, query? }) completed assistant message
+  INTERRUPTED: 'interrupted',     // ({ text, interrupted, turnId?, records?, query? }) partial assistant message cut off by the user
+  CALL_RECORDING: 'callRecording', // (blob) WebM recording of both sides, when settings.recordCall is on
+  RESPONSE_AUDIO: 'responseAudio', // ({ id, blob }) WebM clip of an assistant message, for replays
+  TURN_METRICS: 'turnMetrics',    // ({ id, spoken, startedAt, interrupted, stages }) timings of a finished turn, see TurnMetrics
+  USAGE: 'usage',                 // ({ response, turn, session, cost, budgetUsd }) token usage after each response, see UsageTracker
+  ERROR: 'error'                  // (error) server or connection error
+});
+
+export const SessionState = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTED: 'disconnected',
+  FAILED: 'failed'
+});
+
+export const TurnDetection = Object.freeze({
+  SERVER_VAD: 'server_vad',
+  PUSH_TO_TALK: 'push_to_talk'
+});
+
+export const SessionMode = Object.freeze({
+  VOICE: 'voice',
+  TEXT: 'text'     // text-only: no microphone, no audio output
+});
+
+// How statistical questions reach the database
+export const QueryMode = Object.freeze({
+  TOOLS: 'tools',          // the model calls the query_f1_statistics tool when it needs data
+  CLASSIFIER: 'classifier' // every question goes through /classify-intent first
+});
+
+// Registered on every session; other tools can be added through session.tools
+export const QUERY_TOOL = Object.freeze({
+  name: 'query_f1_statistics',
+  description: 'Looks up Formula One statistics (drivers, teams, seasons, wins, podiums, points, championships, fastest laps) in the database. Use it for any question that needs data.',
+  parameters: {
+    type: 'object',
+    properties: {
+      question: {
+        type: 'string',
+        description: 'The statistical question in English, translated if the user asked in another language, self-contained and including any context from the conversation, e.g. "How many races did Max Verstappen win in 2023?"'
+      }
+    },
+    required: ['question']
+  }
+});
+
+export const DEFAULT_VAD_SETTINGS = Object.freeze({
+  vadThreshold: 0.6,
+  vadPrefixPaddingMs: 500,
+  vadSilenceDurationMs: 1200
+});
+
+// Sent instead of the statistics when they could not be fetched, so the model
+// says so rather than guessing
+const QUERY_FAILED_MESSAGE = 'The statistics database could not be reached.';
+const QUERY_FAILED_INSTRUCTIONS = `${QUERY_FAILED_MESSAGE} Tell the user in one short sentence: "I couldn't retrieve that data right now." Do not guess the answer.`;
+
+// The output of a tool call that was aborted by a newer question
+const TOOL_CANCELLED_ERROR = 'cancelled, a newer question was asked';
+
+// The server needs at least 100 ms of audio before input_audio_buffer.commit
+const MIN_COMMIT_SAMPLES = 2400;
+
+// Builds the session.update turn_detection block; push-to-talk disables server VAD
+export const buildTurnDetection = (settings = {}) => {
+  if (settings.turnDetection === TurnDetection.PUSH_TO_TALK) return null;
+
+  const vad = { ...DEFAULT_VAD_SETTINGS, ...settings };
+  return {
+    type: 'server_vad',
+    threshold: Number(vad.vadThreshold),
+    prefix_padding_ms: Number(vad.vadPrefixPaddingMs),
+    silence_duration_ms: Number(vad.vadSilenceDurationMs),
+    // With tools the model responds by itself and fetches data when it needs to. The
+    // classifier disables auto-response so the response is only provided once the
+    // backend has returned data.
+    create_response: settings.queryMode === QueryMode.TOOLS
+  };
+};
+
+// The session.update payload for the settings. Settings that are not set fall back
+// to the system prompt from the backend and the API defaults; settings.instructions
+// is a template, see PromptTemplates.
+export const buildSessionConfig = (settings = {}, { systemPrompt = null, tools = [] } = {}) => {
+  const textOnly = settings.sessionMode === SessionMode.TEXT;
+  const usesTools = settings.queryMode === QueryMode.TOOLS;
+  const maxTokens = settings.maxResponseOutputTokens;
+  const instructions = resolveInstructions(settings.instructions, settings.promptVariables, systemPrompt);
+  return {
+    instructions: [instructions, responseLanguageInstruction(settings.language)].filter(Boolean).join('\n\n'),
+    modalities: textOnly ? ['text'] : ['audio', 'text'],
+    input_audio_transcription: transcriptionConfig(settings.language, settings.transcriptionModel || undefined),
+    turn_detection: textOnly ? null : buildTurnDetection(settings),
+    ...(settings.temperature !== undefined && settings.temperature !== '' ? { temperature: Number(settings.temperature) } : {}),
+    max_response_output_tokens: maxTokens === undefined || maxTokens === '' ? 'inf' : Number(maxTokens),
+    // An empty list withdraws the tools when the classifier is chosen mid-conversation
+    tools: usesTools ? tools : [],
+    tool_choice: usesTools ? 'auto' : 'none'
+  };
+};
+
+// Changing these needs a new session, the others are applied with session.update
+export const RESTART_SETTINGS = ['voice', 'region', 'deploymentName', 'apiVersion', 'apiBaseUrl', 'sessionMode', 'recordCall'];
+
+// Helper function to convert ArrayBuffer to base64
+export const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+// Helper function to format SQL results for LLM summarization
+export const formatSqlResultsForLLM = (data) => {
+  const records = getRecords(data);
+
+  if (records.length === 0) {
+    return "No data found in the database for this query.";
+  }
+
+  // Format as markdown table for better LLM processing, limited to 20 rows to avoid token limit issues
+  return recordsToMarkdown(records, 20);
+};
+
+/**
+ * Owns the WebRTC peer connection, the realtime data channel and the way
+ * statistical questions are answered for a single conversation: either the
+ * model calls the query_f1_statistics tool, or every question goes through the
+ * classify-intent → query → summarize pipeline.
+ * Browser globals can be injected so the class runs without a DOM.
+ */
+class RealtimeSession {
+  constructor({
+    api = new ApiClient(),
+    RTCPeerConnection = window.RTCPeerConnection,
+    MediaStream = window.MediaStream,
+    AudioContext = window.AudioContext || window.webkitAudioContext,
+    AudioWorkletNode = window.AudioWorkletNode,
+    mediaDevices = navigator.mediaDevices,
+    createAudioElement = () => new Audio(),
+    playback = new AudioPlayback({ createAudioElement }),
+    createCallRecorder = () => new CallRecorder(),
+    tools = new ToolRegistry(),
+    iceGatheringTimeoutMs = 7000,
+    captureFrameSize = 2400,  // samples per input_audio_buffer.append (100 ms at 24kHz)
+    iceDisconnectGraceMs = 3000,
+    reconnect = {},
+    now = () => Date.now()
+  } = {}) {
+    this.api = api;
+    this.api.setLogger?.((message, details) => this.log(message, { source: LogSource.API, ...details }));
+    this.RTCPeerConnection = RTCPeerConnection;
+    this.MediaStream = MediaStream;
+    this.AudioContext = AudioContext;
+    this.AudioWorkletNode = AudioWorkletNode;
+    this.mediaDevices = mediaDevices;
+    this.playback = playback;
+    this.createCallRecorder = createCallRecorder;
+    this.tools = tools;
+    this.iceGatheringTimeoutMs = iceGatheringTimeoutMs;
+    this.captureFrameSize = captureFrameSize;
+    this.iceDisconnectGraceMs = iceDisconnectGraceMs;
+    this.now = now;
+    this.reconnectOptions = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 15000, ...reconnect };
+
+    this.listeners = {};
+    this.state = SessionState.IDLE;
+    this.isRecording = false;
+    this.bufferedSamples = 0;
+    this.history = [];
+
+    this.peerConnection = null;
+    this.dataChannel = null;
+    this.audioStream = null;
+    this.audioContext = null;
+    this.audioCapture = null;
+    this.inputMeter = null;
+    this.outputMeter = null;
+    this.callRecorder = null;     // lives for the whole conversation, across reconnects
+    this.currentResponse = null;  // { itemId, text, audioStartedAt, interrupted, attachments } while the assistant is responding
+    this.responseClip = null;     // { itemId, responseDone } while the audio of a response is captured
+    this.outputAudioPlaying = false;
+    this.pendingAttachments = null; // data to attach to the next assistant message, e.g. query records
+    this.pipeline = null;           // { turnId, controller } shared by the backend requests of the current turn
+    this.liveMessages = new Map();  // chat bubbles by item id: { sender, text, final }
+    this.localMessageCount = 0;
+    this.toolCalls = new Set();     // call ids of function calls being run
+    this.toolOutputsReady = false;  // function outputs were sent that the model hasn't responded to yet
+    this.turnTimer = new TurnTimer(now);
+    this.lastStats = null;          // previous getStats() sample, for bitrates
+    this.usage = new UsageTracker();
+    this.budgetWarned = false;
+
+    // Outlasts the /query retries, so the request's own failure is what the model is told
+    this.tools.register({ ...QUERY_TOOL, timeoutMs: QUERY_TOTAL_MS + 5000, handler: this.queryStatistics });
+    // Tools registered mid-conversation are offered to the model right away
+    this.tools.onChange(tools => {
+      if (this.usesTools()) this.send({ type: 'session.update', session: { tools } });
+    });
+    this.sessionId = null;
+    this.ephemeralKey = null;
+    this.systemPrompt = null;
+    this.settings = {};
+    this.pendingRestart = [];       // changed settings that apply to the next conversation
+
+    this.replayOnOpen = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.iceDisconnectTimer = null;
+  }
+
+  on(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+    return () => {
+      this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+    };
+  }
+
+  emit(type, payload) {
+    (this.listeners[type] || []).forEach(handler => handler(payload));
+  }
+
+  // details: { level, source, type, payload }, see LogStore
+  log(message, details = {}) {
+    this.emit(SessionEvent.LOG, { message, ...details });
+  }
+
+  // key is an i18n key under status.*, translated where the status is shown
+  setStatus(key, params = {}) {
+    this.emit(SessionEvent.STATUS, { key, params });
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit(SessionEvent.STATE_CHANGE, state);
+  }
+
+  setRecording(isRecording) {
+    this.isRecording = isRecording;
+    this.emit(SessionEvent.RECORDING, isRecording);
+  }
+
+  isOpen() {
+    return this.dataChannel?.readyState === 'open';
+  }
+
+  send(event) {
+    if (!this.isOpen()) return false;
+    this.dataChannel.send(JSON.stringify(event));
+    // Audio frames go out ten times a second, too often to log
+    if (event.type !== 'input_audio_buffer.append') {
+      this.log(`➡ ${event.type}`, { source: LogSource.DATACHANNEL, type: event.type, level: LogLevel.DEBUG, payload: event });
+    }
+    return true;
+  }
+
+  // history optionally seeds the conversation, e.g. from a saved conversation
+  async start(settings, { history = [] } = {}) {
+    // A conversation that is connecting or running has to be stopped first
+    if (![SessionState.IDLE, SessionState.DISCONNECTED, SessionState.FAILED].includes(this.state)) return;
+    this.settings = settings;
+    this.pendingRestart = [];
+    this.api.setBaseUrl?.(settings.apiBaseUrl);
+    this.history = history.map(({ sender, text }) => ({ sender, text }));
+    this.liveMessages = new Map();
+    this.replayOnOpen = this.history.length > 0;
+    this.reconnectAttempt = 0;
+    this.usage.reset();
+    this.budgetWarned = false;
+    this.setState(SessionState.CONNECTING);
+
+    try {
+      this.setStatus('status.initializing');
+      if (settings.recordCall && !this.isTextOnly()) this.startCallRecording();
+      await this.connect();
+    } catch (err) {
+      if (this.state !== SessionState.CONNECTING) {
+        this.teardown();
+        return;
+      }
+      this.log(`❌ ${err.message}`, { source: LogSource.WEBRTC });
+      this.emit(SessionEvent.ERROR, err);
+      this.finishCallRecording();
+      this.teardown();
+      this.setState(SessionState.FAILED);
+      this.setStatus('status.failed');
+      return;
+    }
+
+    // The user ended the conversation while it was connecting
+    if (this.state !== SessionState.CONNECTING) {
+      this.teardown();
+      return;
+    }
+
+    this.setState(SessionState.CONNECTED);
+  }
+
+  // Creates a fresh backend session and negotiates WebRTC for it
+  async connect() {
+    // Create session
+    const { voice, deploymentName, apiVersion } = this.settings;
+    const sessionResponse = await this.api.createSession({ voice, deploymentName, apiVersion });
+    this.sessionId = sessionResponse.id;
+    this.ephemeralKey = sessionResponse.client_secret.value;
+
+    // Store the system prompt from the backend response
+    if (sessionResponse.system_prompt) {
+      this.systemPrompt = sessionResponse.system_prompt;
+      this.log(`System prompt received (${this.systemPrompt.length} chars)`, { source: LogSource.API });
+      this.emit(SessionEvent.SYSTEM_PROMPT, this.systemPrompt);
+    }
+
+    this.log(`Session ID → ${this.sessionId}`, { source: LogSource.API });
+    this.emit(SessionEvent.SESSION_CREATED, this.sessionId);
+
+    await this.initializeWebRTC();
+  }
+
+  stop() {
+    this.clearReconnectTimers();
+    this.stopRecording();
+    this.finishCallRecording();
+    this.teardown();
+    this.setState(SessionState.DISCONNECTED);
+    this.setStatus('status.disconnected');
+  }
+
+  teardown() {
+    clearTimeout(this.iceDisconnectTimer);
+    this.iceDisconnectTimer = null;
+
+    if (this.audioCapture) {
+      this.audioCapture.stop();
+      this.audioCapture = null;
+    }
+    this.inputMeter = this.disconnectMeter(this.inputMeter);
+    this.outputMeter = this.disconnectMeter(this.outputMeter);
+
+    // Close data channel and peer connection
+    if (this.dataChannel) {
+      try {
+        this.dataChannel.close();
+      } catch (err) {
+        // Ignore errors during cleanup
+      }
+      this.dataChannel = null;
+    }
+
+    if (this.peerConnection) {
+      try {
+        this.peerConnection.close();
+      } catch (err) {
+        // Ignore errors during cleanup
+      }
+      this.peerConnection = null;
+    }
+
+    // Stop audio tracks
+    if (this.audioStream) {
+      this.audioStream.getTracks().forEach(t => t.stop());
+      this.audioStream = null;
+    }
+
+    // Replays of earlier answers keep playing, they outlive the conversation
+    this.playback.detachStream();
+    this.responseClip = null;
+    this.outputAudioPlaying = false;
+    this.finalizeLiveMessages();
+    this.currentResponse = null;
+    this.pendingAttachments = null;
+    this.abortPipeline();
+    this.toolCalls.clear();
+    this.toolOutputsReady = false;
+    this.turnTimer.discard();
+    this.lastStats = null;
+
+    // Close audio context last
+    if (this.audioContext) {
+      try {
+        this.audioContext.close();
+        this.audioContext = null;
+        this.log('✅ Audio context closed', { source: LogSource.AUDIO });
+      } catch (err) {
+        this.log(`❌ Error closing audio context: ${err.message}`, { source: LogSource.AUDIO });
+      }
+    }
+
+    if (this.isRecording) this.setRecording(false);
+  }
+
+  async initializeWebRTC() {
+    const { region, deploymentName } = this.settings;
+
+    this.peerConnection = new this.RTCPeerConnection({
+      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+    });
+
+    // Handlers check they still belong to the current connection, since a
+    // replaced connection can still fire events while it shuts down
+    const pc = this.peerConnection;
+    pc.addEventListener('iceconnectionstatechange', () => {
+      if (pc === this.peerConnection) this.handleIceConnectionStateChange(pc.iceConnectionState);
+    });
+
+    // Remote audio playback
+    this.peerConnection.addEventListener('track', ({ track }) => {
+      if (track.kind !== 'audio') return;
+      const stream = new this.MediaStream([track]);
+      const audio = this.playback.attachStream(stream);
+      this.applyOutputDevice()
+        .catch(err => this.log(`❌ Could not switch speaker: ${err.message}`, { source: LogSource.AUDIO }))
+        // A newer track may have replaced this one while the speaker was being set
+        .then(() => this.playback.live?.element === audio && audio.play())
+        .catch(err => this.log(`❌ Could not play the assistant's audio: ${err.message}`, { source: LogSource.AUDIO }));
+      this.callRecorder?.addStream(stream);
+      this.outputMeter = this.createMeter(stream, this.outputMeter);
+      if (!this.playback.canCapture()) {
+        this.log('Answers cannot be replayed, this browser cannot record audio', { source: LogSource.AUDIO, level: LogLevel.WARN });
+      }
+    });
+
+    // DataChannel
+    const channel = this.peerConnection.createDataChannel('realtime');
+    this.dataChannel = channel;
+    this.dataChannel.onopen = this.handleDataChannelOpen;
+    this.dataChannel.onclose = () => {
+      this.log('DataChannel closed', { source: LogSource.DATACHANNEL });
+      if (channel === this.dataChannel) this.handleConnectionLost('data channel closed');
+    };
+    this.dataChannel.onerror = (e) => this.log(`DataChannel error: ${e}`, { source: LogSource.DATACHANNEL, level: LogLevel.ERROR });
+    this.dataChannel.onmessage = this.handleDataChannelMessage;
+
+    // Local audio
+    if (!this.isTextOnly()) await this.setupAudio();
+
+    const offer = await this.peerConnection.createOffer({ offerToReceiveAudio: true });
+    await this.peerConnection.setLocalDescription(offer);
+    await this.waitForIceGathering();
+
+    const rtcUrl = `https://${region}.realtimeapi-preview.ai.azure.com/v1/realtimertc?model=${deploymentName}`;
+    this.log(`RTC URL → ${rtcUrl}`, { source: LogSource.WEBRTC });
+
+    const answerSdp = await this.api.connectRTC(
+      this.peerConnection.localDescription.sdp,
+      this.ephemeralKey,
+      deploymentName,
+      region
+    );
+
+    await this.peerConnection.setRemoteDescription({ type: 'answer', sdp: answerSdp });
+
+    this.log('✅ WebRTC connected', { source: LogSource.WEBRTC });
+  }
+
+  async setupAudio() {
+    this.audioStream = await this.getMicrophoneStream();
+
+    this.callRecorder?.addStream(this.audioStream);
+    this.inputMeter = this.createMeter(this.audioStream, this.inputMeter);
+
+    // add track to peer connection early (before negotiating)
+    this.audioStream.getAudioTracks().forEach(track =>
+      this.peerConnection.addTrack(track, this.audioStream)
+    );
+  }
+
+  // Opens the microphone chosen in the settings, or the default one if it is gone
+  async getMicrophoneStream() {
+    // Get audio with specific constraints for 24kHz compatibility with Azure
+    const audio = {
+      channelCount: 1,       // Mono
+      sampleRate: 24000,     // 24kHz as required by Azure
+      echoCancellation: true,
+      noiseSuppression: true,
+    };
+    const { inputDeviceId } = this.settings;
+    if (!inputDeviceId) return this.mediaDevices.getUserMedia({ audio });
+
+    try {
+      return await this.mediaDevices.getUserMedia({ audio: { ...audio, deviceId: { exact: inputDeviceId } } });
+    } catch (err) {
+      if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+      this.log('⚠️ Selected microphone not found, using the default one', { source: LogSource.AUDIO });
+      return this.mediaDevices.getUserMedia({ audio });
+    }
+  }
+
+  // Switches the microphone mid-conversation; the new track replaces the old one
+  // on the existing sender, so no renegotiation is needed
+  async setInputDevice(deviceId) {
+    this.settings = { ...this.settings, inputDeviceId: deviceId };
+    const previous = this.audioStream;
+    if (!previous || !this.peerConnection) return;
+
+    const stream = await this.getMicrophoneStream();
+    // The conversation ended or the device was switched again meanwhile
+    if (this.audioStream !== previous) {
+      stream.getTracks().forEach(t => t.stop());
+      return;
+    }
+
+    const track = stream.getAudioTracks()[0];
+    const sender = this.peerConnection.getSenders().find(s => s.track?.kind === 'audio');
+    if (sender && track) await sender.replaceTrack(track);
+
+    this.audioStream = stream;
+    previous.getTracks().forEach(t => t.stop());
+    this.callRecorder?.addStream(stream);
+    this.inputMeter = this.createMeter(stream, this.inputMeter);
+
+    // Keep streaming from the new microphone
+    if (this.isRecording) {
+      this.audioCapture?.stop();
+      this.audioCapture = null;
+      this.startCapture();
+    }
+    this.log(`🎙 Switched microphone to ${track?.label || 'the selected device'}`, { source: LogSource.AUDIO });
+  }
+
+  async setOutputDevice(deviceId) {
+    this.settings = { ...this.settings, outputDeviceId: deviceId };
+    await this.applyOutputDevice();
+  }
+
+  async applyOutputDevice() {
+    const deviceId = this.settings.outputDeviceId || '';
+    if (!await this.playback.setOutputDevice(deviceId)) return;
+    this.log(`🔈 Playing through ${deviceId ? 'the selected speaker' : 'the default speaker'}`, { source: LogSource.AUDIO });
+  }
+
+  // Current input and output loudness on a 0–1 scale, for level meters
+  getLevels() {
+    return {
+      input: this.inputMeter?.getLevel() ?? 0,
+      output: this.outputMeter?.getLevel() ?? 0
+    };
+  }
+
+  createMeter(stream, previous) {
+    this.disconnectMeter(previous);
+    try {
+      return new LevelMeter(this.ensureAudioContext(), stream);
+    } catch (err) {
+      this.log(`Level meter unavailable: ${err.message}`, { source: LogSource.AUDIO, level: LogLevel.WARN });
+      return null;
+    }
+  }
+
+  disconnectMeter(meter) {
+    try {
+      meter?.disconnect();
+    } catch (err) {
+      // Ignore errors during cleanup
+    }
+    return null;
+  }
+
+  // Create a new AudioContext if none exists or if the current one is closed
+  ensureAudioContext() {
+    if (!this.audioContext || this.audioContext.state === 'closed') {
+      this.audioContext = new this.AudioContext({ sampleRate: 24000 });
+      this.log('✅ Created new AudioContext', { source: LogSource.AUDIO });
+    }
+    return this.audioContext;
+  }
+
+  waitForIceGathering() {
+    const pc = this.peerConnection;
+    return new Promise((resolve) => {
+      if (pc.iceGatheringState === 'complete') return resolve();
+      const handler = () => {
+        if (pc.iceGatheringState === 'complete') {
+          pc.removeEventListener('icegatheringstatechange', handler);
+          resolve();
+        }
+      };
+      pc.addEventListener('icegatheringstatechange', handler);
+      setTimeout(resolve, this.iceGatheringTimeoutMs); // failsafe
+    });
+  }
+
+  startCallRecording() {
+    try {
+      this.callRecorder = this.createCallRecorder();
+      this.callRecorder.start();
+      this.log('⏺ Recording the call', { source: LogSource.AUDIO });
+    } catch (err) {
+      this.callRecorder = null;
+      this.log(`❌ Call recording unavailable: ${err.message}`, { source: LogSource.AUDIO });
+    }
+  }
+
+  finishCallRecording() {
+    if (!this.callRecorder) return;
+    const recorder = this.callRecorder;
+    this.callRecorder = null;
+
+    recorder.stop()
+      .then(blob => {
+        if (!blob) return;
+        this.log(`✅ Call recording ready (${Math.round(blob.size / 1024)} KB)`, { source: LogSource.AUDIO });
+        this.emit(SessionEvent.CALL_RECORDING, blob);
+      })
+      .catch(err => this.log(`❌ Call recording failed: ${err.message}`, { source: LogSource.AUDIO }));
+  }
+
+  handleIceConnectionStateChange(iceState) {
+    this.log(`ICE connection state → ${iceState}`, { source: LogSource.WEBRTC });
+
+    if (iceState === 'failed') {
+      this.handleConnectionLost('ICE failed');
+    } else if (iceState === 'disconnected') {
+      // 'disconnected' often recovers by itself, so give it a moment first
+      clearTimeout(this.iceDisconnectTimer);
+      this.iceDisconnectTimer = setTimeout(() => {
+        if (this.peerConnection?.iceConnectionState === 'disconnected') {
+          this.handleConnectionLost('ICE disconnected');
+        }
+      }, this.iceDisconnectGraceMs);
+    } else {
+      clearTimeout(this.iceDisconnectTimer);
+      this.iceDisconnectTimer = null;
+    }
+  }
+
+  handleConnectionLost(reason) {
+    // Only react to drops of an established connection, not to our own teardown
+    if (this.state !== SessionState.CONNECTED) return;
+
+    this.log(`⚠️ Connection lost (${reason})`, { source: LogSource.WEBRTC });
+    this.scheduleReconnect(this.reconnectAttempt + 1);
+  }
+
+  scheduleReconnect(attempt) {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this.reconnectOptions;
+
+    this.teardown();
+
+    if (attempt > maxAttempts) {
+      this.log(`❌ Giving up after ${maxAttempts} reconnect attempts`, { source: LogSource.WEBRTC });
+      this.emit(SessionEvent.ERROR, new Error('Connection lost'));
+      this.finishCallRecording();
+      this.setState(SessionState.FAILED);
+      this.setStatus('status.connectionLost');
+      return;
+    }
+
+    this.reconnectAttempt = attempt;
+    this.setState(SessionState.RECONNECTING);
+    this.setStatus('status.reconnecting', { attempt });
+
+    const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+    this.log(`Reconnecting in ${delay} ms`, { source: LogSource.WEBRTC });
+    this.reconnectTimer = setTimeout(() => this.reconnect(attempt), delay);
+  }
+
+  async reconnect(attempt) {
+    this.reconnectTimer = null;
+
+    try {
+      await this.connect();
+    } catch (err) {
+      if (this.state !== SessionState.RECONNECTING) return;
+      this.log(`❌ Reconnect attempt ${attempt} failed: ${err.message}`, { source: LogSource.WEBRTC });
+      this.scheduleReconnect(attempt + 1);
+      return;
+    }
+
+    // The user ended the conversation while we were reconnecting
+    if (this.state !== SessionState.RECONNECTING) {
+      this.teardown();
+      return;
+    }
+
+    this.setState(SessionState.CONNECTED);
+  }
+
+  clearReconnectTimers() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    clearTimeout(this.iceDisconnectTimer);
+    this.iceDisconnectTimer = null;
+  }
+
+  // Seeds a fresh session with the conversation so far so the model keeps its context
+  replayHistory() {
+    this.history.forEach(({ sender, text }) => {
+      const isUser = sender === 'user';
+      this.send({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: isUser ? 'user' : 'assistant',
+          content: [{ type: isUser ? 'input_text' : 'text', text }]
+        }
+      });
+    });
+    this.log(`✅ Session resumed with ${this.history.length} messages of history`, { source: LogSource.DATACHANNEL });
+  }
+
+  startRecording() {
+    if (!this.audioStream || this.isRecording) return;
+
+    this.bufferedSamples = 0;
+    this.setRecording(true);
+    this.setStatus('status.recording');
+    this.startCapture();
+  }
+
+  startCapture() {
+    // Set up the audio capture pipeline with better error handling
+    this.setupAudioCapture().then(capture => {
+      if (!capture) return;
+      if (!this.isRecording) {
+        // Recording was stopped while the worklet was loading
+        capture.stop();
+        return;
+      }
+      this.audioCapture?.stop();
+      this.audioCapture = capture;
+    }).catch(err => {
+      this.log(`❌ Failed to set up audio processor: ${err.message}`, { source: LogSource.AUDIO });
+    });
+  }
+
+  // With commit the buffered audio is submitted as a user turn, otherwise it is discarded
+  stopRecording({ commit = false } = {}) {
+    if (!this.isRecording) return;
+
+    // Stop the capture first so the final partial frame is still sent
+    if (this.audioCapture) {
+      this.audioCapture.stop();
+      this.audioCapture = null;
+    }
+
+    this.setRecording(false);
+
+    if (commit && this.bufferedSamples >= MIN_COMMIT_SAMPLES) {
+      this.send({ type: 'input_audio_buffer.commit' });
+      this.startTurn({ spoken: true });
+      // Without server VAD nothing else asks the model to respond to the committed turn
+      if (this.usesTools()) this.send({ type: 'response.create' });
+      this.setStatus('status.processing');
+    } else {
+      if (commit) this.log('Push-to-talk released too quickly – nothing sent', { source: LogSource.AUDIO });
+      this.send({ type: 'input_audio_buffer.clear' });
+      this.setStatus('status.stoppedRecording');
+    }
+  }
+
+  isTextOnly() {
+    return this.settings.sessionMode === SessionMode.TEXT;
+  }
+
+  usesTools() {
+    return this.settings.queryMode === QueryMode.TOOLS;
+  }
+
+  isPushToTalk() {
+    return !this.isTextOnly() && this.settings.turnDetection === TurnDetection.PUSH_TO_TALK;
+  }
+
+  // Push-to-talk: stream microphone audio while the talk control is held
+  startTalking() {
+    if (!this.isPushToTalk() || !this.isOpen()) return;
+    this.interruptResponse();
+    this.startRecording();
+  }
+
+  // Push-to-talk: submit what was said when the talk control is released
+  stopTalking() {
+    if (!this.isPushToTalk()) return;
+    this.stopRecording({ commit: true });
+  }
+
+  async setupAudioCapture() {
+    try {
+      if (this.ensureAudioContext().state === 'suspended') {
+        // Resume context if it's suspended
+        await this.audioContext.resume();
+        this.log('✅ Resumed AudioContext', { source: LogSource.AUDIO });
+      }
+
+      // The capture resamples to 24kHz if the browser ignored the requested rate
+      const capture = new Pcm16Capture({
+        audioContext: this.audioContext,
+        stream: this.audioStream,
+        frameSize: this.captureFrameSize,
+        AudioWorkletNode: this.AudioWorkletNode,
+        onFrame: this.sendAudioFrame
+      });
+      await capture.start();
+
+      this.log('✅ Audio processor set up successfully', { source: LogSource.AUDIO });
+      return capture;
+    } catch (error) {
+      this.log(`❌ Audio processor setup error: ${error.message}`, { source: LogSource.AUDIO });
+      return null;
+    }
+  }
+
+  // Send a PCM16 frame to Azure OpenAI
+  sendAudioFrame = (pcm) => {
+    if (!this.isRecording) return;
+    try {
+      this.send({
+        type: 'input_audio_buffer.append',
+        audio: arrayBufferToBase64(pcm.buffer)
+      });
+      this.bufferedSamples += pcm.length;
+    } catch (err) {
+      this.log(`❌ Error sending audio data: ${err.message}`, { source: LogSource.AUDIO });
+    }
+  };
+
+  sendSessionConfig() {
+    return this.send({
+      type: 'session.update',
+      session: buildSessionConfig(this.settings, { systemPrompt: this.systemPrompt, tools: this.tools.definitions() })
+    });
+  }
+
+  /**
+   * Applies changed settings to the running conversation with session.update.
+   * Settings in RESTART_SETTINGS keep their values until the next conversation;
+   * returns the names of those that differ.
+   */
+  updateSettings(settings) {
+    const previous = this.settings;
+    if (!this.isOpen()) {
+      this.settings = { ...previous, ...settings };
+      return [];
+    }
+
+    const running = Object.fromEntries(RESTART_SETTINGS.map(field => [field, previous[field]]));
+    this.settings = { ...previous, ...settings, ...running };
+    const pending = RESTART_SETTINGS.filter(field => settings[field] !== undefined && settings[field] !== previous[field]);
+    const before = JSON.stringify(buildSessionConfig(previous, { systemPrompt: this.systemPrompt }));
+    const after = JSON.stringify(buildSessionConfig(this.settings, { systemPrompt: this.systemPrompt }));
+    if (before !== after) {
+      this.log('Settings changed – sending session.update', { source: LogSource.DATACHANNEL });
+      this.sendSessionConfig();
+
+      // Push-to-talk only records while the talk control is held
+      const wasPushToTalk = !this.isTextOnly() && previous.turnDetection === TurnDetection.PUSH_TO_TALK;
+      if (wasPushToTalk && !this.isPushToTalk()) this.startRecording();
+      if (!wasPushToTalk && this.isPushToTalk()) this.stopRecording();
+    }
+    // Logged once per set of changes, the settings are passed again on every edit
+    if (pending.join() !== this.pendingRestart.join() && pending.length > 0) {
+      this.log(`⚠️ ${pending.join(', ')} will apply to the next conversation`, { source: LogSource.APP });
+    }
+    this.pendingRestart = pending;
+    return pending;
+  }
+
+  handleDataChannelOpen = () => {
+    this.log('DataChannel open – sending session.update', { source: LogSource.DATACHANNEL });
+    const textOnly = this.isTextOnly();
+    if (textOnly) {
+      this.setStatus('status.connectedText');
+    } else {
+      this.setStatus(this.isPushToTalk() ? 'status.connectedPushToTalk' : 'status.connected');
+    }
+
+    this.sendSessionConfig();
+
+    if (this.reconnectAttempt > 0 || this.replayOnOpen) {
+      this.replayHistory();
+      this.reconnectAttempt = 0;
+      this.replayOnOpen = false;
+    }
+
+    // In push-to-talk mode recording starts only while the talk control is held
+    if (!textOnly && !this.isPushToTalk()) this.startRecording();
+  };
+
+  handleDataChannelMessage = ({ data }) => {
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    this.log(`⬅ ${msg.type}`, { source: LogSource.DATACHANNEL, type: msg.type, level: LogLevel.DEBUG, payload: msg });
+
+    switch (msg.type) {
+      case 'session.created':
+        break;
+
+      case 'input_audio_buffer.committed':
+        // Open the user's bubble right away so turns keep the order the server saw them in
+        if (msg.item_id && !this.liveMessages.has(msg.item_id)) this.updateMessage(msg.item_id, 'user', '');
+        break;
+
+      case 'conversation.item.input_audio_transcription.delta':
+        this.updateMessage(msg.item_id, 'user', msg.delta);
+        break;
+
+      case 'conversation.item.input_audio_transcription.completed':
+        this.askQuestion(msg.transcript ?? '', { id: msg.item_id, spoken: true });
+        break;
+
+      case 'conversation.item.input_audio_transcription.failed':
+        this.log(`❌ Transcription failed: ${msg.error?.message || 'unknown error'}`, { source: LogSource.DATACHANNEL });
+        this.finalizeMessage(msg.item_id, 'user', '');
+        break;
+
+      case 'response.created':
+        // Reset transcript when a response starts
+        this.currentResponse = {
+          responseId: msg.response?.id ?? null,
+          itemId: null,
+          text: '',
+          audioStartedAt: null,
+          interrupted: false,
+          attachments: this.pendingAttachments || {}
+        };
+        this.pendingAttachments = null;
+        this.playback.silence(false);
+        this.startResponseClip();
+        this.emit(SessionEvent.PROGRESS, '');
+        this.turnTimer.mark(TurnStage.RESPONSE_CREATED);
+        break;
+
+      case 'response.output_item.added':
+        if (this.currentResponse && msg.item?.role === 'assistant') {
+          this.currentResponse.itemId = msg.item.id;
+          // Keep the start reported by output_audio_buffer.started when it came first
+          if (this.currentResponse.audioStartedAt === null) this.currentResponse.audioStartedAt = this.now();
+          if (this.responseClip) this.responseClip.itemId = msg.item.id;
+          this.updateMessage(msg.item.id, 'assistant', '');
+        }
+        break;
+
+      case 'output_audio_buffer.started':
+        // More accurate start of playback when the server reports it (WebRTC only)
+        if (this.currentResponse) this.currentResponse.audioStartedAt = this.now();
+        this.outputAudioPlaying = true;
+        this.turnTimer.mark(TurnStage.FIRST_DELTA);
+        break;
+
+      // The audio of a response keeps playing after response.done, its clip ends with it
+      case 'output_audio_buffer.stopped':
+      case 'output_audio_buffer.cleared':
+        this.outputAudioPlaying = false;
+        if (this.responseClip?.responseDone) this.finishResponseClip();
+        break;
+
+      case 'input_audio_buffer.speech_started':
+        this.interruptResponse();
+        break;
+
+      case 'input_audio_buffer.speech_stopped':
+        this.startTurn({ spoken: true });
+        break;
+
+      case 'response.audio_transcript.delta':        // preview
+      case 'response.output_audio_transcript.delta': // GA
+      case 'response.text.delta':                    // text-only sessions, preview
+      case 'response.output_text.delta':             // text-only sessions, GA
+        this.appendResponseText(msg.delta, msg.item_id);
+        break;
+
+      case 'response.audio_transcript.done':
+      case 'response.output_audio_transcript.done':
+        this.completeResponseItem(msg.item_id, msg.transcript);
+        break;
+
+      case 'response.text.done':
+      case 'response.output_text.done':
+        this.completeResponseItem(msg.item_id, msg.text);
+        break;
+
+      case 'response.output_item.done': {
+        // Audio responses carry a transcript, text-only responses carry text
+        const content = msg.item?.content?.[0];
+        this.completeResponseItem(msg.item?.id, content?.transcript ?? content?.text);
+        break;
+      }
+
+      case 'response.function_call_arguments.done':
+        this.handleFunctionCall(msg)
+          .catch(err => this.log(`❌ Tool call error: ${err.message}`, { source: LogSource.TOOLS }));
+        break;
+
+      case 'response.done': {
+        // A response that called tools is followed by another one with the answer
+        const awaitingTools = this.toolCalls.size > 0 || this.toolOutputsReady;
+        this.currentResponse = null;
+        if (this.responseClip) {
+          this.responseClip.responseDone = true;
+          if (!this.outputAudioPlaying) this.finishResponseClip();
+        }
+        if (!awaitingTools && msg.response?.status !== 'cancelled') {
+          this.turnTimer.mark(TurnStage.RESPONSE_DONE);
+          this.finishTurn();
+        }
+        this.requestToolResponse();
+        if (msg.response?.usage) this.trackUsage(msg.response.usage);
+        break;
+      }
+
+      case 'error':
+        this.log(`❌ ${msg.error?.message || 'Unknown error'}`, { source: LogSource.DATACHANNEL, type: msg.type, payload: msg.error });
+        this.setStatus('status.error', { message: msg.error?.message || '' });
+        this.emit(SessionEvent.ERROR, msg.error);
+        break;
+
+      default:
+        // other event types ignored
+    }
+  };
+
+  appendResponseText(delta, itemId) {
+    if (typeof delta !== 'string' || !delta) return;
+    if (this.currentResponse?.interrupted) return;
+    if (this.currentResponse) this.currentResponse.text += delta;
+    this.emit(SessionEvent.DELTA, delta);
+    this.turnTimer.mark(TurnStage.FIRST_DELTA);
+
+    const id = itemId ?? this.currentResponse?.itemId ?? this.currentResponse?.responseId;
+    if (id) this.updateMessage(id, 'assistant', delta);
+  }
+
+  // Each completed assistant item is finalized once, whichever done event arrives first
+  completeResponseItem(itemId, text) {
+    // An interrupted response was already finalized by interruptResponse
+    if (!text || this.currentResponse?.interrupted) return;
+
+    const id = itemId ?? this.currentResponse?.itemId ?? this.currentResponse?.responseId ?? this.nextLocalId();
+    const attachments = this.currentResponse?.attachments;
+    if (!this.finalizeMessage(id, 'assistant', text, attachments)) return;
+
+    this.log(`Assistant response received: ${text.substring(0, 20)}...`, { source: LogSource.DATACHANNEL });
+    this.history = [...this.history, { sender: 'assistant', text }];
+    this.emit(SessionEvent.RESPONSE_DONE, { text, ...attachments });
+  }
+
+  // Captures the audio of each response so its message can be replayed
+  startResponseClip() {
+    this.finishResponseClip();
+    try {
+      this.responseClip = this.playback.startClip() ? { itemId: null, responseDone: false } : null;
+    } catch (err) {
+      this.responseClip = null;
+      this.log(`❌ Could not capture the answer for replay: ${err.message}`, { source: LogSource.AUDIO });
+    }
+  }
+
+  finishResponseClip() {
+    const clip = this.responseClip;
+    if (!clip) return;
+    this.responseClip = null;
+
+    // Responses that only called a tool have no message to replay
+    this.playback.finishClip()
+      .then(blob => {
+        if (blob && clip.itemId) this.emit(SessionEvent.RESPONSE_AUDIO, { id: clip.itemId, blob });
+      })
+      .catch(err => this.log(`❌ Could not capture the answer for replay: ${err.message}`, { source: LogSource.AUDIO }));
+  }
+
+  startTurn({ spoken }) {
+    this.abortPipeline();
+    const unfinished = this.turnTimer.start({ spoken });
+    if (unfinished) this.emit(SessionEvent.TURN_METRICS, unfinished);
+    this.usage.startTurn();
+  }
+
+  finishTurn({ interrupted = false } = {}) {
+    const turn = this.turnTimer.finish({ interrupted });
+    if (turn) this.emit(SessionEvent.TURN_METRICS, turn);
+  }
+
+  // Adds the usage of a response and enforces the optional per-conversation budget
+  trackUsage(usage) {
+    const { deploymentName, tokenPrices } = this.settings;
+    const report = this.usage.add(usage, pricesFor(deploymentName, tokenPrices));
+    const budgetUsd = Number(this.settings.budgetUsd) || null;
+    this.emit(SessionEvent.USAGE, { ...report, budgetUsd });
+
+    const cost = report.cost.session;
+    if (!budgetUsd || cost === null) return;
+
+    if (cost >= budgetUsd) {
+      this.log(`💸 Budget of ${formatCost(budgetUsd)} exceeded (${formatCost(cost)}) – ending the conversation`, { source: LogSource.APP, level: LogLevel.WARN });
+      this.stop();
+      this.setStatus('status.budgetExceeded');
+    } else if (!this.budgetWarned && cost >= budgetUsd * BUDGET_WARNING_RATIO) {
+      this.budgetWarned = true;
+      this.log(`⚠️ ${formatCost(cost)} of the ${formatCost(budgetUsd)} budget used`, { source: LogSource.APP });
+      this.setStatus('status.budgetWarning', { cost: formatCost(cost), budget: formatCost(budgetUsd) });
+    }
+  }
+
+  // Samples RTT, jitter, packet loss and bitrates of the audio streams; null when
+  // there is no connection
+  async getConnectionStats() {
+    const pc = this.peerConnection;
+    if (!pc || typeof pc.getStats !== 'function') return null;
+    const report = await pc.getStats();
+    if (pc !== this.peerConnection) return null;
+    this.lastStats = parseStatsReport(report, this.lastStats);
+    return this.lastStats;
+  }
+
+  nextLocalId() {
+    this.localMessageCount += 1;
+    return `local-${this.localMessageCount}`;
+  }
+
+  // Streams text into the bubble for a conversation item, creating it if needed
+  updateMessage(id, sender, delta = '') {
+    if (!id) return;
+    const message = this.liveMessages.get(id) || { sender, text: '', final: false };
+    if (message.final) return;
+    message.text += delta || '';
+    this.liveMessages.set(id, message);
+    this.emit(SessionEvent.MESSAGE, { id, sender, text: message.text, final: false });
+  }
+
+  // Completes a bubble in place; returns false if it was already complete.
+  // A bubble finalized with empty text is removed.
+  finalizeMessage(id, sender, text, details = {}) {
+    if (!id || this.liveMessages.get(id)?.final) return false;
+    this.liveMessages.set(id, { sender, text, final: true });
+    this.emit(SessionEvent.MESSAGE, { id, sender, text, final: true, ...details });
+    return true;
+  }
+
+  // Bubbles still streaming when a connection goes away keep whatever arrived
+  finalizeLiveMessages() {
+    this.liveMessages.forEach((message, id) => {
+      if (!message.final) this.finalizeMessage(id, message.sender, message.text);
+    });
+  }
+
+  // Barge-in: stop the assistant as soon as the user starts speaking over it and
+  // cut the assistant item down to what was actually heard
+  interruptResponse() {
+    const response = this.currentResponse;
+    if (!response || response.interrupted) return;
+
+    response.interrupted = true;
+    this.send({ type: 'response.cancel' });
+    this.playback.silence(true);
+
+    if (response.itemId && response.audioStartedAt !== null) {
+      this.send({
+        type: 'conversation.item.truncate',
+        item_id: response.itemId,
+        content_index: 0,
+        audio_end_ms: Math.max(0, Math.round(this.now() - response.audioStartedAt))
+      });
+    }
+
+    this.log('✋ Assistant interrupted by user', { source: LogSource.AUDIO });
+    this.finishTurn({ interrupted: true });
+    if (response.text) {
+      this.history = [...this.history, { sender: 'assistant', text: response.text, interrupted: true }];
+    }
+    const id = response.itemId ?? response.responseId ?? this.nextLocalId();
+    this.finalizeMessage(id, 'assistant', response.text, { interrupted: true, ...response.attachments });
+    this.emit(SessionEvent.INTERRUPTED, { text: response.text, interrupted: true, ...response.attachments });
+  }
+
+  // Entry point for a user turn, spoken (once transcribed) or typed. Spoken turns
+  // pass the id of their conversation item so the live bubble is completed in place.
+  askQuestion(text, { id = this.nextLocalId(), spoken = false } = {}) {
+    const question = text.trim();
+    if (!question) {
+      this.finalizeMessage(id, 'user', '');
+      return;
+    }
+    // Spoken turns started when the speech ended
+    if (spoken) {
+      this.turnTimer.mark(TurnStage.TRANSCRIBED);
+    } else {
+      this.startTurn({ spoken: false });
+    }
+    this.handleUserQuestion(question, { id, spoken })
+      .catch(err => this.log(`❌ Query error: ${err.message}`, { source: LogSource.API }));
+  }
+
+  // Uses the backend to decide whether the question needs the NL2SQL pipeline or
+  // whether the LLM can respond on its own
+  async handleUserQuestion(transcript, { id = this.nextLocalId(), spoken = false } = {}) {
+    this.history = [...this.history, { sender: 'user', text: transcript }];
+    this.finalizeMessage(id, 'user', transcript);
+    this.emit(SessionEvent.TRANSCRIPT, transcript);
+
+    if (!this.isOpen()) return;
+
+    // With tools the model decides itself whether to look up data. Spoken turns are
+    // already in the conversation and answered by server VAD or stopTalking.
+    if (this.usesTools()) {
+      if (!spoken) this.respondDirectly(transcript, 'status.generating');
+      return;
+    }
+    // A newer question aborts these requests; their results are dropped
+    const pipeline = this.turnRequests(spoken);
+    const { signal } = pipeline.controller;
+    const isStale = () => {
+      if (!signal.aborted) return false;
+      this.log(`Dropped the lookup for ${pipeline.turnId}, a newer question came in`, { source: LogSource.API });
+      return true;
+    };
+    this.emit(SessionEvent.PROGRESS, 'progress.analyzing');
+
+    let isStatisticalQuery;
+    try {
+      isStatisticalQuery = await this.api.classifyIntent(transcript, this.history, { signal });
+      if (isStale()) return;
+      this.turnTimer.mark(TurnStage.CLASSIFIED);
+    } catch (err) {
+      if (isStale()) return;
+      this.log(`❌ Intent detection error: ${err.message}`, { source: LogSource.API });
+      // Fall back to direct LLM response
+      this.respondDirectly(transcript, 'status.responding');
+      return;
+    }
+
+    this.log(`Intent detected: ${isStatisticalQuery ? 'Statistical' : 'Conversational'}`, { source: LogSource.API });
+
+    if (!isStatisticalQuery) {
+      // It's a conversational query, let the LLM respond naturally
+      this.log('💬 Conversational message detected by Azure OpenAI', { source: LogSource.API });
+      this.respondDirectly(transcript, 'status.generating');
+      return;
+    }
+
+    // Show loading state
+    this.setStatus('status.fetchingData');
+    this.emit(SessionEvent.PROGRESS, 'progress.searching');
+
+    // Get SQL results first before allowing LLM to respond
+    let data;
+    try {
+      data = await this.api.query(transcript, this.history, { signal });
+    } catch (err) {
+      if (isStale()) return;
+      this.log(`❌ Query failed: ${err.message}`, { source: LogSource.API });
+      this.reportQueryFailure(transcript);
+      return;
+    }
+    if (isStale()) return;
+    this.turnTimer.mark(TurnStage.QUERIED);
+    if (!this.isOpen()) return;
+
+    const records = getRecords(data);
+    this.log(`✅ SQL results received: ${records.length} records`, { source: LogSource.API });
+    if (data.sql) this.log(`SQL → ${data.sql}`, { source: LogSource.API, type: 'sql', payload: data });
+
+    // The rows and how they were produced are shown alongside the spoken summary
+    this.pendingAttachments = {
+      turnId: pipeline.turnId,
+      records,
+      query: {
+        question: transcript,
+        intent: 'statistical',
+        rewrittenQuery: data.rewrittenQuery ?? null,
+        sql: data.sql ?? null,
+        attempts: data.attempts ?? null,
+        rowCount: records.length
+      }
+    };
+
+    this.sendUserText(`Question: ${transcript}\n\nHere are the Formula One statistics that answer this question:\n${formatSqlResultsForLLM(data)}\n\nPlease summarize these statistics in a clear, concise response.`);
+  }
+
+  // The requests of the current turn, starting a turn if none is running (spoken
+  // turns normally start when the speech ends)
+  turnRequests(spoken) {
+    if (!this.turnTimer.isRunning()) this.startTurn({ spoken });
+    const turnId = this.turnTimer.currentId();
+    if (this.pipeline?.turnId !== turnId) {
+      this.abortPipeline();
+      this.pipeline = { turnId, controller: new AbortController() };
+    }
+    return this.pipeline;
+  }
+
+  abortPipeline() {
+    if (!this.pipeline) return;
+    this.pipeline.controller.abort();
+    this.pipeline = null;
+  }
+
+  // Tells the user by voice instead of leaving them on "Searching…"
+  reportQueryFailure(question) {
+    this.setStatus('status.queryFailed');
+    this.emit(SessionEvent.PROGRESS, '');
+    if (!this.isOpen()) return;
+    // Response instructions replace the session's, so the answer language is repeated
+    this.sendUserText(`Question: ${question}\n\n${QUERY_FAILED_MESSAGE}`, {
+      instructions: [QUERY_FAILED_INSTRUCTIONS, responseLanguageInstruction(this.settings.language)].filter(Boolean).join(' ')
+    });
+  }
+
+  // Runs a function call from the model through the tool registry and hands the
+  // result, or the error, back as the call's output
+  async handleFunctionCall({ call_id: callId, name, arguments: rawArguments }) {
+    this.toolCalls.add(callId);
+    const { turnId, controller } = this.turnRequests(false);
+    const attach = (details) => {
+      this.pendingAttachments = { ...this.pendingAttachments, ...details, turnId };
+    };
+
+    const result = await this.tools.invoke(name, rawArguments, { callId, attach, signal: controller.signal });
+    // The connection was replaced while the tool was running
+    if (!this.toolCalls.has(callId)) return;
+    // The call still gets an output so it is not left open in the conversation,
+    // but no response is asked for: the newer question gets its own
+    if (controller.signal.aborted) {
+      this.log(`🔧 ${name} dropped, a newer question came in`, { source: LogSource.TOOLS, type: name });
+      this.sendFunctionCallOutput(callId, { error: TOOL_CANCELLED_ERROR });
+      this.toolCalls.delete(callId);
+      return;
+    }
+
+    const args = result.args ? JSON.stringify(result.args) : rawArguments;
+    if (result.ok) {
+      this.log(`🔧 ${name}(${args}) ✅ ${result.durationMs} ms`, { source: LogSource.TOOLS, type: name, payload: result });
+    } else {
+      this.log(`🔧 ${name}(${args}) ❌ ${result.error} (${result.durationMs} ms)`, { source: LogSource.TOOLS, type: name, level: LogLevel.ERROR, payload: result });
+    }
+
+    this.sendFunctionCallOutput(callId, result.ok ? result.output : { error: result.error });
+    this.toolCalls.delete(callId);
+    this.toolOutputsReady = true;
+    this.requestToolResponse();
+  }
+
+  sendFunctionCallOutput(callId, output) {
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: callId,
+        output: JSON.stringify(output)
+      }
+    });
+  }
+
+  // Asks the model to continue once every call of a response has its output and
+  // the response that made the calls is finished
+  requestToolResponse() {
+    if (!this.toolOutputsReady || this.toolCalls.size > 0 || this.currentResponse) return;
+    this.toolOutputsReady = false;
+    this.send({ type: 'response.create' });
+  }
+
+  // query_f1_statistics: answers the question with the backend's NL2SQL pipeline
+  queryStatistics = async ({ question }, { attach, signal }) => {
+    this.setStatus('status.fetchingData');
+    this.emit(SessionEvent.PROGRESS, 'progress.searching');
+
+    let data;
+    try {
+      data = await this.api.query(question, this.history, { signal });
+      this.turnTimer.mark(TurnStage.QUERIED);
+    } catch (err) {
+      this.log(`❌ Query failed: ${err.message}`, { source: LogSource.API });
+      throw new Error('The statistics database could not answer this question.');
+    }
+
+    const records = getRecords(data);
+    this.log(`✅ SQL results received: ${records.length} records`, { source: LogSource.API });
+    if (data.sql) this.log(`SQL → ${data.sql}`, { source: LogSource.API, type: 'sql', payload: data });
+
+    attach({
+      records,
+      query: {
+        question,
+        intent: 'tool',
+        rewrittenQuery: data.rewrittenQuery ?? null,
+        sql: data.sql ?? null,
+        attempts: data.attempts ?? null,
+        rowCount: records.length
+      }
+    });
+    return { rowCount: records.length, results: formatSqlResultsForLLM(data) };
+  };
+
+  // Adds a user text item to the conversation and asks the model to respond to it
+  // response overrides the response.create parameters, e.g. { instructions }
+  sendUserText(text, response) {
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: 'user',
+        content: [
+          {
+            type: 'input_text',
+            text
+          }
+        ]
+      }
+    });
+
+    // Request a response after creating the item
+    this.send(response ? { type: 'response.create', response } : { type: 'response.create' });
+  }
+
+  respondDirectly(text, statusKey) {
+    if (!this.isOpen()) return;
+    this.sendUserText(text);
+    this.setStatus(statusKey);
+  }
+}
+
+export default RealtimeSession;
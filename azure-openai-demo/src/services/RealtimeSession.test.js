@@ -0,0 +1,942 @@
+import RealtimeSession, { SessionEvent, SessionState, SessionMode, TurnDetection, QueryMode, QUERY_TOOL, buildTurnDetection, buildSessionConfig, formatSqlResultsForLLM } from './RealtimeSession';
+import ApiClient, { QUERY_TOTAL_MS } from './ApiService';
+import AudioPlayback from './AudioPlayback';
+
+class FakeDataChannel {
+  constructor() {
+    this.readyState = 'connecting';
+    this.sent = [];
+  }
+  send(data) { this.sent.push(JSON.parse(data)); }
+  close() { this.readyState = 'closed'; }
+  open() {
+    this.readyState = 'open';
+    this.onopen();
+  }
+  receive(event) { this.onmessage({ data: JSON.stringify(event) }); }
+}
+
+class FakePeerConnection {
+  constructor() {
+    this.iceGatheringState = 'complete';
+    this.localDescription = null;
+    this.listeners = {};
+    this.channel = new FakeDataChannel();
+    this.senders = [];
+    FakePeerConnection.last = this;
+  }
+  addEventListener(type, handler) { this.listeners[type] = handler; }
+  removeEventListener(type) { delete this.listeners[type]; }
+  createDataChannel() { return this.channel; }
+  addTrack(track) {
+    const sender = { track, replaceTrack: jest.fn(async next => { sender.track = next; }) };
+    this.senders.push(sender);
+    return sender;
+  }
+  getSenders() { return this.senders; }
+  async createOffer() { return { type: 'offer', sdp: 'offer-sdp' }; }
+  async setLocalDescription(desc) { this.localDescription = desc; }
+  async setRemoteDescription(desc) { this.remoteDescription = desc; }
+  close() { this.closed = true; }
+}
+
+const fakeStream = { getAudioTracks: () => [], getTracks: () => [] };
+
+const jsonResponse = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+// classify-intent and query go through fetch, session creation and SDP are stubbed
+const createTestApi = (fetch) => {
+  const api = new ApiClient({ baseUrl: 'http://api', fetch, retries: 0 });
+  api.createSession = jest.fn().mockResolvedValue({ id: 'sess-1', client_secret: { value: 'key' }, system_prompt: 'Be helpful' });
+  api.connectRTC = jest.fn().mockResolvedValue('answer-sdp');
+  return api;
+};
+
+const createTestSession = (fetch, options = {}) => new RealtimeSession({
+  api: createTestApi(fetch),
+  RTCPeerConnection: FakePeerConnection,
+  MediaStream: class {},
+  AudioContext: class {
+    sampleRate = 24000;
+    audioWorklet = { addModule: () => Promise.resolve() };
+    createMediaStreamSource() { return { connect() {}, disconnect() {} }; }
+    close() {}
+  },
+  AudioWorkletNode: class {
+    port = {};
+    connect() {}
+    disconnect() {}
+  },
+  mediaDevices: { getUserMedia: jest.fn().mockResolvedValue(fakeStream) },
+  createAudioElement: () => ({ play() {}, pause() {} }),
+  ...options
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('connects, negotiates SDP and configures the session when the channel opens', async () => {
+  const session = createTestSession(jest.fn());
+  const states = [];
+  session.on(SessionEvent.STATE_CHANGE, state => states.push(state));
+
+  await session.start({ voice: 'verse', region: 'eastus2', deploymentName: 'dep' });
+
+  expect(states).toEqual([SessionState.CONNECTING, SessionState.CONNECTED]);
+  expect(session.api.connectRTC).toHaveBeenCalledWith('offer-sdp', 'key', 'dep', 'eastus2');
+  expect(FakePeerConnection.last.remoteDescription).toEqual({ type: 'answer', sdp: 'answer-sdp' });
+
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+  expect(channel.sent[0]).toMatchObject({ type: 'session.update', session: { instructions: 'Be helpful' } });
+
+  session.stop();
+  expect(session.state).toBe(SessionState.DISCONNECTED);
+  expect(FakePeerConnection.last.closed).toBe(true);
+});
+
+test('ignores a second start while connecting and cleans up when stopped mid-connect', async () => {
+  const session = createTestSession(jest.fn());
+  const first = session.start({ voice: 'verse' });
+  const second = session.start({ voice: 'verse' });
+  await Promise.all([first, second]);
+  expect(session.api.createSession).toHaveBeenCalledTimes(1);
+  const peer = FakePeerConnection.last;
+  session.stop();
+
+  // Stopped while the SDP exchange is still running
+  let answer;
+  session.api.connectRTC.mockReturnValueOnce(new Promise(resolve => { answer = resolve; }));
+  const restarted = session.start({ voice: 'verse' });
+  await flush();
+  const pending = FakePeerConnection.last;
+  expect(pending).not.toBe(peer);
+  session.stop();
+  answer('answer-sdp');
+  await restarted;
+
+  expect(session.state).toBe(SessionState.DISCONNECTED);
+  expect(pending.closed).toBe(true);
+  expect(session.peerConnection).toBeNull();
+});
+
+test('reports a failed state when the session cannot be created', async () => {
+  const session = createTestSession(jest.fn());
+  session.api.createSession.mockRejectedValue(new Error('boom'));
+  const errors = [];
+  session.on(SessionEvent.ERROR, err => errors.push(err.message));
+
+  await session.start({ voice: 'verse' });
+
+  expect(session.state).toBe(SessionState.FAILED);
+  expect(errors).toEqual(['boom']);
+});
+
+test('routes statistical questions through the query endpoint before responding', async () => {
+  const fetch = jest.fn()
+    .mockReturnValueOnce(jsonResponse(true))
+    .mockReturnValueOnce(jsonResponse({
+      records: [{ Driver: 'Max Verstappen', Wins: 19 }],
+      rewrittenQuery: 'Which driver won the most races in 2023?',
+      sql: 'SELECT TOP 1 Driver, Wins FROM F1Records',
+      attempts: 1
+    }));
+  const session = createTestSession(fetch);
+  const transcripts = [];
+  session.on(SessionEvent.TRANSCRIPT, text => transcripts.push(text));
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Who won most in 2023?' });
+  await flush();
+
+  expect(transcripts).toEqual(['Who won most in 2023?']);
+  expect(fetch.mock.calls.map(([url]) => url)).toEqual(['http://api/api/AzureOpenAI/classify-intent', 'http://api/api/AzureOpenAI/query']);
+  const [item, create] = channel.sent.slice(-2);
+  expect(item.item.content[0].text).toContain('| Max Verstappen | 19 |');
+  expect(create).toEqual({ type: 'response.create' });
+
+  // The rows are attached to the assistant message that summarizes them
+  const done = [];
+  session.on(SessionEvent.RESPONSE_DONE, message => done.push(message));
+  channel.receive({ type: 'response.created' });
+  channel.receive({ type: 'response.output_item.done', item: { content: [{ transcript: 'Max won 19 races.' }] } });
+  expect(done).toEqual([{
+    text: 'Max won 19 races.',
+    turnId: 'turn-1',
+    records: [{ Driver: 'Max Verstappen', Wins: 19 }],
+    query: {
+      question: 'Who won most in 2023?',
+      intent: 'statistical',
+      rewrittenQuery: 'Which driver won the most races in 2023?',
+      sql: 'SELECT TOP 1 Driver, Wins FROM F1Records',
+      attempts: 1,
+      rowCount: 1
+    }
+  }]);
+  session.stop();
+});
+
+// Never settles on its own, only rejects when the request is aborted
+const pendingUntilAborted = (url, { signal }) => new Promise((_, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+test('aborts the lookup of a question once a newer one is asked', async () => {
+  const fetch = jest.fn()
+    .mockReturnValueOnce(jsonResponse(true))
+    .mockImplementationOnce(pendingUntilAborted)
+    .mockReturnValueOnce(jsonResponse(true))
+    .mockReturnValueOnce(jsonResponse({ records: [{ Driver: 'Lewis Hamilton', Titles: 7 }] }));
+  const session = createTestSession(fetch);
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'input_audio_buffer.speech_stopped' });
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Who won most in 2023?' });
+  await flush();
+  const firstQuery = fetch.mock.calls[1][1];
+
+  channel.receive({ type: 'input_audio_buffer.speech_stopped' });
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Who has the most titles?' });
+  await flush();
+  await flush();
+
+  expect(firstQuery.signal.aborted).toBe(true);
+  const questions = channel.sent.filter(e => e.type === 'conversation.item.create').map(e => e.item.content[0].text);
+  expect(questions).toHaveLength(1);
+  expect(questions[0]).toContain('Question: Who has the most titles?');
+  expect(questions[0]).toContain('| Lewis Hamilton | 7 |');
+
+  const done = [];
+  session.on(SessionEvent.RESPONSE_DONE, message => done.push(message));
+  channel.receive({ type: 'response.created' });
+  channel.receive({ type: 'response.output_item.done', item: { content: [{ transcript: 'Lewis has 7 titles.' }] } });
+  expect(done[0]).toMatchObject({ turnId: 'turn-2', records: [{ Driver: 'Lewis Hamilton', Titles: 7 }] });
+  session.stop();
+});
+
+test('tells the user by voice when the statistics could not be retrieved', async () => {
+  const fetch = jest.fn()
+    .mockReturnValueOnce(jsonResponse(true))
+    .mockResolvedValueOnce({ ok: false, status: 500, text: async () => 'Internal error' });
+  const session = createTestSession(fetch);
+  const progress = [];
+  session.on(SessionEvent.PROGRESS, text => progress.push(text));
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Who won most in 2023?' });
+  await flush();
+  await flush();
+
+  const [item, create] = channel.sent.slice(-2);
+  expect(item.item.content[0].text).toContain('could not be reached');
+  expect(create).toMatchObject({ type: 'response.create', response: { instructions: expect.stringContaining("I couldn't retrieve that data") } });
+  expect(progress[progress.length - 1]).toBe('');
+  session.stop();
+});
+
+test('times each stage of a turn from the end of speech to response.done', async () => {
+  let clock = 1000;
+  const fetch = jest.fn()
+    .mockImplementationOnce(() => { clock = 1500; return jsonResponse(true); })
+    .mockImplementationOnce(() => { clock = 2400; return jsonResponse({ records: [{ Driver: 'Max Verstappen' }] }); });
+  const session = createTestSession(fetch, { now: () => clock });
+  const turns = [];
+  session.on(SessionEvent.TURN_METRICS, turn => turns.push(turn));
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'input_audio_buffer.speech_stopped' });
+  clock = 1300;
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'u1', transcript: 'Who won in 2021?' });
+  await flush();
+  clock = 2500;
+  channel.receive({ type: 'response.created', response: { id: 'r1' } });
+  clock = 2700;
+  channel.receive({ type: 'response.output_text.delta', item_id: 'a1', delta: 'Max' });
+  clock = 3500;
+  channel.receive({ type: 'response.done', response: { id: 'r1', status: 'completed' } });
+
+  expect(turns).toEqual([{
+    id: 'turn-1',
+    spoken: true,
+    startedAt: 1000,
+    interrupted: false,
+    stages: { transcribed: 300, classified: 500, queried: 1400, responseCreated: 1500, firstDelta: 1700, responseDone: 2500 }
+  }]);
+  session.stop();
+});
+
+test('reports token usage from response.done and ends the conversation over budget', async () => {
+  const session = createTestSession(jest.fn());
+  const reports = [];
+  const statuses = [];
+  session.on(SessionEvent.USAGE, report => reports.push(report));
+  session.on(SessionEvent.STATUS, status => statuses.push(status));
+  await session.start({
+    voice: 'verse',
+    deploymentName: 'gpt-4o-realtime-preview',
+    budgetUsd: 0.01,
+    tokenPrices: { 'gpt-4o-realtime-preview': { outputAudio: '100' } }
+  });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  // 85 audio tokens at $100 per million is 85% of the budget
+  const done = (audioTokens) => channel.receive({
+    type: 'response.done',
+    response: { status: 'completed', usage: { total_tokens: audioTokens, input_tokens: 0, output_tokens: audioTokens, output_token_details: { text_tokens: 0, audio_tokens: audioTokens } } }
+  });
+  done(85);
+  expect(reports[0]).toMatchObject({ response: { outputAudio: 85 }, session: { total: 85 }, budgetUsd: 0.01 });
+  expect(reports[0].cost.session).toBeCloseTo(0.0085);
+  expect(statuses[statuses.length - 1]).toEqual({ key: 'status.budgetWarning', params: { cost: '$0.0085', budget: '$0.01' } });
+  expect(session.state).toBe(SessionState.CONNECTED);
+
+  done(20);
+  expect(reports[1].session.total).toBe(105);
+  expect(session.state).toBe(SessionState.DISCONNECTED);
+  expect(statuses[statuses.length - 1]).toEqual({ key: 'status.budgetExceeded', params: {} });
+});
+
+test('emits deltas and completed assistant messages', async () => {
+  const session = createTestSession(jest.fn());
+  const deltas = [];
+  const done = [];
+  session.on(SessionEvent.DELTA, text => deltas.push(text));
+  session.on(SessionEvent.RESPONSE_DONE, ({ text }) => done.push(text));
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+
+  channel.receive({ type: 'response.output_text.delta', item_id: 'item-1', delta: 'Hel' });
+  channel.receive({ type: 'response.output_text.delta', item_id: 'item-1', delta: 'lo' });
+  channel.receive({ type: 'response.output_text.done', item_id: 'item-1', text: 'Hello' });
+  // The item completes again with the same text and must not be added twice
+  channel.receive({ type: 'response.output_item.done', item: { id: 'item-1', content: [{ type: 'text', text: 'Hello' }] } });
+
+  expect(deltas).toEqual(['Hel', 'lo']);
+  expect(done).toEqual(['Hello']);
+  expect(session.history).toEqual([{ sender: 'assistant', text: 'Hello' }]);
+  session.stop();
+});
+
+test('streams user and assistant bubbles keyed by item id and completes them in place', async () => {
+  const fetch = jest.fn().mockReturnValueOnce(jsonResponse(false));
+  const session = createTestSession(fetch);
+  const messages = [];
+  session.on(SessionEvent.MESSAGE, ({ id, sender, text, final }) => messages.push([id, sender, text, final]));
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'input_audio_buffer.committed', item_id: 'user-1' });
+  channel.receive({ type: 'conversation.item.input_audio_transcription.delta', item_id: 'user-1', delta: 'Hi ' });
+  channel.receive({ type: 'conversation.item.input_audio_transcription.delta', item_id: 'user-1', delta: 'there' });
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'user-1', transcript: 'Hi there.' });
+  await flush();
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-1' } });
+  channel.receive({ type: 'response.output_item.added', item: { id: 'asst-1', role: 'assistant' } });
+  channel.receive({ type: 'response.audio_transcript.delta', item_id: 'asst-1', delta: 'Hello!' });
+  channel.receive({ type: 'response.audio_transcript.done', item_id: 'asst-1', transcript: 'Hello!' });
+
+  expect(messages).toEqual([
+    ['user-1', 'user', '', false],
+    ['user-1', 'user', 'Hi ', false],
+    ['user-1', 'user', 'Hi there', false],
+    ['user-1', 'user', 'Hi there.', true],
+    ['asst-1', 'assistant', '', false],
+    ['asst-1', 'assistant', 'Hello!', false],
+    ['asst-1', 'assistant', 'Hello!', true]
+  ]);
+  session.stop();
+});
+
+test('drops the user bubble when nothing was transcribed', async () => {
+  const fetch = jest.fn();
+  const session = createTestSession(fetch);
+  const messages = [];
+  session.on(SessionEvent.MESSAGE, message => messages.push(message));
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'input_audio_buffer.committed', item_id: 'user-1' });
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'user-1', transcript: '  ' });
+
+  expect(messages[messages.length - 1]).toEqual({ id: 'user-1', sender: 'user', text: '', final: true });
+  expect(fetch).not.toHaveBeenCalled();
+  session.stop();
+});
+
+test('reconnects with a fresh session and replays the conversation after a drop', async () => {
+  const session = createTestSession(jest.fn(), { reconnect: { baseDelayMs: 0 } });
+  const statuses = [];
+  session.on(SessionEvent.STATUS, status => statuses.push(status));
+  await session.start({ voice: 'verse' });
+  const firstPeer = FakePeerConnection.last;
+  firstPeer.channel.open();
+  session.history = [{ sender: 'user', text: 'Who won in 2021?' }, { sender: 'assistant', text: 'Max Verstappen.' }];
+
+  firstPeer.channel.readyState = 'closed';
+  firstPeer.channel.onclose();
+  expect(session.state).toBe(SessionState.RECONNECTING);
+  expect(statuses).toContainEqual({ key: 'status.reconnecting', params: { attempt: 1 } });
+
+  await flush();
+  await flush();
+  const secondPeer = FakePeerConnection.last;
+  expect(secondPeer).not.toBe(firstPeer);
+  expect(session.api.createSession).toHaveBeenCalledTimes(2);
+  expect(session.state).toBe(SessionState.CONNECTED);
+
+  secondPeer.channel.open();
+  const replayed = secondPeer.channel.sent.filter(e => e.type === 'conversation.item.create');
+  expect(replayed.map(e => [e.item.role, e.item.content[0].text])).toEqual([
+    ['user', 'Who won in 2021?'],
+    ['assistant', 'Max Verstappen.']
+  ]);
+  session.stop();
+});
+
+test('seeds a new session with the history of a saved conversation', async () => {
+  const session = createTestSession(jest.fn());
+  const sessionIds = [];
+  session.on(SessionEvent.SESSION_CREATED, id => sessionIds.push(id));
+
+  await session.start({ voice: 'verse' }, {
+    history: [{ sender: 'user', text: 'Who won in 2016?', timestamp: '2026-01-01T00:00:00Z' }]
+  });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  expect(sessionIds).toEqual(['sess-1']);
+  expect(session.history).toEqual([{ sender: 'user', text: 'Who won in 2016?' }]);
+  const replayed = channel.sent.filter(e => e.type === 'conversation.item.create');
+  expect(replayed).toHaveLength(1);
+  session.stop();
+});
+
+test('records the call when enabled and hands over the recording on stop', async () => {
+  const blob = { size: 2048 };
+  const recorder = { start: jest.fn(), addStream: jest.fn(), stop: jest.fn().mockResolvedValue(blob) };
+  const session = createTestSession(jest.fn(), { createCallRecorder: () => recorder });
+  const recordings = [];
+  session.on(SessionEvent.CALL_RECORDING, recording => recordings.push(recording));
+
+  await session.start({ voice: 'verse', recordCall: true });
+  FakePeerConnection.last.listeners.track({ track: { kind: 'audio' } });
+
+  expect(recorder.start).toHaveBeenCalled();
+  expect(recorder.addStream).toHaveBeenCalledTimes(2); // microphone and assistant
+
+  session.stop();
+  await flush();
+  expect(recordings).toEqual([blob]);
+});
+
+const microphone = (label) => {
+  const track = { kind: 'audio', label, stop: jest.fn() };
+  return { track, stream: { getAudioTracks: () => [track], getTracks: () => [track] } };
+};
+
+test('switches the microphone mid-conversation and routes playback to the chosen speaker', async () => {
+  const builtIn = microphone('Built-in');
+  const usb = microphone('USB');
+  const audio = { sinkId: '', play: jest.fn(), pause() {}, setSinkId: jest.fn(async id => { audio.sinkId = id; }) };
+  const session = createTestSession(jest.fn(), { createAudioElement: () => audio });
+  session.mediaDevices.getUserMedia
+    .mockResolvedValueOnce(builtIn.stream)
+    .mockResolvedValueOnce(usb.stream);
+
+  await session.start({ voice: 'verse', outputDeviceId: 'headphones' });
+  const sender = FakePeerConnection.last.senders[0];
+  expect(sender.track).toBe(builtIn.track);
+
+  await session.setInputDevice('usb-mic');
+  expect(session.mediaDevices.getUserMedia).toHaveBeenLastCalledWith({
+    audio: expect.objectContaining({ deviceId: { exact: 'usb-mic' } })
+  });
+  expect(sender.replaceTrack).toHaveBeenCalledWith(usb.track);
+  expect(builtIn.track.stop).toHaveBeenCalled();
+  expect(session.audioStream).toBe(usb.stream);
+
+  // The assistant's audio plays on the selected speaker
+  FakePeerConnection.last.listeners.track({ track: { kind: 'audio' } });
+  await flush();
+  expect(audio.setSinkId).toHaveBeenCalledWith('headphones');
+  expect(audio.play).toHaveBeenCalled();
+
+  await session.setOutputDevice('');
+  expect(audio.setSinkId).toHaveBeenLastCalledWith('');
+  session.stop();
+});
+
+test('logs blocked playback and only plays the newest remote track', async () => {
+  const blocked = { play: jest.fn().mockRejectedValue(new Error('play() was not allowed')), pause() {} };
+  const replaced = { play: jest.fn(), pause() {} };
+  const newest = { play: jest.fn(), pause() {} };
+  const elements = [blocked, replaced, newest];
+  const session = createTestSession(jest.fn(), { createAudioElement: () => elements.shift() });
+  const logs = [];
+  session.on(SessionEvent.LOG, entry => logs.push(entry));
+  await session.start({ voice: 'verse' });
+
+  FakePeerConnection.last.listeners.track({ track: { kind: 'audio' } });
+  await flush();
+  expect(logs).toContainEqual(expect.objectContaining({
+    message: "❌ Could not play the assistant's audio: play() was not allowed",
+    source: 'audio'
+  }));
+
+  FakePeerConnection.last.listeners.track({ track: { kind: 'audio' } });
+  FakePeerConnection.last.listeners.track({ track: { kind: 'audio' } });
+  await flush();
+  expect(replaced.play).not.toHaveBeenCalled();
+  expect(newest.play).toHaveBeenCalled();
+  session.stop();
+});
+
+test('falls back to the default microphone when the selected one is gone', async () => {
+  const session = createTestSession(jest.fn());
+  session.mediaDevices.getUserMedia
+    .mockRejectedValueOnce(Object.assign(new Error('no such device'), { name: 'OverconstrainedError' }));
+
+  await session.start({ voice: 'verse', inputDeviceId: 'unplugged' });
+
+  expect(session.state).toBe(SessionState.CONNECTED);
+  expect(session.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+  expect(session.mediaDevices.getUserMedia.mock.calls[1][0].audio.deviceId).toBeUndefined();
+  session.stop();
+});
+
+test('gives up after the configured number of reconnect attempts', async () => {
+  const session = createTestSession(jest.fn(), { reconnect: { baseDelayMs: 0, maxAttempts: 2 } });
+  await session.start({ voice: 'verse' });
+  session.api.createSession.mockRejectedValue(new Error('offline'));
+
+  FakePeerConnection.last.iceConnectionState = 'failed';
+  FakePeerConnection.last.listeners.iceconnectionstatechange();
+  for (let i = 0; i < 6; i++) await flush();
+
+  expect(session.state).toBe(SessionState.FAILED);
+  expect(session.api.createSession).toHaveBeenCalledTimes(3);
+});
+
+test('ignores the channel closing when the user ends the conversation', async () => {
+  const session = createTestSession(jest.fn());
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+
+  session.stop();
+  channel.onclose();
+
+  expect(session.state).toBe(SessionState.DISCONNECTED);
+});
+
+test('push-to-talk disables server VAD and commits the buffer on release', async () => {
+  const session = createTestSession(jest.fn());
+  await session.start({ voice: 'verse', turnDetection: TurnDetection.PUSH_TO_TALK });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  expect(channel.sent[0].session.turn_detection).toBeNull();
+  expect(session.isRecording).toBe(false);
+
+  session.startTalking();
+  expect(session.isRecording).toBe(true);
+  session.sendAudioFrame(new Int16Array(2400));
+  session.stopTalking();
+
+  expect(session.isRecording).toBe(false);
+  expect(channel.sent.map(e => e.type).slice(-2)).toEqual(['input_audio_buffer.append', 'input_audio_buffer.commit']);
+  session.stop();
+});
+
+test('push-to-talk clears instead of committing when released too quickly', async () => {
+  const session = createTestSession(jest.fn());
+  await session.start({ voice: 'verse', turnDetection: TurnDetection.PUSH_TO_TALK });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  session.startTalking();
+  session.sendAudioFrame(new Int16Array(240));
+  session.stopTalking();
+
+  expect(channel.sent[channel.sent.length - 1].type).toBe('input_audio_buffer.clear');
+  session.stop();
+});
+
+test('text-only sessions skip the microphone and answer typed questions', async () => {
+  const fetch = jest.fn().mockReturnValueOnce(jsonResponse(false));
+  const session = createTestSession(fetch);
+  const done = [];
+  session.on(SessionEvent.RESPONSE_DONE, ({ text }) => done.push(text));
+  await session.start({ voice: 'verse', sessionMode: SessionMode.TEXT });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  expect(session.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  expect(channel.sent[0].session).toMatchObject({ modalities: ['text'], turn_detection: null });
+  expect(session.isRecording).toBe(false);
+
+  session.askQuestion('  Hello there  ');
+  await flush();
+
+  expect(fetch).toHaveBeenCalledWith('http://api/api/AzureOpenAI/classify-intent', expect.anything());
+  const item = channel.sent.find(e => e.type === 'conversation.item.create');
+  expect(item.item.content[0].text).toBe('Hello there');
+
+  channel.receive({ type: 'response.output_item.done', item: { content: [{ type: 'text', text: 'Hi!' }] } });
+  expect(done).toEqual(['Hi!']);
+  session.stop();
+});
+
+test('applies changed settings mid-conversation and keeps the ones that need a new session', async () => {
+  const session = createTestSession(jest.fn());
+  const logs = [];
+  session.on(SessionEvent.LOG, ({ message }) => logs.push(message));
+  const settings = { voice: 'verse', sessionMode: SessionMode.TEXT, queryMode: QueryMode.TOOLS, deploymentName: 'dep', apiVersion: '2025-04-01-preview' };
+  await session.start(settings);
+  expect(session.api.createSession).toHaveBeenCalledWith({ voice: 'verse', deploymentName: 'dep', apiVersion: '2025-04-01-preview' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+  channel.sent = [];
+
+  const pending = session.updateSettings({ ...settings, voice: 'coral', temperature: 1.1, queryMode: QueryMode.CLASSIFIER });
+
+  expect(pending).toEqual(['voice']);
+  expect(channel.sent).toHaveLength(1);
+  expect(channel.sent[0].session).toMatchObject({ temperature: 1.1, tools: [], tool_choice: 'none', instructions: 'Be helpful' });
+  expect(session.settings.voice).toBe('verse');
+  expect(logs).toContain('⚠️ voice will apply to the next conversation');
+
+  // Unchanged settings send nothing
+  session.updateSettings({ ...settings, voice: 'coral', temperature: 1.1, queryMode: QueryMode.CLASSIFIER });
+  expect(channel.sent).toHaveLength(1);
+  session.stop();
+});
+
+test('barge-in cancels the response, mutes playback and truncates the assistant item', async () => {
+  let clock = 1000;
+  const audio = { play() {}, pause() {} };
+  const session = createTestSession(jest.fn(), { now: () => clock, createAudioElement: () => audio });
+  const interrupted = [];
+  const done = [];
+  session.on(SessionEvent.INTERRUPTED, ({ text }) => interrupted.push(text));
+  session.on(SessionEvent.RESPONSE_DONE, ({ text }) => done.push(text));
+  await session.start({ voice: 'verse' });
+  const peer = FakePeerConnection.last;
+  peer.listeners.track({ track: { kind: 'audio' } });
+  const channel = peer.channel;
+  channel.open();
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-1' } });
+  channel.receive({ type: 'response.output_item.added', item: { id: 'item-1', role: 'assistant' } });
+  channel.receive({ type: 'response.audio_transcript.delta', item_id: 'item-1', delta: 'Lewis Hamilton won ' });
+  clock = 2250;
+  channel.receive({ type: 'input_audio_buffer.speech_started' });
+
+  expect(audio.muted).toBe(true);
+  const sent = channel.sent.slice(-2);
+  expect(sent[0]).toEqual({ type: 'response.cancel' });
+  expect(sent[1]).toEqual({ type: 'conversation.item.truncate', item_id: 'item-1', content_index: 0, audio_end_ms: 1250 });
+  expect(interrupted).toEqual(['Lewis Hamilton won ']);
+
+  // The cancelled item still completes on the server but must not be added twice
+  channel.receive({ type: 'response.output_item.done', item: { id: 'item-1', status: 'incomplete', content: [{ transcript: 'Lewis Hamilton won seven titles.' }] } });
+  channel.receive({ type: 'response.done' });
+  expect(done).toEqual([]);
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-2' } });
+  expect(audio.muted).toBe(false);
+  session.stop();
+});
+
+test('captures the audio of each answer for replay until its playback stops', async () => {
+  class FakeRecorder {
+    start() {}
+    stop() {
+      this.ondataavailable({ data: new Blob(['clip']) });
+      this.onstop();
+    }
+  }
+  const playback = new AudioPlayback({ createAudioElement: () => ({ play() {}, pause() {} }), MediaRecorder: FakeRecorder });
+  const session = createTestSession(jest.fn(), {
+    playback,
+    MediaStream: class { getAudioTracks() { return [{ kind: 'audio' }]; } }
+  });
+  const clips = [];
+  session.on(SessionEvent.RESPONSE_AUDIO, clip => clips.push(clip));
+  await session.start({ voice: 'verse' });
+  const peer = FakePeerConnection.last;
+  peer.listeners.track({ track: { kind: 'audio' } });
+  const channel = peer.channel;
+  channel.open();
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-1' } });
+  channel.receive({ type: 'response.output_item.added', item: { id: 'item-1', role: 'assistant' } });
+  channel.receive({ type: 'output_audio_buffer.started', response_id: 'resp-1' });
+  channel.receive({ type: 'response.done', response: { id: 'resp-1', status: 'completed' } });
+  await flush();
+  expect(clips).toEqual([]);
+
+  channel.receive({ type: 'output_audio_buffer.stopped', response_id: 'resp-1' });
+  await flush();
+  expect(clips).toEqual([{ id: 'item-1', blob: expect.objectContaining({ size: 4 }) }]);
+
+  session.stop();
+  expect(playback.live).toBeNull();
+});
+
+test('truncates from the playback start the server reported, even when it came before the item', async () => {
+  let clock = 1000;
+  const session = createTestSession(jest.fn(), { now: () => clock });
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-1' } });
+  channel.receive({ type: 'output_audio_buffer.started', response_id: 'resp-1' });
+  clock = 1300;
+  channel.receive({ type: 'response.output_item.added', item: { id: 'item-1', role: 'assistant' } });
+  clock = 2000;
+  channel.receive({ type: 'input_audio_buffer.speech_started' });
+
+  expect(channel.sent.find(e => e.type === 'conversation.item.truncate')).toMatchObject({ item_id: 'item-1', audio_end_ms: 1000 });
+  session.stop();
+});
+
+test('speech without an active response does not cancel anything', async () => {
+  const session = createTestSession(jest.fn());
+  await session.start({ voice: 'verse' });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+  const sentBefore = channel.sent.length;
+
+  channel.receive({ type: 'input_audio_buffer.speech_started' });
+
+  expect(channel.sent).toHaveLength(sentBefore);
+  session.stop();
+});
+
+test('in tools mode the model calls query_f1_statistics and gets the rows back as the call output', async () => {
+  const fetch = jest.fn().mockReturnValueOnce(jsonResponse({
+    records: [{ Driver: 'Max Verstappen', Wins: 19 }],
+    rewrittenQuery: 'Which driver won the most races in 2023?',
+    sql: 'SELECT TOP 1 Driver, Wins FROM F1Records',
+    attempts: 1
+  }));
+  const session = createTestSession(fetch);
+  const done = [];
+  session.on(SessionEvent.RESPONSE_DONE, message => done.push(message));
+  await session.start({ voice: 'verse', queryMode: QueryMode.TOOLS });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  expect(channel.sent[0].session).toMatchObject({
+    tools: [{ type: 'function', ...QUERY_TOOL }],
+    tool_choice: 'auto',
+    turn_detection: { create_response: true }
+  });
+
+  // Spoken turns are answered by the server, no classification round trip
+  channel.receive({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'user-1', transcript: 'Who won most in 2023?' });
+  await flush();
+  expect(fetch).not.toHaveBeenCalled();
+
+  channel.receive({
+    type: 'response.function_call_arguments.done',
+    call_id: 'call-1',
+    name: 'query_f1_statistics',
+    arguments: JSON.stringify({ question: 'Who won the most races in 2023?' })
+  });
+  await flush();
+
+  expect(fetch).toHaveBeenCalledWith('http://api/api/AzureOpenAI/query', expect.objectContaining({
+    body: expect.stringContaining('"query":"Who won the most races in 2023?"')
+  }));
+  const [output, create] = channel.sent.slice(-2);
+  expect(output.item).toMatchObject({ type: 'function_call_output', call_id: 'call-1' });
+  expect(JSON.parse(output.item.output)).toMatchObject({ rowCount: 1, results: expect.stringContaining('| Max Verstappen | 19 |') });
+  expect(create).toEqual({ type: 'response.create' });
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-2' } });
+  channel.receive({ type: 'response.output_item.done', item: { id: 'item-2', content: [{ transcript: 'Max won 19 races.' }] } });
+  expect(done[0]).toMatchObject({
+    text: 'Max won 19 races.',
+    records: [{ Driver: 'Max Verstappen', Wins: 19 }],
+    query: { question: 'Who won the most races in 2023?', intent: 'tool', sql: 'SELECT TOP 1 Driver, Wins FROM F1Records' }
+  });
+  session.stop();
+});
+
+test('the statistics tool waits longer than the /query retries can take', () => {
+  const session = createTestSession(jest.fn());
+  expect(session.tools.tools.get('query_f1_statistics').timeoutMs).toBeGreaterThan(QUERY_TOTAL_MS);
+});
+
+test('reports tool failures back to the model instead of leaving the call unanswered', async () => {
+  const fetch = jest.fn().mockResolvedValue({ ok: false, status: 500, text: async () => 'Internal error' });
+  const session = createTestSession(fetch);
+  await session.start({ voice: 'verse', queryMode: QueryMode.TOOLS, sessionMode: SessionMode.TEXT });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'response.function_call_arguments.done', call_id: 'call-1', name: 'query_f1_statistics', arguments: '{"question":"Who won?"}' });
+  await flush();
+  channel.receive({ type: 'response.function_call_arguments.done', call_id: 'call-2', name: 'order_pizza', arguments: '{}' });
+  await flush();
+
+  const outputs = channel.sent.filter(e => e.item?.type === 'function_call_output');
+  expect(outputs.map(e => [e.item.call_id, JSON.parse(e.item.output).error])).toEqual([
+    ['call-1', 'The statistics database could not answer this question.'],
+    ['call-2', 'Unknown tool order_pizza']
+  ]);
+  session.stop();
+});
+
+test('runs parallel tool calls and asks for one response once the calling response is done', async () => {
+  const session = createTestSession(jest.fn());
+  const logs = [];
+  session.on(SessionEvent.LOG, ({ message }) => logs.push(message));
+  let finishSlowTool;
+  session.tools.register({
+    name: 'slow_tool',
+    description: 'Takes a while',
+    handler: () => new Promise(resolve => { finishSlowTool = resolve; })
+  });
+  session.tools.register({ name: 'fast_tool', description: 'Answers at once', handler: async () => 'fast' });
+  await session.start({ voice: 'verse', queryMode: QueryMode.TOOLS, sessionMode: SessionMode.TEXT });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+  expect(channel.sent[0].session.tools.map(t => t.name)).toEqual(['query_f1_statistics', 'slow_tool', 'fast_tool']);
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-1' } });
+  channel.receive({ type: 'response.function_call_arguments.done', call_id: 'call-1', name: 'slow_tool', arguments: '{}' });
+  channel.receive({ type: 'response.function_call_arguments.done', call_id: 'call-2', name: 'fast_tool', arguments: '{}' });
+  channel.receive({ type: 'response.done', response: { id: 'resp-1' } });
+  await flush();
+
+  const creates = () => channel.sent.filter(e => e.type === 'response.create');
+  expect(channel.sent.filter(e => e.item?.type === 'function_call_output').map(e => e.item.call_id)).toEqual(['call-2']);
+  expect(creates()).toHaveLength(0);
+
+  finishSlowTool({ done: true });
+  await flush();
+  expect(channel.sent.filter(e => e.item?.type === 'function_call_output').map(e => e.item.call_id)).toEqual(['call-2', 'call-1']);
+  expect(creates()).toHaveLength(1);
+  expect(logs.filter(line => line.startsWith('🔧'))).toEqual([
+    expect.stringMatching(/^🔧 fast_tool\(\{\}\) ✅ \d+ ms$/),
+    expect.stringMatching(/^🔧 slow_tool\(\{\}\) ✅ \d+ ms$/)
+  ]);
+  session.stop();
+});
+
+test('answers a tool call aborted by a newer question with a cancelled output', async () => {
+  const session = createTestSession(jest.fn());
+  session.tools.register({
+    name: 'slow_tool',
+    description: 'Runs until it is aborted',
+    handler: (args, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    })
+  });
+  await session.start({ voice: 'verse', queryMode: QueryMode.TOOLS });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  channel.receive({ type: 'response.created', response: { id: 'resp-1' } });
+  channel.receive({ type: 'response.function_call_arguments.done', call_id: 'call-1', name: 'slow_tool', arguments: '{}' });
+  channel.receive({ type: 'response.done', response: { id: 'resp-1' } });
+  await flush();
+  expect(channel.sent.filter(e => e.item?.type === 'function_call_output')).toHaveLength(0);
+
+  // The user asks something else while the tool is still running
+  channel.receive({ type: 'input_audio_buffer.speech_stopped' });
+  await flush();
+
+  const outputs = channel.sent.filter(e => e.item?.type === 'function_call_output');
+  expect(outputs.map(e => [e.item.call_id, JSON.parse(e.item.output)])).toEqual([
+    ['call-1', { error: 'cancelled, a newer question was asked' }]
+  ]);
+  expect(channel.sent.filter(e => e.type === 'response.create')).toHaveLength(0);
+  session.stop();
+});
+
+test('offers tools registered mid-conversation to the model', async () => {
+  const session = createTestSession(jest.fn());
+  await session.start({ voice: 'verse', queryMode: QueryMode.TOOLS, sessionMode: SessionMode.TEXT });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  const unregister = session.tools.register({ name: 'show_chart', description: 'Shows a chart', handler: async () => null });
+  unregister();
+
+  const updates = channel.sent.filter(e => e.type === 'session.update').slice(1);
+  expect(updates.map(e => e.session.tools.map(t => t.name))).toEqual([
+    ['query_f1_statistics', 'show_chart'],
+    ['query_f1_statistics']
+  ]);
+  session.stop();
+});
+
+test('typed questions in tools mode go straight to the model', async () => {
+  const fetch = jest.fn();
+  const session = createTestSession(fetch);
+  await session.start({ voice: 'verse', queryMode: QueryMode.TOOLS, sessionMode: SessionMode.TEXT });
+  const channel = FakePeerConnection.last.channel;
+  channel.open();
+
+  session.askQuestion('Who won in 2021?');
+  await flush();
+
+  expect(fetch).not.toHaveBeenCalled();
+  expect(channel.sent.slice(-2)).toEqual([
+    { type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Who won in 2021?' }] } },
+    { type: 'response.create' }
+  ]);
+  session.stop();
+});
+
+test('builds server VAD turn detection from the settings', () => {
+  expect(buildTurnDetection({ vadThreshold: '0.8', vadSilenceDurationMs: 900 })).toEqual({
+    type: 'server_vad',
+    threshold: 0.8,
+    prefix_padding_ms: 500,
+    silence_duration_ms: 900,
+    create_response: false
+  });
+});
+
+test('builds the session configuration from the settings', () => {
+  expect(buildSessionConfig(
+    { sessionMode: SessionMode.VOICE, queryMode: QueryMode.TOOLS, transcriptionModel: 'gpt-4o-transcribe', temperature: '0.7', maxResponseOutputTokens: '300' },
+    { systemPrompt: 'Be helpful', tools: [{ type: 'function', name: 'a' }] }
+  )).toEqual({
+    instructions: 'Be helpful',
+    modalities: ['audio', 'text'],
+    input_audio_transcription: { model: 'gpt-4o-transcribe', language: 'en', prompt: expect.stringContaining('pole position') },
+    turn_detection: expect.objectContaining({ type: 'server_vad', create_response: true }),
+    temperature: 0.7,
+    max_response_output_tokens: 300,
+    tools: [{ type: 'function', name: 'a' }],
+    tool_choice: 'auto'
+  });
+
+  expect(buildSessionConfig({ instructions: ' Answer in haiku ', sessionMode: SessionMode.TEXT }, { systemPrompt: 'Be helpful' }))
+    .toMatchObject({ instructions: 'Answer in haiku', modalities: ['text'], max_response_output_tokens: 'inf', tools: [], tool_choice: 'none' });
+
+  const german = buildSessionConfig({ language: 'de', transcriptionModel: 'whisper-1' }, { systemPrompt: 'Be helpful' });
+  expect(german.instructions).toBe('Be helpful\n\nAlways answer in German, even when the data or earlier messages are in another language. Keep the names of drivers, teams and circuits as they are.');
+  expect(german.input_audio_transcription).toEqual({ model: 'whisper-1', language: 'de', prompt: expect.stringContaining('Großer Preis') });
+});
+
+test('formats empty results for the LLM', () => {
+  expect(formatSqlResultsForLLM([])).toBe('No data found in the database for this query.');
+});
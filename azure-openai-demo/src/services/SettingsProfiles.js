@@ -0,0 +1,204 @@
+// src/services/SettingsProfiles.js
+// The settings schema, validation and named profiles kept in localStorage.
+import { isValidBaseUrl } from './ApiService';
+import { DEFAULT_PROMPT_VARIABLES } from './PromptTemplates';
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES } from './Languages';
+import { translate } from '../i18n';
+
+export const SETTINGS_KEY = 'azureOpenAISettings';
+export const PROFILES_KEY = 'azureOpenAISettingsProfiles';
+
+// Voices the realtime models offer
+export const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+// The regions that serve realtime WebRTC calls
+export const REGIONS = [
+  { value: 'eastus2', label: 'East US 2' },
+  { value: 'swedencentral', label: 'Sweden Central' }
+];
+
+export const TRANSCRIPTION_MODELS = ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe'];
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  language: DEFAULT_LANGUAGE,   // spoken, answered and shown in the UI
+  voice: 'verse',
+  region: 'eastus2',
+  apiBaseUrl: '',
+  deploymentName: 'gpt-4o-mini-realtime-preview',
+  apiVersion: '2025-04-01-preview',
+  sessionMode: 'voice',
+  recordCall: false,
+  turnDetection: 'server_vad',
+  queryMode: 'tools',
+  inputDeviceId: '',
+  outputDeviceId: '',
+  instructions: '',             // prompt template, empty uses the system prompt from the backend
+  promptVariables: DEFAULT_PROMPT_VARIABLES,
+  transcriptionModel: 'whisper-1',
+  temperature: 0.8,
+  maxResponseOutputTokens: '',  // empty means no limit
+  vadThreshold: 0.6,
+  vadPrefixPaddingMs: 500,
+  vadSilenceDurationMs: 1200,
+  budgetUsd: '',
+  tokenPrices: {}
+});
+
+// One rule per setting. Numbers also accept numeric strings, as form inputs produce
+// them; optional fields may be empty. check returns the i18n key of the problem, or null.
+export const SETTINGS_SCHEMA = Object.freeze({
+  language: { type: 'string', enum: LANGUAGE_CODES },
+  voice: { type: 'string', enum: VOICES },
+  region: { type: 'string', enum: REGIONS.map(r => r.value) },
+  apiBaseUrl: { type: 'string', optional: true, check: url => (isValidBaseUrl(url) ? null : 'validation.url') },
+  deploymentName: { type: 'string', check: name => (name.trim() ? null : 'validation.deploymentName') },
+  apiVersion: { type: 'string', check: version => (/^\d{4}-\d{2}-\d{2}(-preview)?$/.test(version) ? null : 'validation.apiVersion') },
+  sessionMode: { type: 'string', enum: ['voice', 'text'] },
+  recordCall: { type: 'boolean' },
+  turnDetection: { type: 'string', enum: ['server_vad', 'push_to_talk'] },
+  queryMode: { type: 'string', enum: ['tools', 'classifier'] },
+  inputDeviceId: { type: 'string', optional: true },
+  outputDeviceId: { type: 'string', optional: true },
+  instructions: { type: 'string', optional: true },
+  promptVariables: { type: 'object' },
+  transcriptionModel: { type: 'string', enum: TRANSCRIPTION_MODELS },
+  temperature: { type: 'number', min: 0.6, max: 1.2 },
+  maxResponseOutputTokens: { type: 'integer', min: 1, max: 4096, optional: true },
+  vadThreshold: { type: 'number', min: 0, max: 1 },
+  vadPrefixPaddingMs: { type: 'integer', min: 0, max: 5000 },
+  vadSilenceDurationMs: { type: 'integer', min: 100, max: 10000 },
+  budgetUsd: { type: 'number', min: 0, optional: true },
+  tokenPrices: { type: 'object' }
+});
+
+// Device ids only mean something on the machine they were picked on
+const LOCAL_FIELDS = ['inputDeviceId', 'outputDeviceId'];
+
+const isEmpty = (value) => value === '' || value === null || value === undefined;
+
+// Problems are { key, params } with an i18n key under validation.*, so they can
+// be shown in the language of the UI
+const problem = (key, params = {}) => ({ key, params });
+
+const checkField = (rule, value) => {
+  if (isEmpty(value)) return rule.optional ? null : problem('validation.required');
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    const number = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(number)) return problem('validation.number');
+    if (rule.type === 'integer' && !Number.isInteger(number)) return problem('validation.integer');
+    if (rule.min !== undefined && number < rule.min) return problem('validation.min', { min: rule.min });
+    if (rule.max !== undefined && number > rule.max) return problem('validation.max', { max: rule.max });
+    return null;
+  }
+  if (rule.type === 'object') {
+    return typeof value === 'object' && !Array.isArray(value) ? null : problem('validation.object');
+  }
+  if (typeof value !== rule.type) return problem('validation.type', { type: rule.type });
+  if (rule.enum && !rule.enum.includes(value)) return problem('validation.enum', { values: rule.enum.join(', ') });
+  const key = rule.check ? rule.check(value) : null;
+  return key ? problem(key) : null;
+};
+
+// The English text of a problem, for logs and error messages
+export const describeProblem = ({ key, params }) => translate(DEFAULT_LANGUAGE, key, params);
+
+// Returns { [field]: { key, params } } for the invalid fields; empty when all are valid
+export const validateSettings = (settings) => {
+  const errors = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([field, rule]) => {
+    const error = checkField(rule, settings[field]);
+    if (error) errors[field] = error;
+  });
+  return errors;
+};
+
+// Numbers as numbers, optional empty numbers as '', and unknown fields dropped
+export const normalizeSettings = (settings) => {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([field, rule]) => {
+    const value = merged[field];
+    if ((rule.type === 'number' || rule.type === 'integer') && !isEmpty(value)) return [field, Number(value)];
+    if (typeof value === 'string' && rule.type === 'string') return [field, value.trim()];
+    return [field, value];
+  }));
+};
+
+// The settings saved under SETTINGS_KEY, normalized, with every missing or
+// invalid field (say from an older version or a hand edit) back at its default
+export const loadSettings = (storage = window.localStorage) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(SETTINGS_KEY) || '{}');
+  } catch {
+    // Unreadable settings are replaced on the next save
+  }
+  const settings = normalizeSettings(saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {});
+  Object.keys(validateSettings(settings)).forEach(field => {
+    settings[field] = DEFAULT_SETTINGS[field];
+  });
+  return settings;
+};
+
+/**
+ * Named settings profiles. They are stored as { active, profiles: { [name]: settings } }
+ * under PROFILES_KEY; the settings in use stay under SETTINGS_KEY.
+ */
+export const loadProfiles = (storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(PROFILES_KEY) || 'null');
+    if (stored?.profiles && typeof stored.profiles === 'object') {
+      return { active: stored.active ?? null, profiles: stored.profiles };
+    }
+  } catch {
+    // Unreadable profiles are replaced on the next save
+  }
+  return { active: null, profiles: {} };
+};
+
+export const saveProfiles = (state, storage = window.localStorage) => {
+  storage.setItem(PROFILES_KEY, JSON.stringify(state));
+};
+
+export const profileSettings = (settings) => {
+  const profile = normalizeSettings(settings);
+  LOCAL_FIELDS.forEach(field => delete profile[field]);
+  return profile;
+};
+
+// "Name copy", "Name copy 2", ... whichever is free
+export const copyName = (name, profiles) => {
+  let candidate = `${name} copy`;
+  for (let n = 2; profiles[candidate]; n++) candidate = `${name} copy ${n}`;
+  return candidate;
+};
+
+const EXPORT_FORMAT = 'azure-openai-demo/settings-profile';
+const EXPORT_VERSION = 1;
+
+export const profileToJson = (name, settings) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  name,
+  settings: profileSettings(settings)
+}, null, 2);
+
+// Returns { name, settings } or throws with every problem found in the file
+export const parseProfileJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== EXPORT_FORMAT) throw new Error('The file is not a settings profile export');
+  if (data.version !== EXPORT_VERSION) throw new Error(`Unsupported profile version ${data.version}`);
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('The profile has no name');
+  if (!data.settings || typeof data.settings !== 'object') throw new Error('The profile has no settings');
+
+  // Settings added after the export was made get their defaults
+  const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+  const problems = Object.entries(validateSettings(settings)).map(([field, error]) => `${field}: ${describeProblem(error)}`);
+  if (problems.length > 0) throw new Error(`Invalid settings – ${problems.join('; ')}`);
+  return { name: data.name.trim(), settings: profileSettings(settings) };
+};
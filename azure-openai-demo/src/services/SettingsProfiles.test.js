@@ -0,0 +1,95 @@
+import {
+  DEFAULT_SETTINGS,
+  validateSettings,
+  describeProblem,
+  normalizeSettings,
+  loadSettings,
+  loadProfiles,
+  saveProfiles,
+  copyName,
+  profileToJson,
+  parseProfileJson,
+  PROFILES_KEY,
+  SETTINGS_KEY
+} from './SettingsProfiles';
+
+test('accepts the defaults and reports every invalid field', () => {
+  expect(validateSettings(DEFAULT_SETTINGS)).toEqual({});
+
+  expect(validateSettings({
+    ...DEFAULT_SETTINGS,
+    voice: 'robot',
+    apiBaseUrl: 'localhost:7254',
+    apiVersion: 'latest',
+    temperature: '2',
+    vadPrefixPaddingMs: '12.5',
+    budgetUsd: 'lots',
+    deploymentName: ' '
+  })).toEqual({
+    voice: { key: 'validation.enum', params: { values: expect.stringContaining('alloy, ash') } },
+    apiBaseUrl: { key: 'validation.url', params: {} },
+    apiVersion: { key: 'validation.apiVersion', params: {} },
+    temperature: { key: 'validation.max', params: { max: 1.2 } },
+    vadPrefixPaddingMs: { key: 'validation.integer', params: {} },
+    budgetUsd: { key: 'validation.number', params: {} },
+    deploymentName: { key: 'validation.deploymentName', params: {} }
+  });
+  expect(describeProblem({ key: 'validation.max', params: { max: 1.2 } })).toBe('Must be at most 1.2');
+});
+
+test('normalizes form values and drops unknown fields', () => {
+  const settings = normalizeSettings({ vadThreshold: '0.4', maxResponseOutputTokens: '', deploymentName: ' dep ', legacy: true });
+
+  expect(settings).toMatchObject({ vadThreshold: 0.4, maxResponseOutputTokens: '', deploymentName: 'dep', voice: 'verse' });
+  expect(settings).not.toHaveProperty('legacy');
+});
+
+test('loads saved settings with invalid fields back at their defaults', () => {
+  const storage = new Map();
+  const fakeStorage = { getItem: key => storage.get(key) ?? null };
+  expect(loadSettings(fakeStorage)).toEqual(DEFAULT_SETTINGS);
+
+  storage.set(SETTINGS_KEY, JSON.stringify({ voice: 'coral', temperature: '1.1', vadThreshold: 7, region: 'mars', apiVersion: 'latest', inputDeviceId: 'mic-2' }));
+  expect(loadSettings(fakeStorage)).toEqual({
+    ...DEFAULT_SETTINGS,
+    voice: 'coral',
+    temperature: 1.1,
+    inputDeviceId: 'mic-2'
+  });
+
+  storage.set(SETTINGS_KEY, '{not json');
+  expect(loadSettings(fakeStorage)).toEqual(DEFAULT_SETTINGS);
+});
+
+test('round-trips a profile through JSON without the device ids', () => {
+  const settings = { ...DEFAULT_SETTINGS, voice: 'coral', inputDeviceId: 'mic-2', temperature: 1 };
+
+  const imported = parseProfileJson(profileToJson('Demo booth', settings));
+
+  expect(imported.name).toBe('Demo booth');
+  expect(imported.settings).toMatchObject({ voice: 'coral', temperature: 1 });
+  expect(imported.settings).not.toHaveProperty('inputDeviceId');
+});
+
+test('rejects files that are not valid profiles', () => {
+  expect(() => parseProfileJson('{')).toThrow('The file is not valid JSON');
+  expect(() => parseProfileJson('{"name":"x"}')).toThrow('The file is not a settings profile export');
+
+  const invalid = JSON.parse(profileToJson('Broken', DEFAULT_SETTINGS));
+  invalid.settings.region = 'mars';
+  invalid.settings.vadThreshold = 3;
+  expect(() => parseProfileJson(JSON.stringify(invalid)))
+    .toThrow('Invalid settings – region: Must be one of eastus2, swedencentral; vadThreshold: Must be at most 1');
+});
+
+test('stores profiles and picks free names for copies', () => {
+  const storage = new Map();
+  const fakeStorage = { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) };
+  expect(loadProfiles(fakeStorage)).toEqual({ active: null, profiles: {} });
+
+  saveProfiles({ active: 'A', profiles: { A: DEFAULT_SETTINGS } }, fakeStorage);
+  expect(JSON.parse(storage.get(PROFILES_KEY)).active).toBe('A');
+  expect(loadProfiles(fakeStorage).profiles.A).toEqual(DEFAULT_SETTINGS);
+
+  expect(copyName('A', { A: {}, 'A copy': {} })).toBe('A copy 2');
+});
@@ -0,0 +1,153 @@
+// src/services/ToolRegistry.js
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+// Checks the top-level arguments against the tool's JSON schema: required
+// properties, primitive types and enums. Returns an error message or null.
+export const validateArguments = (args, schema = {}) => {
+  if (typeOf(args) !== 'object') return 'Arguments must be a JSON object';
+
+  const missing = (schema.required || []).find(name => args[name] === undefined);
+  if (missing) return `Missing required argument "${missing}"`;
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = args[name];
+    if (value === undefined) continue;
+    if (property.type && !matchesType(value, property.type)) {
+      return `Argument "${name}" must be of type ${property.type}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `Argument "${name}" must be one of ${property.enum.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Functions the realtime model can call. A tool is declared as
+ * { name, description, parameters, handler, timeoutMs? } where parameters is a
+ * JSON schema and handler(args, context) is async and returns a JSON-serializable
+ * result. context holds the callId, an AbortSignal that fires on timeout or when
+ * the caller's context.signal aborts, and attach(details) to add data to the
+ * assistant message that answers the call.
+ */
+class ToolRegistry {
+  constructor({ timeoutMs = 15000, now = () => Date.now() } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.now = now;
+    this.tools = new Map();
+    this.listeners = [];
+  }
+
+  // Returns a function that unregisters the tool again
+  register(tool) {
+    const { name, description, parameters, handler } = tool;
+    if (!NAME_PATTERN.test(name || '')) throw new Error(`Invalid tool name "${name}"`);
+    if (typeof handler !== 'function') throw new Error(`Tool ${name} needs a handler`);
+    if (!description) throw new Error(`Tool ${name} needs a description`);
+    if (parameters && parameters.type !== 'object') throw new Error(`Tool ${name} parameters must be an object schema`);
+
+    this.tools.set(name, tool);
+    this.notify();
+    return () => this.unregister(name, tool);
+  }
+
+  // Only removes the tool if it is still the registered one
+  unregister(name, tool = this.tools.get(name)) {
+    if (!tool || this.tools.get(name) !== tool) return;
+    this.tools.delete(name);
+    this.notify();
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  // Called with the new definitions whenever tools are added or removed
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify() {
+    const definitions = this.definitions();
+    this.listeners.forEach(listener => listener(definitions));
+  }
+
+  // The session.update tools block
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Runs a function call from the model. Never throws: failures come back as
+   * { ok: false, error } so they can be reported to the model.
+   * Resolves with { ok, output?, error?, args, durationMs }.
+   */
+  async invoke(name, rawArguments, context = {}) {
+    const startedAt = this.now();
+    const finish = (result) => ({ ...result, durationMs: this.now() - startedAt });
+
+    const tool = this.tools.get(name);
+    if (!tool) return finish({ ok: false, error: `Unknown tool ${name}`, args: null });
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch {
+      return finish({ ok: false, error: 'Arguments are not valid JSON', args: null });
+    }
+
+    const invalid = validateArguments(args, tool.parameters);
+    if (invalid) return finish({ ok: false, error: invalid, args });
+
+    const timeoutMs = tool.timeoutMs ?? this.timeoutMs;
+    const controller = new AbortController();
+    let timer;
+    let cancel;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`${name} timed out after ${timeoutMs} ms`));
+      }, timeoutMs);
+      cancel = () => {
+        controller.abort();
+        reject(new Error(`${name} was cancelled`));
+      };
+    });
+    if (context.signal?.aborted) cancel();
+    context.signal?.addEventListener('abort', cancel);
+
+    try {
+      const output = await Promise.race([
+        Promise.resolve().then(() => tool.handler(args, { ...context, signal: controller.signal })),
+        timeout
+      ]);
+      return finish({ ok: true, output: output ?? null, args });
+    } catch (err) {
+      return finish({ ok: false, error: err.message || String(err), args });
+    } finally {
+      clearTimeout(timer);
+      context.signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+export default ToolRegistry;
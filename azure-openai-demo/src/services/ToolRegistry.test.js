@@ -0,0 +1,112 @@
+import ToolRegistry, { validateArguments } from './ToolRegistry';
+
+const schema = {
+  type: 'object',
+  properties: {
+    value: { type: 'number' },
+    unit: { type: 'string', enum: ['km', 'mi'] }
+  },
+  required: ['value']
+};
+
+test('builds session.update tool definitions without the handlers', () => {
+  const registry = new ToolRegistry();
+  registry.register({ name: 'convert', description: 'Converts', parameters: schema, handler: async () => 1 });
+  registry.register({ name: 'ping', description: 'No arguments', handler: async () => 'pong' });
+
+  expect(registry.definitions()).toEqual([
+    { type: 'function', name: 'convert', description: 'Converts', parameters: schema },
+    { type: 'function', name: 'ping', description: 'No arguments', parameters: { type: 'object', properties: {} } }
+  ]);
+});
+
+test('rejects tools that cannot be offered to the model', () => {
+  const registry = new ToolRegistry();
+  expect(() => registry.register({ name: 'has spaces', description: 'x', handler: () => {} })).toThrow('Invalid tool name');
+  expect(() => registry.register({ name: 'no_handler', description: 'x' })).toThrow('needs a handler');
+  expect(() => registry.register({ name: 'no_description', handler: () => {} })).toThrow('needs a description');
+});
+
+test('invokes the handler with parsed arguments and a context', async () => {
+  const handler = jest.fn().mockResolvedValue({ value: 62.137 });
+  const registry = new ToolRegistry();
+  registry.register({ name: 'convert', description: 'Converts', parameters: schema, handler });
+
+  const result = await registry.invoke('convert', '{"value":100,"unit":"mi"}', { callId: 'call-1' });
+
+  expect(result).toMatchObject({ ok: true, output: { value: 62.137 }, args: { value: 100, unit: 'mi' } });
+  expect(handler).toHaveBeenCalledWith({ value: 100, unit: 'mi' }, expect.objectContaining({ callId: 'call-1', signal: expect.any(AbortSignal) }));
+});
+
+test('reports unknown tools, bad arguments and handler errors instead of throwing', async () => {
+  const registry = new ToolRegistry();
+  registry.register({
+    name: 'convert',
+    description: 'Converts',
+    parameters: schema,
+    handler: async () => { throw new Error('Cannot convert'); }
+  });
+
+  expect((await registry.invoke('missing', '{}')).error).toBe('Unknown tool missing');
+  expect((await registry.invoke('convert', '{value')).error).toBe('Arguments are not valid JSON');
+  expect((await registry.invoke('convert', '{"unit":"km"}')).error).toBe('Missing required argument "value"');
+  expect((await registry.invoke('convert', '{"value":1}')).error).toBe('Cannot convert');
+});
+
+test('times out slow handlers and aborts their signal', async () => {
+  let signal;
+  const registry = new ToolRegistry();
+  registry.register({
+    name: 'slow',
+    description: 'Never finishes',
+    timeoutMs: 10,
+    handler: (args, context) => {
+      signal = context.signal;
+      return new Promise(() => {});
+    }
+  });
+
+  const result = await registry.invoke('slow', '');
+
+  expect(result).toMatchObject({ ok: false, error: 'slow timed out after 10 ms' });
+  expect(signal.aborted).toBe(true);
+});
+
+test('cancels the handler when the caller aborts', async () => {
+  let signal;
+  const registry = new ToolRegistry();
+  registry.register({
+    name: 'slow',
+    description: 'Never finishes',
+    handler: (args, context) => {
+      signal = context.signal;
+      return new Promise(() => {});
+    }
+  });
+  const controller = new AbortController();
+
+  const pending = registry.invoke('slow', '', { signal: controller.signal });
+  controller.abort();
+
+  expect(await pending).toMatchObject({ ok: false, error: 'slow was cancelled' });
+  expect(signal.aborted).toBe(true);
+});
+
+test('notifies listeners when tools change', () => {
+  const registry = new ToolRegistry();
+  const changes = [];
+  registry.onChange(tools => changes.push(tools.map(t => t.name)));
+
+  const unregister = registry.register({ name: 'a', description: 'A', handler: () => {} });
+  unregister();
+  unregister();
+
+  expect(changes).toEqual([['a'], []]);
+});
+
+test('validates argument types and enums', () => {
+  expect(validateArguments({ value: '1' }, schema)).toBe('Argument "value" must be of type number');
+  expect(validateArguments({ value: 1, unit: 'ft' }, schema)).toBe('Argument "unit" must be one of km, mi');
+  expect(validateArguments([], schema)).toBe('Arguments must be a JSON object');
+  expect(validateArguments({ value: 1.5, unit: 'km' }, schema)).toBeNull();
+});
@@ -0,0 +1,129 @@
+// src/services/TurnMetrics.js
+// Per-turn latency and WebRTC connection quality, collected while a conversation runs.
+
+// Points in a turn, in pipeline order. Each is recorded as milliseconds since the
+// turn started: the end of speech for spoken turns, sending for typed ones.
+export const TurnStage = Object.freeze({
+  TRANSCRIBED: 'transcribed',          // input transcription completed
+  CLASSIFIED: 'classified',            // /classify-intent returned
+  QUERIED: 'queried',                  // /query returned
+  RESPONSE_CREATED: 'responseCreated', // first response.created
+  FIRST_DELTA: 'firstDelta',           // first audio or text of the answer
+  RESPONSE_DONE: 'responseDone'        // the answering response.done
+});
+
+export const TURN_STAGES = Object.values(TurnStage);
+
+// Times the stages of the current turn; only the first occurrence of a stage counts
+export class TurnTimer {
+  constructor(now = () => Date.now()) {
+    this.now = now;
+    this.count = 0;
+    this.turn = null;
+  }
+
+  // Returns the turn that was still open, if any, marked as interrupted
+  start({ spoken }) {
+    const previous = this.finish({ interrupted: true });
+    this.count += 1;
+    this.turn = { id: `turn-${this.count}`, spoken, startedAt: this.now(), interrupted: false, stages: {} };
+    return previous;
+  }
+
+  isRunning() {
+    return this.turn !== null;
+  }
+
+  currentId() {
+    return this.turn?.id ?? null;
+  }
+
+  mark(stage) {
+    if (!this.turn || this.turn.stages[stage] !== undefined) return;
+    this.turn.stages[stage] = this.now() - this.turn.startedAt;
+  }
+
+  finish({ interrupted = false } = {}) {
+    const turn = this.turn;
+    if (!turn) return null;
+    this.turn = null;
+    return { ...turn, interrupted };
+  }
+
+  discard() {
+    this.turn = null;
+  }
+}
+
+// Nearest-rank percentile; null for no values
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+};
+
+const summarize = (values) => {
+  const present = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (present.length === 0) return { count: 0, avg: null, p95: null };
+  const avg = present.reduce((sum, value) => sum + value, 0) / present.length;
+  return { count: present.length, avg: Math.round(avg * 10) / 10, p95: percentile(present, 95) };
+};
+
+// { [stage]: { count, avg, p95 } } over the completed turns; interrupted turns only
+// count for the stages they reached
+export const summarizeTurns = (turns) =>
+  Object.fromEntries(TURN_STAGES.map(stage => [stage, summarize(turns.map(turn => turn.stages[stage]))]));
+
+const CONNECTION_FIELDS = ['rttMs', 'jitterMs', 'packetLossPct', 'inboundKbps', 'outboundKbps'];
+
+export const summarizeConnection = (samples) =>
+  Object.fromEntries(CONNECTION_FIELDS.map(field => [field, summarize(samples.map(sample => sample[field]))]));
+
+const kbps = (bytes, previousBytes, ms) =>
+  (previousBytes === undefined || ms <= 0 ? null : Math.round(((bytes - previousBytes) * 8) / ms));
+
+/**
+ * Reads the audio figures out of an RTCPeerConnection.getStats() report. The
+ * previous sample is needed for bitrates, which are computed from byte counters.
+ * Returns { at, rttMs, jitterMs, packetsLost, packetLossPct, inboundKbps,
+ * outboundKbps, bytesReceived, bytesSent }; figures the browser doesn't report are null.
+ */
+export const parseStatsReport = (report, previous = null) => {
+  let pair = null;
+  let inbound = null;
+  let outbound = null;
+  let remoteInbound = null;
+
+  report.forEach(stat => {
+    if (stat.type === 'candidate-pair' && stat.state === 'succeeded' && (stat.nominated || !pair)) pair = stat;
+    if (stat.type === 'inbound-rtp' && stat.kind === 'audio') inbound = stat;
+    if (stat.type === 'outbound-rtp' && stat.kind === 'audio') outbound = stat;
+    if (stat.type === 'remote-inbound-rtp' && stat.kind === 'audio') remoteInbound = stat;
+  });
+
+  const at = inbound?.timestamp ?? outbound?.timestamp ?? pair?.timestamp ?? Date.now();
+  const elapsedMs = previous ? at - previous.at : 0;
+  const rtt = pair?.currentRoundTripTime ?? remoteInbound?.roundTripTime;
+  const received = inbound?.packetsReceived ?? 0;
+  const lost = inbound?.packetsLost ?? 0;
+
+  return {
+    at,
+    rttMs: rtt === undefined ? null : Math.round(rtt * 1000),
+    jitterMs: inbound?.jitter === undefined ? null : Math.round(inbound.jitter * 1000),
+    packetsLost: inbound ? lost : null,
+    packetLossPct: inbound && received + lost > 0 ? Math.round((lost / (received + lost)) * 1000) / 10 : null,
+    inboundKbps: inbound ? kbps(inbound.bytesReceived, previous?.bytesReceived, elapsedMs) : null,
+    outboundKbps: outbound ? kbps(outbound.bytesSent, previous?.bytesSent, elapsedMs) : null,
+    bytesReceived: inbound?.bytesReceived,
+    bytesSent: outbound?.bytesSent
+  };
+};
+
+export const metricsToJson = ({ turns, connection }) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  summary: { turns: summarizeTurns(turns), connection: summarizeConnection(connection) },
+  turns,
+  connection
+}, null, 2);
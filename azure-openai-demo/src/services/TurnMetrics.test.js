@@ -0,0 +1,49 @@
+import { TurnTimer, percentile, summarizeTurns, parseStatsReport } from './TurnMetrics';
+
+test('times the first occurrence of each stage and reports open turns as interrupted', () => {
+  let clock = 100;
+  const timer = new TurnTimer(() => clock);
+
+  expect(timer.start({ spoken: true })).toBeNull();
+  clock = 250;
+  timer.mark('transcribed');
+  clock = 400;
+  timer.mark('transcribed');
+
+  const unfinished = timer.start({ spoken: false });
+  expect(unfinished).toEqual({ id: 'turn-1', spoken: true, startedAt: 100, interrupted: true, stages: { transcribed: 150 } });
+  clock = 900;
+  timer.mark('responseDone');
+  expect(timer.finish()).toEqual({ id: 'turn-2', spoken: false, startedAt: 400, interrupted: false, stages: { responseDone: 500 } });
+  expect(timer.finish()).toBeNull();
+});
+
+test('summarizes stages with averages and nearest-rank p95', () => {
+  expect(percentile([], 95)).toBeNull();
+  expect(percentile([5, 1, 3], 50)).toBe(3);
+  const values = Array.from({ length: 20 }, (_, i) => i + 1);
+  expect(percentile(values, 95)).toBe(19);
+
+  const summary = summarizeTurns([
+    { stages: { firstDelta: 800, responseDone: 2000 } },
+    { stages: { firstDelta: 1200 } }
+  ]);
+  expect(summary.firstDelta).toEqual({ count: 2, avg: 1000, p95: 1200 });
+  expect(summary.responseDone).toEqual({ count: 1, avg: 2000, p95: 2000 });
+  expect(summary.queried).toEqual({ count: 0, avg: null, p95: null });
+});
+
+test('reads RTT, jitter, loss and bitrates from getStats reports', () => {
+  const report = (timestamp, bytesReceived, bytesSent) => new Map([
+    ['pair', { type: 'candidate-pair', state: 'succeeded', nominated: true, currentRoundTripTime: 0.042 }],
+    ['in', { type: 'inbound-rtp', kind: 'audio', timestamp, jitter: 0.0035, packetsLost: 5, packetsReceived: 995, bytesReceived }],
+    ['out', { type: 'outbound-rtp', kind: 'audio', timestamp, bytesSent }],
+    ['video', { type: 'inbound-rtp', kind: 'video', timestamp, bytesReceived: 1e9 }]
+  ]);
+
+  const first = parseStatsReport(report(1000, 0, 0));
+  expect(first).toMatchObject({ rttMs: 42, jitterMs: 4, packetsLost: 5, packetLossPct: 0.5, inboundKbps: null, outboundKbps: null });
+
+  const second = parseStatsReport(report(3000, 8000, 16000), first);
+  expect(second).toMatchObject({ inboundKbps: 32, outboundKbps: 64 });
+});
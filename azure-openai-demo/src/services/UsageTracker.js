@@ -0,0 +1,96 @@
+// src/services/UsageTracker.js
+// Token usage from response.done events and the estimated cost of a conversation.
+
+// USD per 1M tokens, Azure list prices at the time of writing. They change, so
+// they can be overridden per deployment in the settings.
+export const DEFAULT_TOKEN_PRICES = Object.freeze({
+  'gpt-4o-realtime-preview': { inputText: 5, inputAudio: 40, cachedInput: 2.5, outputText: 20, outputAudio: 80 },
+  'gpt-4o-mini-realtime-preview': { inputText: 0.6, inputAudio: 10, cachedInput: 0.3, outputText: 2.4, outputAudio: 20 },
+  'gpt-realtime': { inputText: 4, inputAudio: 32, cachedInput: 0.4, outputText: 16, outputAudio: 64 }
+});
+
+// Share of the per-conversation budget at which the user is warned
+export const BUDGET_WARNING_RATIO = 0.8;
+
+export const PRICE_FIELDS = ['inputText', 'inputAudio', 'cachedInput', 'outputText', 'outputAudio'];
+
+export const EMPTY_USAGE = Object.freeze({
+  inputText: 0, inputAudio: 0, cachedInput: 0, outputText: 0, outputAudio: 0, total: 0
+});
+
+// Deployments are usually named after their model, so the longest model name the
+// deployment name starts with picks the default prices
+export const pricesFor = (deploymentName = '', overrides = {}) => {
+  const model = Object.keys(DEFAULT_TOKEN_PRICES)
+    .filter(name => deploymentName.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  const prices = { ...(model ? DEFAULT_TOKEN_PRICES[model] : {}) };
+  Object.entries(overrides[deploymentName] || {}).forEach(([field, value]) => {
+    if (value !== '' && value !== null && Number.isFinite(Number(value))) prices[field] = Number(value);
+  });
+  return PRICE_FIELDS.every(field => prices[field] !== undefined) ? prices : null;
+};
+
+// Normalizes response.usage; cached input tokens are split out of the text and audio counts
+export const parseUsage = (usage = {}) => {
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  const cached = input.cached_tokens || 0;
+  const cachedAudio = input.cached_tokens_details?.audio_tokens || 0;
+  const cachedText = cached - cachedAudio;
+  const inputText = input.text_tokens ?? (usage.input_tokens || 0) - (input.audio_tokens || 0);
+  const outputText = output.text_tokens ?? (usage.output_tokens || 0) - (output.audio_tokens || 0);
+
+  return {
+    inputText: Math.max(0, inputText - cachedText),
+    inputAudio: Math.max(0, (input.audio_tokens || 0) - cachedAudio),
+    cachedInput: cached,
+    outputText,
+    outputAudio: output.audio_tokens || 0,
+    total: usage.total_tokens ?? (usage.input_tokens || 0) + (usage.output_tokens || 0)
+  };
+};
+
+export const addUsage = (a, b) =>
+  Object.fromEntries(Object.keys(EMPTY_USAGE).map(field => [field, a[field] + b[field]]));
+
+// Estimated USD, or null without prices for the deployment
+export const estimateCost = (usage, prices) => {
+  if (!prices) return null;
+  return PRICE_FIELDS.reduce((sum, field) => sum + (usage[field] * prices[field]) / 1e6, 0);
+};
+
+export const formatCost = (cost) => (cost === null ? 'n/a' : `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`);
+
+/**
+ * Accumulates usage per turn and per conversation. add() returns
+ * { response, turn, session, cost: { turn, session } } with token counts from parseUsage.
+ */
+class UsageTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.turn = EMPTY_USAGE;
+    this.session = EMPTY_USAGE;
+  }
+
+  startTurn() {
+    this.turn = EMPTY_USAGE;
+  }
+
+  add(usage, prices) {
+    const response = parseUsage(usage);
+    this.turn = addUsage(this.turn, response);
+    this.session = addUsage(this.session, response);
+    return {
+      response,
+      turn: this.turn,
+      session: this.session,
+      cost: { turn: estimateCost(this.turn, prices), session: estimateCost(this.session, prices) }
+    };
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,43 @@
+import UsageTracker, { parseUsage, pricesFor, estimateCost, formatCost } from './UsageTracker';
+
+const usage = {
+  total_tokens: 1600,
+  input_tokens: 1000,
+  output_tokens: 600,
+  input_token_details: { text_tokens: 700, audio_tokens: 300, cached_tokens: 500, cached_tokens_details: { text_tokens: 400, audio_tokens: 100 } },
+  output_token_details: { text_tokens: 100, audio_tokens: 500 }
+};
+
+test('splits cached input tokens out of the text and audio counts', () => {
+  expect(parseUsage(usage)).toEqual({ inputText: 300, inputAudio: 200, cachedInput: 500, outputText: 100, outputAudio: 500, total: 1600 });
+  expect(parseUsage({ input_tokens: 10, output_tokens: 5 })).toEqual({
+    inputText: 10, inputAudio: 0, cachedInput: 0, outputText: 5, outputAudio: 0, total: 15
+  });
+});
+
+test('picks default prices by model name and applies overrides per deployment', () => {
+  expect(pricesFor('gpt-4o-mini-realtime-preview-2024-12-17')).toMatchObject({ inputAudio: 10, outputAudio: 20 });
+  expect(pricesFor('gpt-4o-realtime-preview')).toMatchObject({ inputAudio: 40 });
+  expect(pricesFor('my-deployment')).toBeNull();
+
+  const overrides = { 'my-deployment': { inputText: '1', inputAudio: '2', cachedInput: '0', outputText: '3', outputAudio: '4' } };
+  expect(pricesFor('my-deployment', overrides)).toEqual({ inputText: 1, inputAudio: 2, cachedInput: 0, outputText: 3, outputAudio: 4 });
+  expect(pricesFor('gpt-realtime', { 'gpt-realtime': { outputAudio: '' } }).outputAudio).toBe(64);
+});
+
+test('accumulates usage and cost per turn and per conversation', () => {
+  const prices = pricesFor('gpt-4o-realtime-preview');
+  // 300×5 + 200×40 + 500×2.5 + 100×20 + 500×80 per million
+  expect(estimateCost(parseUsage(usage), prices)).toBeCloseTo(0.05275);
+  expect(estimateCost(parseUsage(usage), null)).toBeNull();
+
+  const tracker = new UsageTracker();
+  tracker.add(usage, prices);
+  tracker.startTurn();
+  const report = tracker.add(usage, prices);
+  expect(report.turn.total).toBe(1600);
+  expect(report.session.total).toBe(3200);
+  expect(report.cost.session).toBeCloseTo(0.1055);
+  expect(formatCost(report.cost.session)).toBe('$0.11');
+  expect(formatCost(0.0012)).toBe('$0.0012');
+});
@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Mvc;
 using System.Text;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 using realtime_api_dotnet.Services;
 
 namespace realtime_api_dotnet.Controllers;
@@ -16,6 +17,9 @@ public class AzureOpenAIController : ControllerBase
     private readonly AzureOpenAiService _azureOpenAiService;
     //private readonly Kernel _kernel;
 
+    // Azure OpenAI API versions look like 2025-04-01 or 2025-04-01-preview
+    private static readonly Regex ApiVersionPattern = new(@"^\d{4}-\d{2}-\d{2}(-preview)?$", RegexOptions.Compiled);
+
     public AzureOpenAIController(
         IConfiguration configuration,
         HttpClient httpClient, 
@@ -33,12 +37,22 @@ public class AzureOpenAIController : ControllerBase
     [HttpPost("sessions")]
     public async Task<IActionResult> CreateSession([FromBody] SessionRequest request)
     {
+        // The API version goes into the sessions URL, so only accept well-formed ones from the client
+        if (!string.IsNullOrWhiteSpace(request.ApiVersion) && !ApiVersionPattern.IsMatch(request.ApiVersion))
+        {
+            return BadRequest(new { error = "ApiVersion must use the YYYY-MM-DD or YYYY-MM-DD-preview format" });
+        }
+
         var resourceName = _configuration["AzureOpenAI:ResourceName"];
-        var realtimeDeploymentName = _configuration["AzureOpenAI:RealtimeDeploymentName"];
+        var realtimeDeploymentName = string.IsNullOrWhiteSpace(request.DeploymentName)
+            ? _configuration["AzureOpenAI:RealtimeDeploymentName"]
+            : request.DeploymentName;
         var apiKey = _configuration["AzureOpenAI:ApiKey"];
-        var apiVersion = _configuration["AzureOpenAI:ApiVersion"];
+        var apiVersion = string.IsNullOrWhiteSpace(request.ApiVersion)
+            ? _configuration["AzureOpenAI:ApiVersion"]
+            : request.ApiVersion;
 
-        var sessionsUrl = $"https://{resourceName}.openai.azure.com/openai/realtimeapi/sessions?api-version={apiVersion}";
+        var sessionsUrl = $"https://{resourceName}.openai.azure.com/openai/realtimeapi/sessions?api-version={Uri.EscapeDataString(apiVersion ?? string.Empty)}";
 
         var body = new
         {
@@ -134,12 +148,12 @@ public class AzureOpenAIController : ControllerBase
     }
 
     /// <summary>
-    /// Classifies the intent of the user prompt into "statistical" or "conversational" so the LLM can handle the request appropriately.
-    /// If the intent is "statistical", the front end will then call the query endpoint so the NL2SQL is used to answer the question based
-    /// on the data in the database. If the intent is "conversational", the LLM is free to respond on its own.
+    /// Answers a statistical question with NL2SQL: the question is rewritten with the conversation context, turned into SQL and executed.
+    /// The response includes the rewritten question and the executed SQL alongside the records so the front end can show how the
+    /// answer was produced.
     /// </summary>
     /// <param name="request">QueryRequest object, including chat history.</param>
-    /// <returns></returns>
+    /// <returns>A QueryResponse with the records, the rewritten question and the SQL.</returns>
     [HttpPost("query")]
     public async Task<IActionResult> ExecuteNaturalLanguageQuery([FromBody] QueryRequest request)
     {
@@ -165,7 +179,13 @@ public class AzureOpenAIController : ControllerBase
 
                     var results = await _databaseService.ExecuteQueryAsync(generatedSqlQuery);
 
-                    return Ok(results);
+                    return Ok(new QueryResponse
+                    {
+                        Records = results,
+                        RewrittenQuery = rewrittenQuery,
+                        Sql = generatedSqlQuery,
+                        Attempts = attemptCount + 1
+                    });
                 }
                 catch (Exception ex)
                 {
@@ -175,7 +195,7 @@ public class AzureOpenAIController : ControllerBase
                 }
             }
 
-            return StatusCode(500, new { errorMessage });
+            return StatusCode(500, new { errorMessage, rewrittenQuery, sql = generatedSqlQuery, attempts = attemptCount });
         }
         catch (Exception ex)
         {
@@ -196,4 +216,15 @@ public class AzureOpenAIController : ControllerBase
 
         public List<ChatMessageDto> Messages { get; set; } = new List<ChatMessageDto>();
     }
+
+    public class QueryResponse
+    {
+        public List<Dictionary<string, object>> Records { get; set; } = new List<Dictionary<string, object>>();
+
+        public string RewrittenQuery { get; set; }
+
+        public string Sql { get; set; }
+
+        public int Attempts { get; set; }
+    }
 }
\ No newline at end of file
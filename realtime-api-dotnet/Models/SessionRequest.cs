@@ -3,5 +3,8 @@ using realtime_api_dotnet.Prompts;
 public class SessionRequest
 {
     public string Voice { get; set; }
+    // Optional, the AzureOpenAI configuration is used when they are not given
+    public string? DeploymentName { get; set; }
+    public string? ApiVersion { get; set; }
     public string SystemPrompt { get; set; } = CorePrompts.GetSystemPrompt();
 }
@@ -41,7 +41,8 @@ public class CorePrompts
     {
         return $@"You are a query enhancer that rewrites the latest user question to based on contextual information from
                     previous exchanges in the chat history, if necessary. If the question seems to be a follow-up question, write it so the full context is
-                    preserved. If the question is already explicit, return it unchanged. Only return the rewritten
+                    preserved. If the question is already explicit, return it unchanged. Always write the question in English: the database
+                    and the SQL generation expect English, so translate questions asked in another language. Only return the rewritten
                     question text without explanations.
 
                     Chat History: {conversationHistory}